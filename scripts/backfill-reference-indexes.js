@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Reference Index Backfill
+ *
+ * Content documents store the IDs referenced inside arrays in an index field
+ * (e.g. a scenario's characterIds, from characterRoles[].characterId), which is how
+ * deletes find the documents still referencing a character. Documents written
+ * before the index existed don't have it; this script adds it. Trashed documents
+ * are included, since they can be restored.
+ *
+ * Usage:
+ *   npm run backfill-reference-indexes -- --dry-run   # Show what would change
+ *   npm run backfill-reference-indexes                # Backfill for real
+ */
+
+require('dotenv').config();
+require('../src/config/firebase');
+
+const { isDeepStrictEqual } = require('util');
+const { db } = require('../src/config/firebase');
+const { getSchemaTypes, getSchema } = require('../src/schemas');
+const { indexFields, referenceIndexes } = require('../src/services/references');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n🔗 ${dryRun ? '[DRY RUN] ' : ''}Backfilling reference indexes...\n`);
+    console.log('='.repeat(80));
+
+    let updated = 0;
+
+    for (const type of getSchemaTypes().filter((schemaType) => indexFields(schemaType).length > 0)) {
+      const { collection } = getSchema(type);
+      const snapshot = await db.collection(collection).get();
+
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        const indexes = referenceIndexes(type, data);
+        const stale = Object.entries(indexes).some(([field, ids]) => !isDeepStrictEqual(data[field], ids));
+
+        if (stale) {
+          updated++;
+          console.log(`✓ ${collection}/${doc.id}: ${Object.keys(indexes).join(', ')}`);
+          if (!dryRun) {
+            await doc.ref.update(indexes);
+          }
+        }
+      }
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log(`\n${dryRun ? '[DRY RUN] ' : ''}Done: ${updated} documents updated\n`);
+
+    if (dryRun) {
+      console.log('💡 This was a dry run. No changes were made.');
+      console.log('Remove --dry-run flag to apply changes.\n');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Hashing Migration
+ *
+ * Replaces plaintext `key` fields in the apiKeys collection with a lookup
+ * prefix and a salted hash. Clients keep using their existing keys.
+ *
+ * Previous keys still inside a rotation grace period are dropped.
+ *
+ * Usage:
+ *   npm run migrate-api-keys -- --dry-run   # Show what would change
+ *   npm run migrate-api-keys                # Migrate for real
+ */
+
+require('dotenv').config();
+require('../src/config/firebase');
+
+const { db } = require('../src/config/firebase');
+const { migrateLegacyKey } = require('../src/services/api-keys');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n🔐 ${dryRun ? '[DRY RUN] ' : ''}Hashing plaintext API keys...\n`);
+    console.log('='.repeat(80));
+
+    const snapshot = await db.collection('apiKeys').get();
+    let migrated = 0;
+    let skipped = 0;
+
+    for (const doc of snapshot.docs) {
+      const result = await migrateLegacyKey(doc, dryRun);
+
+      if (result.migrated) {
+        migrated++;
+        console.log(`✓ ${doc.id} (${doc.data().name || 'Unnamed'}): hashed`);
+        if (result.droppedPreviousKey) {
+          console.log('  ⚠️  Previous key from an unfinished rotation was dropped');
+        }
+      } else {
+        skipped++;
+      }
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log(`\n${dryRun ? '[DRY RUN] ' : ''}Done: ${migrated} migrated, ${skipped} already hashed\n`);
+
+    if (dryRun) {
+      console.log('💡 This was a dry run. No changes were made.');
+      console.log('Remove --dry-run flag to apply changes.\n');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Company Roles Migration
+ *
+ * - Seeds the built-in roles (admin, editor, viewer) for companies created
+ *   before custom roles existed
+ * - Clears user `permissions` that are just a copy of their role's defaults,
+ *   so those users follow their role when its permissions are changed
+ *
+ * Users with hand-picked permissions keep them as an override.
+ *
+ * Usage:
+ *   npm run migrate-roles -- --dry-run   # Show what would change
+ *   npm run migrate-roles                # Migrate for real
+ */
+
+require('dotenv').config();
+require('../src/config/firebase');
+
+const { db } = require('../src/config/firebase');
+const { BUILT_IN_ROLES, seedDefaultRoles } = require('../src/services/roles');
+
+const sameSet = (a, b) => a.length === b.length && a.every((item) => b.includes(item));
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n🧩 ${dryRun ? '[DRY RUN] ' : ''}Migrating company roles...\n`);
+    console.log('='.repeat(80));
+
+    const companies = await db.collection('companies').get();
+    let seeded = 0;
+
+    for (const company of companies.docs) {
+      const roles = await db.collection('roles').where('companyId', '==', company.id).limit(1).get();
+      if (roles.empty) {
+        seeded++;
+        console.log(`✓ ${company.id} (${company.data().name || 'Unnamed'}): built-in roles seeded`);
+        if (!dryRun) {
+          await seedDefaultRoles(company.id, 'migration');
+        }
+      }
+    }
+
+    const users = await db.collection('users').get();
+    let cleared = 0;
+
+    for (const user of users.docs) {
+      const { role, permissions, email } = user.data();
+      const builtIn = BUILT_IN_ROLES[role];
+
+      if (builtIn && Array.isArray(permissions) && permissions.length > 0 && sameSet(permissions, builtIn.permissions)) {
+        cleared++;
+        console.log(`✓ ${email || user.id}: now follows the ${role} role`);
+        if (!dryRun) {
+          await user.ref.update({ permissions: [] });
+        }
+      }
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log(`\n${dryRun ? '[DRY RUN] ' : ''}Done: ${seeded} companies seeded, ${cleared} users now follow their role\n`);
+
+    if (dryRun) {
+      console.log('💡 This was a dry run. No changes were made.');
+      console.log('Remove --dry-run flag to apply changes.\n');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -16,6 +16,7 @@ require('../src/config/firebase');
 
 const { db } = require('../src/config/firebase');
 const { v4: uuidv4 } = require('uuid');
+const { referenceIndexes } = require('../src/services/references');
 
 const COMPANY_ID = 'demo-company-001';
 const USER_ID = 'demo-user'; // You can change this to an actual user UID
@@ -387,7 +388,7 @@ async function seedData() {
     // Seed Scenarios
     console.log('\n🎬 Creating Scenarios...');
     for (const scenario of scenarios) {
-      await db.collection('scenarios').doc(scenario.id).set(scenario);
+      await db.collection('scenarios').doc(scenario.id).set({ ...scenario, ...referenceIndexes('scenario', scenario) });
       console.log(`  ✅ ${scenario.name} (${scenario.playCount} plays)`);
     }
 
@@ -24,7 +24,7 @@ const setupCollections = async () => {
   const collections = schemaTypes.map(type => `${type}s`); // Add 's' for plural
 
   // Add additional required collections
-  const additionalCollections = ['users', 'companies', 'activities', 'apiKeys'];
+  const additionalCollections = ['users', 'companies', 'activities', 'apiKeys', 'loginLockouts', 'invitations', 'passwordResets', 'mfaEnrollments', 'impersonationSessions', 'deviceAuthorizations', 'roles', 'teams', 'teamMembers'];
   const allCollections = [...collections, ...additionalCollections];
 
   console.log('\n📁 Collections to initialize:');
@@ -117,29 +117,9 @@ const showNextSteps = (demoCompanyId) => {
   }
 
   console.log('3. (Optional) Create an API key for external applications:');
-  console.log('   - Go to Firestore → apiKeys collection');
-  console.log('   - Create a document with a unique ID');
-  console.log('   - Add these fields:\n');
-
-  if (demoCompanyId) {
-    console.log(`   {
-     "key": "your-secret-api-key-here",
-     "companyId": "${demoCompanyId}",
-     "active": true,
-     "permissions": ["read", "write"],
-     "name": "External App",
-     "createdAt": "${new Date().toISOString()}"
-   }\n`);
-  } else {
-    console.log(`   {
-     "key": "your-secret-api-key-here",
-     "companyId": "your-company-id",
-     "active": true,
-     "permissions": ["read", "write"],
-     "name": "External App",
-     "createdAt": "${new Date().toISOString()}"
-   }\n`);
-  }
+  console.log('   - Log in as a company admin');
+  console.log('   - POST /api/api-keys with a name and permissions');
+  console.log('   - Store the returned key - it is only shown once\n');
 
   console.log('4. Start the API server:');
   console.log('   npm run dev\n');
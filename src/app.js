@@ -27,10 +27,22 @@ const dashboardRoutes = require('./routes/dashboard');
 const userRoutes = require('./routes/users');
 const companyRoutes = require('./routes/companies');
 const analyticsRoutes = require('./routes/analytics');
+const apiKeyRoutes = require('./routes/api-keys');
+const invitationRoutes = require('./routes/invitations');
+const impersonationRoutes = require('./routes/impersonation');
+const deviceAuthRoutes = require('./routes/device-auth');
+const deviceRoutes = require('./routes/devices');
+const roleRoutes = require('./routes/roles');
+const teamRoutes = require('./routes/teams');
+const searchRoutes = require('./routes/search');
+const trashRoutes = require('./routes/trash');
+const batchRoutes = require('./routes/batch');
 
 // Import middleware
 const usageLogger = require('./middleware/usage-logger');
-const { apiLimiter, authLimiter, adminLimiter } = require('./middleware/rate-limiter');
+const { requestContext } = require('./utils/request-context');
+const { apiLimiter, authLimiter, adminLimiter, deviceLimiter } = require('./middleware/rate-limiter');
+const { startPurgeJob } = require('./services/trash');
 
 const app = express();
 const PORT = process.env.PORT || 3004;
@@ -105,6 +117,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Per-request async context (read by services that need request-level info)
+app.use(requestContext);
+
 // Usage tracking middleware (logs API calls to Firestore)
 app.use(usageLogger);
 
@@ -200,11 +215,21 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes with rate limiting
+app.use('/auth/device', deviceLimiter, deviceAuthRoutes); // Before /auth: devices poll more often than authLimiter allows
 app.use('/auth', authLimiter, authRoutes);
 app.use('/api/analytics', adminLimiter, analyticsRoutes);
 app.use('/api/schema', apiLimiter, schemaRoutes);
 app.use('/api/companies', apiLimiter, companyRoutes);
+app.use('/api/impersonation', apiLimiter, impersonationRoutes);
 app.use('/api/users', apiLimiter, userRoutes);
+app.use('/api/roles', apiLimiter, roleRoutes);
+app.use('/api/teams', apiLimiter, teamRoutes);
+app.use('/api/api-keys', apiLimiter, apiKeyRoutes);
+app.use('/api/invitations', apiLimiter, invitationRoutes);
+app.use('/api/devices', apiLimiter, deviceRoutes);
+app.use('/api/search', apiLimiter, searchRoutes);
+app.use('/api/trash', apiLimiter, trashRoutes);
+app.use('/api/batch', apiLimiter, batchRoutes);
 app.use('/api/scenarios', apiLimiter, scenarioRoutes);
 app.use('/api/characters', apiLimiter, characterRoutes);
 app.use('/api/dialogues', apiLimiter, dialogueRoutes);
@@ -252,6 +277,9 @@ app.listen(PORT, () => {
   console.log(`📡 Running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health\n`);
+
+  // Permanently delete content trashed longer than the retention period
+  startPurgeJob();
 });
 
 module.exports = app;
@@ -29,7 +29,7 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'Enter your Firebase ID token obtained from /auth/login',
+          description: 'Enter an access token obtained from /auth/login, or from /auth/token for API clients',
         },
       },
       schemas: {
@@ -78,20 +78,131 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['viewer', 'editor', 'admin', 'super-admin'],
+              description: 'Built-in role (viewer, editor, admin), a custom company role, or super-admin',
               example: 'editor',
             },
             permissions: {
               type: 'array',
+              description: 'Overrides the role permissions when not empty',
               items: {
                 type: 'string',
-                enum: ['read', 'write', 'admin'],
               },
             },
             companyId: {
               type: 'string',
               example: 'company-123',
             },
+            teamIds: {
+              type: 'array',
+              description: 'Teams the user belongs to (managed through /api/teams)',
+              items: {
+                type: 'string',
+              },
+            },
+          },
+        },
+        Role: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            companyId: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              example: 'content-author',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['read', 'edit'],
+            },
+            builtIn: {
+              type: 'boolean',
+              description: 'admin, editor and viewer - cannot be deleted',
+            },
+          },
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'key-123',
+            },
+            name: {
+              type: 'string',
+              example: 'Unity Build',
+            },
+            prefix: {
+              type: 'string',
+              example: 'sk_3f9a1c2b7d4e5f60',
+              description: 'Public part of the key, used for lookup',
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['read'],
+            },
+            active: {
+              type: 'boolean',
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            allowedIps: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'string',
+              },
+              example: ['203.0.113.0/24'],
+            },
+            dailyQuota: {
+              type: 'integer',
+              nullable: true,
+              example: 10000,
+            },
+            lastUsed: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            usageDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'UTC day that usageCount applies to',
+            },
+            usageCount: {
+              type: 'integer',
+              description: 'Requests made on usageDate',
+            },
+            totalRequests: {
+              type: 'integer',
+            },
+            previousKeyExpiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'End of the grace period for the previous key after a rotation',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
           },
         },
         Scenario: {
@@ -268,6 +379,485 @@ const options = {
             },
           },
         },
+        ClientCredentialsRequest: {
+          type: 'object',
+          required: ['grant_type'],
+          properties: {
+            grant_type: {
+              type: 'string',
+              enum: ['client_credentials'],
+            },
+            client_id: {
+              type: 'string',
+              description: 'API key prefix (the part before the dot)',
+              example: 'sk_3f9a1c2b4d5e6f70',
+            },
+            client_secret: {
+              type: 'string',
+              description: 'API key secret (the part after the dot)',
+            },
+            scope: {
+              type: 'string',
+              description: 'Space-separated subset of the key permissions (defaults to all of them)',
+              example: 'scenarios:read characters:read',
+            },
+          },
+        },
+        SearchResult: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              example: 'character',
+            },
+            collection: {
+              type: 'string',
+              example: 'characters',
+            },
+            id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              example: 'Nurse Alice',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            score: {
+              type: 'number',
+              description: 'Relevance score, higher is better',
+            },
+            highlights: {
+              type: 'object',
+              description: 'Matching fields with matched words wrapped in <mark>',
+              additionalProperties: {
+                type: 'string',
+              },
+              example: {
+                occupation: 'Registered <mark>nurse</mark>',
+              },
+            },
+          },
+        },
+        Revision: {
+          type: 'object',
+          properties: {
+            rev: {
+              type: 'integer',
+              example: 3,
+            },
+            author: {
+              type: 'string',
+              description: 'User who wrote this version',
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When this version was written',
+            },
+            schemaVersion: {
+              type: 'string',
+              example: '1.0',
+            },
+            current: {
+              type: 'boolean',
+              description: 'Set on the live version',
+            },
+            replacedBy: {
+              type: 'string',
+              description: 'User whose update replaced this version',
+            },
+            replacedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            data: {
+              type: 'object',
+              description: 'The document as it was (only when getting a single revision)',
+            },
+          },
+        },
+        RevisionDiff: {
+          type: 'object',
+          properties: {
+            from: {
+              type: 'integer',
+            },
+            to: {
+              type: 'integer',
+            },
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    example: 'description',
+                  },
+                  change: {
+                    type: 'string',
+                    enum: ['added', 'removed', 'changed'],
+                  },
+                  from: {
+                    description: 'Value in the older revision (absent when added)',
+                  },
+                  to: {
+                    description: 'Value in the newer revision (absent when removed)',
+                  },
+                },
+              },
+            },
+          },
+        },
+        TrashItem: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              example: 'character',
+            },
+            collection: {
+              type: 'string',
+              example: 'characters',
+            },
+            id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              nullable: true,
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            deletedBy: {
+              type: 'string',
+            },
+            purgeAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the document will be permanently deleted',
+            },
+          },
+        },
+        BatchOperation: {
+          type: 'object',
+          required: ['op', 'type'],
+          properties: {
+            op: {
+              type: 'string',
+              enum: ['create', 'update', 'delete'],
+            },
+            type: {
+              type: 'string',
+              enum: ['scenarios', 'characters', 'dialogues', 'environments'],
+            },
+            id: {
+              type: 'string',
+              description: 'Document to update or delete (omit for create)',
+            },
+            data: {
+              type: 'object',
+              description: 'Document data for create, changed fields for update',
+            },
+            ifMatch: {
+              type: 'string',
+              description: 'Only update if the document still has this ETag',
+              example: '"4"',
+            },
+          },
+        },
+        BatchResult: {
+          type: 'object',
+          properties: {
+            index: {
+              type: 'integer',
+              description: 'Position of the operation in the request',
+            },
+            op: {
+              type: 'string',
+            },
+            type: {
+              type: 'string',
+            },
+            id: {
+              type: 'string',
+              nullable: true,
+              description: 'Document ID (generated for created documents)',
+            },
+            applied: {
+              type: 'boolean',
+            },
+            data: {
+              type: 'object',
+              description: 'The document as written; for deletes its deletedAt and purgeAt',
+            },
+            error: {
+              type: 'string',
+              description: 'Why the operation failed (failed batches only)',
+            },
+            code: {
+              type: 'string',
+              example: 'REFERENCED',
+            },
+            details: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+            },
+          },
+        },
+        Team: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            companyId: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              example: 'Nursing',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+            },
+            memberCount: {
+              type: 'integer',
+              description: 'Included when listing teams',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            createdBy: {
+              type: 'string',
+            },
+          },
+        },
+        TeamMember: {
+          type: 'object',
+          properties: {
+            teamId: {
+              type: 'string',
+            },
+            userId: {
+              type: 'string',
+            },
+            role: {
+              type: 'string',
+              enum: ['member', 'admin'],
+              description: 'Team admins can add and remove members of their team',
+            },
+            addedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            addedBy: {
+              type: 'string',
+            },
+          },
+        },
+        Sharing: {
+          type: 'object',
+          properties: {
+            ownerId: {
+              type: 'string',
+              nullable: true,
+              description: 'User who owns the document (null for documents created by API keys or before sharing existed)',
+            },
+            visibility: {
+              type: 'string',
+              enum: ['company', 'team', 'private'],
+            },
+            teamId: {
+              type: 'string',
+              nullable: true,
+            },
+            grants: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: {
+                    type: 'string',
+                  },
+                  access: {
+                    type: 'string',
+                    enum: ['read', 'edit'],
+                  },
+                  grantedBy: {
+                    type: 'string',
+                  },
+                  grantedAt: {
+                    type: 'string',
+                    format: 'date-time',
+                  },
+                },
+              },
+            },
+            access: {
+              type: 'string',
+              enum: ['read', 'edit', 'owner'],
+              description: 'Your own access level',
+            },
+          },
+        },
+        Device: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            userCode: {
+              type: 'string',
+              example: 'BDFG-HJKL',
+            },
+            clientName: {
+              type: 'string',
+              nullable: true,
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'approved', 'denied', 'active', 'revoked'],
+            },
+            userId: {
+              type: 'string',
+              nullable: true,
+              description: 'User who approved the device (its tokens act as this user)',
+            },
+            userEmail: {
+              type: 'string',
+            },
+            companyId: {
+              type: 'string',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the user code expires if not approved',
+            },
+            approvedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            activatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        ImpersonationSession: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            actorUid: {
+              type: 'string',
+              description: 'Super admin who started the session',
+            },
+            actorEmail: {
+              type: 'string',
+            },
+            companyId: {
+              type: 'string',
+              description: 'Company being accessed',
+            },
+            mode: {
+              type: 'string',
+              enum: ['read', 'write'],
+            },
+            reason: {
+              type: 'string',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            endedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            endedBy: {
+              type: 'string',
+              nullable: true,
+            },
+          },
+        },
+        Invitation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'invite-123',
+            },
+            uid: {
+              type: 'string',
+              description: 'ID of the pending user created for this invitation',
+            },
+            email: {
+              type: 'string',
+              example: 'newuser@company.com',
+            },
+            role: {
+              type: 'string',
+              enum: ['viewer', 'editor', 'admin'],
+            },
+            companyId: {
+              type: 'string',
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'revoked', 'expired'],
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            sentCount: {
+              type: 'integer',
+            },
+            lastSentAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            acceptedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            createdBy: {
+              type: 'string',
+            },
+          },
+        },
       },
     },
     security: [
@@ -296,14 +886,58 @@ const options = {
         name: 'Environments',
         description: 'Manage virtual environments',
       },
+      {
+        name: 'Search',
+        description: 'Full-text search across content',
+      },
+      {
+        name: 'Revisions',
+        description: 'Previous versions of content, diffs and rollback',
+      },
+      {
+        name: 'Trash',
+        description: 'Deleted content that can still be restored',
+      },
+      {
+        name: 'Batch',
+        description: 'Several content changes applied all or nothing',
+      },
+      {
+        name: 'Teams',
+        description: 'Teams within a company and their members',
+      },
+      {
+        name: 'Sharing',
+        description: 'Document owners, visibility and user grants for content',
+      },
       {
         name: 'Users',
         description: 'User management (Admin only)',
       },
+      {
+        name: 'Roles',
+        description: 'Company roles and their permissions',
+      },
+      {
+        name: 'API Keys',
+        description: 'API key management (Admin only)',
+      },
+      {
+        name: 'Devices',
+        description: 'Headsets and kiosks signed in with the device flow (Admin only)',
+      },
+      {
+        name: 'Invitations',
+        description: 'Invite users by email (Admin only)',
+      },
       {
         name: 'Companies',
         description: 'Company management (Super Admin only)',
       },
+      {
+        name: 'Impersonation',
+        description: 'Support access to customer companies (Super Admin only)',
+      },
       {
         name: 'Dashboard',
         description: 'Statistics and analytics',
@@ -317,12 +951,24 @@ const options = {
   // Include ALL routes for internal docs
   apis: [
     `${__dirname}/../routes/auth.js`,
+    `${__dirname}/../routes/device-auth.js`,
     `${__dirname}/../routes/scenarios.js`,
     `${__dirname}/../routes/characters.js`,
     `${__dirname}/../routes/dialogues.js`,
     `${__dirname}/../routes/environments.js`,
+    `${__dirname}/../routes/sharing.js`,
+    `${__dirname}/../routes/revisions.js`,
+    `${__dirname}/../routes/search.js`,
+    `${__dirname}/../routes/trash.js`,
+    `${__dirname}/../routes/batch.js`,
     `${__dirname}/../routes/users.js`,
+    `${__dirname}/../routes/roles.js`,
+    `${__dirname}/../routes/teams.js`,
+    `${__dirname}/../routes/api-keys.js`,
+    `${__dirname}/../routes/invitations.js`,
+    `${__dirname}/../routes/devices.js`,
     `${__dirname}/../routes/companies.js`,
+    `${__dirname}/../routes/impersonation.js`,
     `${__dirname}/../routes/dashboard.js`,
     `${__dirname}/../routes/schema.js`,
   ]
@@ -129,6 +129,28 @@
  *           type: string
  *         description: Bearer token obtained from /auth/login
  *         example: Bearer eyJhbGciOiJSUzI1NiIsImtpZCI6IjZmNzI1NDEwM...
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Page size. Without limit or cursor, every document is returned
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, updatedAt or name, prefixed with '-' for descending (e.g. name, -updatedAt)
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only return documents assigned to this team. One filter per request, on teamId, active, dialogueId or environmentId (e.g. ?active=true)
  *     responses:
  *       200:
  *         description: List of scenarios
@@ -170,6 +192,10 @@
  *                         format: date-time
  *                 count:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to get the next page; null on the last page
  */
 
 /**
@@ -196,6 +222,11 @@
  *     responses:
  *       200:
  *         description: Scenario details
+ *         headers:
+ *           ETag:
+ *             description: Current version of the document
+ *             schema:
+ *               type: string
  *       404:
  *         description: Scenario not found
  */
@@ -205,7 +236,9 @@
  * /api/scenarios/{id}/full:
  *   get:
  *     summary: Get complete scenario with all details
- *     description: Retrieve a scenario with full character, dialogue, and environment data populated
+ *     description: |
+ *       Retrieve a scenario with full character, dialogue, and environment data populated.
+ *       `brokenReferences` lists references to documents that no longer exist ({ field, id, referenceType }).
  *     tags: [Scenarios]
  *     parameters:
  *       - in: header
@@ -275,6 +308,28 @@
  *           type: string
  *         description: Bearer token obtained from /auth/login
  *         example: Bearer eyJhbGciOiJSUzI1NiIsImtpZCI6IjZmNzI1NDEwM...
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Page size. Without limit or cursor, every document is returned
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, updatedAt or name, prefixed with '-' for descending (e.g. name, -updatedAt)
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only return documents assigned to this team. One filter per request, on teamId, status or voiceId (e.g. ?status=active)
  *     responses:
  *       200:
  *         description: List of characters
@@ -308,6 +363,10 @@
  *                         type: array
  *                 count:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to get the next page; null on the last page
  */
 
 /**
@@ -334,6 +393,11 @@
  *     responses:
  *       200:
  *         description: Character details
+ *         headers:
+ *           ETag:
+ *             description: Current version of the document
+ *             schema:
+ *               type: string
  *       404:
  *         description: Character not found
  */
@@ -353,6 +417,28 @@
  *           type: string
  *         description: Bearer token obtained from /auth/login
  *         example: Bearer eyJhbGciOiJSUzI1NiIsImtpZCI6IjZmNzI1NDEwM...
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Page size. Without limit or cursor, every document is returned
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, updatedAt or name, prefixed with '-' for descending (e.g. name, -updatedAt)
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only return documents assigned to this team. One filter per request, on teamId or purposePreset (e.g. ?purposePreset=correct_feedback)
  *     responses:
  *       200:
  *         description: List of dialogues
@@ -380,6 +466,10 @@
  *                         type: array
  *                 count:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to get the next page; null on the last page
  */
 
 /**
@@ -399,6 +489,11 @@
  *     responses:
  *       200:
  *         description: Dialogue details
+ *         headers:
+ *           ETag:
+ *             description: Current version of the document
+ *             schema:
+ *               type: string
  *       404:
  *         description: Dialogue not found
  */
@@ -410,6 +505,29 @@
  *     summary: Get all environments
  *     description: Retrieve all virtual environments accessible to your account
  *     tags: [Environments]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Page size. Without limit or cursor, every document is returned
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, updatedAt or name, prefixed with '-' for descending (e.g. name, -updatedAt)
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only return documents assigned to this team. One filter per request, on teamId or environmentType (e.g. ?environmentType=indoor)
  *     responses:
  *       200:
  *         description: List of environments
@@ -439,6 +557,10 @@
  *                         type: string
  *                 count:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to get the next page; null on the last page
  */
 
 /**
@@ -458,6 +580,11 @@
  *     responses:
  *       200:
  *         description: Environment details
+ *         headers:
+ *           ETag:
+ *             description: Current version of the document
+ *             schema:
+ *               type: string
  *       404:
  *         description: Environment not found
  */
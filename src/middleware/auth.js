@@ -1,7 +1,17 @@
-const { auth, db } = require('../config/firebase');
+const { db } = require('../config/firebase');
+const apiKeyService = require('../services/api-keys');
+const clientCredentials = require('../services/client-credentials');
+const { getIdentityProvider, IDENTITY_ERRORS } = require('../services/identity');
+const userCache = require('../services/user-cache');
+const { isTokenRevoked } = require('../services/sessions');
+const impersonationService = require('../services/impersonation');
+const deviceService = require('../services/devices');
+const rolesService = require('../services/roles');
+const { getRequestContext } = require('../utils/request-context');
+const { peekToken } = require('../utils/tokens');
 
 /**
- * Middleware to verify Firebase authentication token
+ * Middleware to verify a user access token (issued by the configured identity provider)
  * Attaches user info and company info to req.user
  */
 const verifyToken = async (req, res, next) => {
@@ -17,35 +27,109 @@ const verifyToken = async (req, res, next) => {
 
     const token = authHeader.split('Bearer ')[1];
 
-    // Verify the Firebase ID token
-    const decodedToken = await auth.verifyIdToken(token);
+    // Verify the token with the identity provider
+    const decodedToken = await getIdentityProvider().verifyToken(token);
 
-    // Get user document from Firestore to retrieve company and role info
-    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+    // Resolve company and role info (cached until the token expires)
+    let profile = await userCache.getCachedUser(decodedToken.uid);
 
-    if (!userDoc.exists) {
-      return res.status(404).json({
+    if (!profile) {
+      const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+
+      if (!userDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found in database',
+        });
+      }
+
+      const userData = userDoc.data();
+
+      // Company-level security settings
+      const companyDoc = userData.companyId
+        ? await db.collection('companies').doc(userData.companyId).get()
+        : null;
+
+      profile = {
+        companyId: userData.companyId,
+        role: userData.role,
+        permissions: await rolesService.resolvePermissions(userData.companyId, userData.role, userData.permissions),
+        tokensValidAfter: userData.tokensValidAfter || null,
+        mfaEnabled: Boolean(userData.mfaEnabled),
+        companyRequiresMfa: Boolean(companyDoc?.exists && companyDoc.data().requireAdminMfa),
+        ownerOnlyEditing: Boolean(companyDoc?.exists && companyDoc.data().ownerOnlyEditing),
+        teamIds: userData.teamIds || [],
+      };
+
+      await userCache.cacheUser(decodedToken.uid, profile, decodedToken.exp);
+    }
+
+    // Reject tokens issued before the user's sessions were revoked
+    if (isTokenRevoked(decodedToken.iat, profile.tokensValidAfter)) {
+      return res.status(401).json({
         success: false,
-        error: 'User not found in database',
+        error: 'Token revoked',
+        code: 'TOKEN_REVOKED',
       });
     }
 
-    const userData = userDoc.data();
+    // Sessions started through the device flow end when the device is revoked
+    if (decodedToken.claims.device && !(await deviceService.isDeviceActive(decodedToken.claims.device))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Device has been revoked',
+        code: 'DEVICE_REVOKED',
+      });
+    }
 
     // Attach user info to request
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      companyId: userData.companyId,
-      role: userData.role,
-      permissions: userData.permissions || [],
+      companyId: profile.companyId,
+      role: profile.role,
+      permissions: profile.permissions,
+      mfaEnabled: profile.mfaEnabled,
+      companyRequiresMfa: profile.companyRequiresMfa,
+      ownerOnlyEditing: Boolean(profile.ownerOnlyEditing),
+      teamIds: profile.teamIds || [],
+      mfaVerified: decodedToken.claims.mfa === true, // Session was started with a second factor
+      deviceId: decodedToken.claims.device || null,
     };
 
+    // Super admins can act inside another company with an impersonation token
+    const impersonationToken = req.headers[impersonationService.HEADER];
+    if (impersonationToken) {
+      const { impersonation, violation } = await impersonationService.resolveSession(
+        impersonationToken,
+        req.user,
+        req.method
+      );
+
+      if (violation) {
+        return res.status(violation.status).json({
+          success: false,
+          error: violation.error,
+          code: violation.code,
+        });
+      }
+
+      // Act as a company admin; uid stays the super admin's so writes are attributed to them
+      req.impersonation = impersonation;
+      req.user = {
+        ...req.user,
+        companyId: impersonation.companyId,
+        role: 'admin',
+        permissions: ['read', 'write', 'admin'],
+      };
+      getRequestContext().impersonation = impersonation;
+    }
+
     next();
   } catch (error) {
     console.error('Auth error:', error);
 
-    if (error.code === 'auth/id-token-expired') {
+    if (error.code === IDENTITY_ERRORS.TOKEN_EXPIRED) {
       return res.status(401).json({
         success: false,
         error: 'Token expired',
@@ -71,33 +155,37 @@ const verifyApiKey = async (req, res, next) => {
       return res.status(401).json({
         success: false,
         error: 'Unauthorized: No API key provided',
+        code: 'API_KEY_MISSING',
       });
     }
 
-    // Query Firestore for the API key
-    const apiKeysSnapshot = await db.collection('apiKeys')
-      .where('key', '==', apiKey)
-      .where('active', '==', true)
-      .limit(1)
-      .get();
+    // Look up the API key (current key, or previous key within its rotation grace period)
+    const apiKeyDoc = await apiKeyService.findActiveKey(apiKey);
 
-    if (apiKeysSnapshot.empty) {
+    if (!apiKeyDoc) {
       return res.status(401).json({
         success: false,
         error: 'Invalid or inactive API key',
+        code: 'API_KEY_INVALID',
       });
     }
 
-    const apiKeyDoc = apiKeysSnapshot.docs[0];
     const apiKeyData = apiKeyDoc.data();
 
-    // Update last used timestamp
-    await apiKeyDoc.ref.update({
-      lastUsed: new Date().toISOString(),
-    });
+    // Enforce expiry and IP allowlist, then count the request against the daily quota
+    const violation = apiKeyService.checkConstraints(apiKeyData, req.ip)
+      || (await apiKeyService.recordUsage(apiKeyDoc));
+    if (violation) {
+      return res.status(violation.status).json({
+        success: false,
+        error: violation.error,
+        code: violation.code,
+      });
+    }
 
     // Attach API client info to request
     req.apiClient = {
+      keyId: apiKeyDoc.id, // Non-secret identifier, safe to log
       companyId: apiKeyData.companyId,
       permissions: apiKeyData.permissions || ['read'],
       name: apiKeyData.name,
@@ -114,13 +202,54 @@ const verifyApiKey = async (req, res, next) => {
 };
 
 /**
- * Middleware that accepts either Firebase token or API key
+ * Middleware to verify an access token issued by POST /auth/token
+ * Stateless apart from a short-lived cache of the key's state; attaches req.apiClient
+ */
+const verifyClientToken = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split('Bearer ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: No token provided',
+      });
+    }
+
+    const { apiClient, violation } = await clientCredentials.verifyAccessToken(token, req.ip);
+
+    if (violation) {
+      return res.status(violation.status).json({
+        success: false,
+        error: violation.error,
+        code: violation.code,
+      });
+    }
+
+    req.apiClient = apiClient;
+    next();
+  } catch (error) {
+    console.error('Client token verification error:', error);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token',
+    });
+  }
+};
+
+/**
+ * Middleware that accepts either a Bearer token (user or API client) or API key
  */
 const authenticate = async (req, res, next) => {
   const hasAuthHeader = req.headers.authorization?.startsWith('Bearer ');
   const hasApiKey = req.headers['x-api-key'];
 
   if (hasAuthHeader) {
+    // Client tokens are told apart by their audience; verification happens in the handler
+    const claims = peekToken(req.headers.authorization.split('Bearer ')[1]);
+    if (claims?.aud === clientCredentials.TOKEN_AUDIENCE) {
+      return verifyClientToken(req, res, next);
+    }
     return verifyToken(req, res, next);
   } else if (hasApiKey) {
     return verifyApiKey(req, res, next);
@@ -135,5 +264,6 @@ const authenticate = async (req, res, next) => {
 module.exports = {
   verifyToken,
   verifyApiKey,
+  verifyClientToken,
   authenticate,
 };
@@ -17,6 +17,7 @@ const createRateLimiter = (options = {}) => {
     message = 'Too many requests from this IP, please try again later.',
     skipSuccessfulRequests = false,
     skipFailedRequests = false,
+    prefix = 'rl:', // Use a distinct prefix so limiters stacked on one route don't share counters
   } = options;
 
   const limiterConfig = {
@@ -37,7 +38,7 @@ const createRateLimiter = (options = {}) => {
     const redisClient = getRedisClient();
     limiterConfig.store = new RedisStore({
       sendCommand: (...args) => redisClient.sendCommand(args),
-      prefix: 'rl:', // Rate limit prefix
+      prefix, // Rate limit prefix
     });
     console.log('✓ Rate limiter using Redis store');
   } else {
@@ -78,6 +79,40 @@ const authLimiter = createRateLimiter({
   message: 'Too many authentication attempts, please try again in an hour.',
 });
 
+/**
+ * Forgot-password rate limiter (applied on top of authLimiter)
+ * 5 requests per hour
+ */
+const forgotPasswordLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again in an hour.',
+  prefix: 'rl:forgot-password:',
+});
+
+/**
+ * Reset-password rate limiter (applied on top of authLimiter)
+ * 5 failed attempts per 15 minutes
+ */
+const resetPasswordLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset attempts, please try again in 15 minutes.',
+  skipSuccessfulRequests: true, // Only count failed requests
+  prefix: 'rl:reset-password:',
+});
+
+/**
+ * Device flow rate limiter (replaces authLimiter so devices can poll)
+ * 300 requests per 15 minutes
+ */
+const deviceLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  message: 'Too many device authorization requests, please try again later.',
+  prefix: 'rl:device:',
+});
+
 /**
  * Upload rate limiter
  * 20 uploads per hour
@@ -103,6 +138,9 @@ module.exports = {
   apiLimiter,
   strictLimiter,
   authLimiter,
+  forgotPasswordLimiter,
+  resetPasswordLimiter,
+  deviceLimiter,
   uploadLimiter,
   adminLimiter,
 };
@@ -1,12 +1,46 @@
+const { hasScope } = require('../utils/scopes');
+const policy = require('../utils/policy');
+const { getReferringFields } = require('../schemas');
+const { MFA_ROLES, isMfaRequired } = require('../services/mfa');
+const { coversBuiltInRole } = require('../services/roles');
+
 /**
  * Role-based access control middleware
  * Checks if user has required permissions for the requested action
  */
 
+/**
+ * Refuse users whose session needs MFA but wasn't MFA-verified
+ * API key clients are not affected
+ */
+const requireMfa = (req, res, next) => {
+  if (!req.user || req.user.mfaVerified || !isMfaRequired(req.user)) {
+    return next();
+  }
+
+  if (!req.user.mfaEnabled) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden: Your company requires MFA for admins. Enroll via /api/users/me/mfa/setup, then log in again',
+      code: 'MFA_ENROLLMENT_REQUIRED',
+    });
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden: This action requires an MFA-verified session. Log in again with your authenticator code',
+    code: 'MFA_REQUIRED',
+  });
+};
+
 /**
  * Check if user has required role
+ * A custom company role passes when its permissions cover one of the allowed built-in roles
+ * Routes restricted to admin roles also require an MFA-verified session when MFA applies
  */
 const requireRole = (allowedRoles) => {
+  const adminOnly = allowedRoles.every((role) => [...MFA_ROLES, 'owner'].includes(role));
+
   return (req, res, next) => {
     const userRole = req.user?.role || req.apiClient?.role;
 
@@ -17,25 +51,49 @@ const requireRole = (allowedRoles) => {
       });
     }
 
-    if (!allowedRoles.includes(userRole)) {
+    const permissions = req.user?.permissions || [];
+    const allowed = allowedRoles.includes(userRole)
+      || allowedRoles.some((role) => coversBuiltInRole(permissions, role));
+
+    if (!allowed) {
       return res.status(403).json({
         success: false,
         error: `Forbidden: Requires one of these roles: ${allowedRoles.join(', ')}`,
       });
     }
 
+    if (adminOnly) {
+      return requireMfa(req, res, next);
+    }
+
     next();
   };
 };
 
+/**
+ * Check if user is super admin (owner)
+ * Also requires an MFA-verified session when MFA applies
+ */
+const requireSuperAdmin = (req, res, next) => {
+  if (req.user?.role !== 'super-admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden: Super admin access required',
+    });
+  }
+  requireMfa(req, res, next);
+};
+
 /**
  * Check if user has required permission
+ * Accepts flat permissions ('read', 'edit', 'write', 'admin') and scopes ('analytics:read')
+ * User permissions come from their company role (see services/roles.js)
  */
 const requirePermission = (requiredPermission) => {
   return (req, res, next) => {
     const permissions = req.user?.permissions || req.apiClient?.permissions || [];
 
-    if (!permissions.includes(requiredPermission) && !permissions.includes('admin')) {
+    if (!hasScope(permissions, requiredPermission)) {
       return res.status(403).json({
         success: false,
         error: `Forbidden: Requires '${requiredPermission}' permission`,
@@ -46,6 +104,94 @@ const requirePermission = (requiredPermission) => {
   };
 };
 
+/**
+ * Permissions of the caller: the API key's, or the user's (resolved from their role)
+ */
+const callerPermissions = (req) => {
+  return req.apiClient ? req.apiClient.permissions || [] : req.user?.permissions || [];
+};
+
+/**
+ * 403 response naming the permission the caller is missing
+ */
+const denyPermission = (req, res, scope, action) => {
+  const subject = req.apiClient ? 'API key' : 'Your role';
+
+  return res.status(403).json({
+    success: false,
+    error: `Forbidden: ${subject} does not have the '${scope}' permission${action ? ` required to ${action}` : ''}`,
+    code: 'PERMISSION_DENIED',
+    requiredPermission: scope,
+  });
+};
+
+/**
+ * Check if the caller has the scope a route needs (e.g. 'analytics:read')
+ * API keys are checked against their own permissions, users against their role's
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!hasScope(callerPermissions(req), scope)) {
+      return denyPermission(req, res, scope);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Enforce the content policy for an action on a collection (see utils/policy.js)
+ * e.g. authorize('characters', 'delete')
+ */
+const authorize = (collection, action) => {
+  const scope = policy.requiredScope(collection, action);
+
+  return (req, res, next) => {
+    if (!hasScope(callerPermissions(req), scope)) {
+      return denyPermission(req, res, scope, action);
+    }
+
+    next();
+  };
+};
+
+/**
+ * For deletes with ?cascade=true, also require the delete permission on every
+ * collection whose documents can reference this one, as they are deleted with it
+ */
+const authorizeCascade = (collection) => {
+  const referringCollections = new Set(getReferringFields(collection.slice(0, -1)).map((reference) => reference.collection));
+  const scopes = [...referringCollections].map((referring) => policy.requiredScope(referring, 'delete'));
+
+  return (req, res, next) => {
+    if (req.query.cascade !== 'true') {
+      return next();
+    }
+
+    const missing = scopes.find((scope) => !hasScope(callerPermissions(req), scope));
+    if (missing) {
+      return denyPermission(req, res, missing, 'delete with cascade');
+    }
+
+    next();
+  };
+};
+
+/**
+ * Allow users with one of the given roles, or API keys with the given scope
+ */
+const requireRoleOrScope = (allowedRoles, scope) => {
+  const checkRole = requireRole(allowedRoles);
+  const checkScope = requireScope(scope);
+
+  return (req, res, next) => {
+    if (req.apiClient) {
+      return checkScope(req, res, next);
+    }
+    return checkRole(req, res, next);
+  };
+};
+
 /**
  * Ensure user can only access their own company's data
  * This middleware should be used on routes that access company-specific data
@@ -66,29 +212,14 @@ const requireCompanyAccess = (req, res, next) => {
   next();
 };
 
-/**
- * Check if user can perform write operations (create, update, delete)
- * API keys with only 'read' permission will be blocked
- */
-const requireWrite = (req, res, next) => {
-  // Check if this is an API key request
-  if (req.apiClient) {
-    const permissions = req.apiClient.permissions || [];
-    if (!permissions.includes('write') && !permissions.includes('admin')) {
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden: API key does not have write permission',
-      });
-    }
-  }
-
-  // Firebase authenticated users have write by default (controlled by role)
-  next();
-};
-
 module.exports = {
+  requireMfa,
   requireRole,
+  requireSuperAdmin,
   requirePermission,
+  requireScope,
+  authorize,
+  authorizeCascade,
+  requireRoleOrScope,
   requireCompanyAccess,
-  requireWrite,
 };
@@ -10,6 +10,7 @@ const { v4: uuidv4 } = require('uuid');
  * - Response status
  * - Response time
  * - User/Company ID
+ * - Impersonating super admin, if any
  * - IP address
  * - User agent
  * - Request size
@@ -71,6 +72,9 @@ const usageLogger = async (req, res, next) => {
         responseSize,
         queryParams: Object.keys(req.query).length > 0 ? req.query : null,
         apiKey: req.headers['x-api-key'] ? 'present' : null,
+        apiKeyId: req.apiClient?.keyId || null,
+        impersonationSessionId: req.impersonation?.sessionId || null,
+        impersonatorId: req.impersonation?.actorUid || null,
         error: isError,
         errorType: isError ? (isAuthError ? 'auth' : isClientError ? 'client' : 'server') : null,
         isAuthError,
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { requireRole } = require('../middleware/rbac');
+const { requireRoleOrScope } = require('../middleware/rbac');
 const analyticsService = require('../services/analytics');
 
+const ANALYTICS_SCOPE = 'analytics:read';
+
 /**
  * @swagger
  * tags:
@@ -40,10 +42,10 @@ const analyticsService = require('../services/analytics');
  *       403:
  *         description: Forbidden - Admin only
  */
-router.get('/dashboard', authenticate, requireRole(['admin', 'owner']), async (req, res) => {
+router.get('/dashboard', authenticate, requireRoleOrScope(['admin', 'owner'], ANALYTICS_SCOPE), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const companyId = req.user.companyId;
+    const companyId = req.apiClient ? req.apiClient.companyId : req.user.companyId;
 
     const result = await analyticsService.getDashboardStats(companyId, {
       startDate,
@@ -89,10 +91,10 @@ router.get('/dashboard', authenticate, requireRole(['admin', 'owner']), async (r
  *       403:
  *         description: Forbidden - Admin only
  */
-router.get('/endpoints', authenticate, requireRole(['admin', 'owner']), async (req, res) => {
+router.get('/endpoints', authenticate, requireRoleOrScope(['admin', 'owner'], ANALYTICS_SCOPE), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const companyId = req.user.companyId;
+    const companyId = req.apiClient ? req.apiClient.companyId : req.user.companyId;
 
     const result = await analyticsService.getEndpointSummary(companyId, {
       startDate,
@@ -138,10 +140,10 @@ router.get('/endpoints', authenticate, requireRole(['admin', 'owner']), async (r
  *       403:
  *         description: Forbidden - Admin only
  */
-router.get('/users', authenticate, requireRole(['admin', 'owner']), async (req, res) => {
+router.get('/users', authenticate, requireRoleOrScope(['admin', 'owner'], ANALYTICS_SCOPE), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const companyId = req.user.companyId;
+    const companyId = req.apiClient ? req.apiClient.companyId : req.user.companyId;
 
     const result = await analyticsService.getUserActivity(companyId, {
       startDate,
@@ -193,10 +195,10 @@ router.get('/users', authenticate, requireRole(['admin', 'owner']), async (req,
  *       403:
  *         description: Forbidden - Admin only
  */
-router.get('/timeline', authenticate, requireRole(['admin', 'owner']), async (req, res) => {
+router.get('/timeline', authenticate, requireRoleOrScope(['admin', 'owner'], ANALYTICS_SCOPE), async (req, res) => {
   try {
     const { startDate, endDate, interval } = req.query;
-    const companyId = req.user.companyId;
+    const companyId = req.apiClient ? req.apiClient.companyId : req.user.companyId;
 
     const result = await analyticsService.getUsageTimeline(companyId, {
       startDate,
@@ -249,10 +251,10 @@ router.get('/timeline', authenticate, requireRole(['admin', 'owner']), async (re
  *       403:
  *         description: Forbidden - Admin only
  */
-router.get('/errors', authenticate, requireRole(['admin', 'owner']), async (req, res) => {
+router.get('/errors', authenticate, requireRoleOrScope(['admin', 'owner'], ANALYTICS_SCOPE), async (req, res) => {
   try {
     const { startDate, endDate, limit } = req.query;
-    const companyId = req.user.companyId;
+    const companyId = req.apiClient ? req.apiClient.companyId : req.user.companyId;
 
     const result = await analyticsService.getErrorLogs(companyId, {
       startDate,
@@ -299,10 +301,10 @@ router.get('/errors', authenticate, requireRole(['admin', 'owner']), async (req,
  *       403:
  *         description: Forbidden - Admin only
  */
-router.get('/performance', authenticate, requireRole(['admin', 'owner']), async (req, res) => {
+router.get('/performance', authenticate, requireRoleOrScope(['admin', 'owner'], ANALYTICS_SCOPE), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const companyId = req.user.companyId;
+    const companyId = req.apiClient ? req.apiClient.companyId : req.user.companyId;
 
     const result = await analyticsService.getPerformanceMetrics(companyId, {
       startDate,
@@ -354,10 +356,10 @@ router.get('/performance', authenticate, requireRole(['admin', 'owner']), async
  *       403:
  *         description: Forbidden - Admin only
  */
-router.get('/logs', authenticate, requireRole(['admin', 'owner']), async (req, res) => {
+router.get('/logs', authenticate, requireRoleOrScope(['admin', 'owner'], ANALYTICS_SCOPE), async (req, res) => {
   try {
     const { startDate, endDate, limit } = req.query;
-    const companyId = req.user.companyId;
+    const companyId = req.apiClient ? req.apiClient.companyId : req.user.companyId;
 
     const result = await analyticsService.getUsageStats(companyId, {
       startDate,
@@ -0,0 +1,473 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { requireCompanyAccess, requireRole } = require('../middleware/rbac');
+const apiKeyService = require('../services/api-keys');
+const { invalidateClient } = require('../services/client-credentials');
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: List all API keys for your company (admin only). Secrets are never included.
+ *     tags: [API Keys]
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 count:
+ *                   type: integer
+ *       403:
+ *         description: Not authorized (admin role required)
+ */
+router.get('/', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const keys = await apiKeyService.listApiKeys(req.companyId);
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length,
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Issue a new API key for your company (admin only). The full key is only returned in this response.
+ *     tags: [API Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Unity Build
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: "Flat permissions (read, edit, write, admin) or scopes such as scenarios:read, characters:edit, analytics:read"
+ *                 example: [scenarios:read, characters:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry date
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional allowlist of IP addresses or CIDR ranges
+ *                 example: [203.0.113.0/24, 198.51.100.7]
+ *               dailyQuota:
+ *                 type: integer
+ *                 description: Optional maximum number of requests per UTC day
+ *                 example: 10000
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 key:
+ *                   type: string
+ *                   description: Full API key (shown only once)
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin role required)
+ */
+router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, permissions, expiresAt, allowedIps, dailyQuota } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required',
+      });
+    }
+
+    const permissionError = apiKeyService.validatePermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        error: permissionError,
+      });
+    }
+
+    const constraintError = apiKeyService.validateConstraints({ expiresAt, allowedIps, dailyQuota });
+    if (constraintError) {
+      return res.status(400).json({
+        success: false,
+        error: constraintError,
+      });
+    }
+
+    const result = await apiKeyService.createApiKey(
+      req.companyId,
+      {
+        name,
+        permissions,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        allowedIps,
+        dailyQuota,
+      },
+      req.user.uid
+    );
+
+    res.status(201).json({
+      success: true,
+      key: result.key,
+      data: result.data,
+      message: 'API key created. Store it now - it will not be shown again.',
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key
+ *     description: Get details of a single API key (admin only). The secret is never included.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key details
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: API key not found
+ */
+router.get('/:id', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const doc = await apiKeyService.getApiKeyDoc(req.companyId, req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKeyService.toPublicKey({ id: doc.id, ...doc.data() }),
+    });
+  } catch (error) {
+    console.error('Error fetching API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API key',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   put:
+ *     summary: Update an API key
+ *     description: Update the name, permissions or constraints of an API key (admin only). Send null to clear a constraint.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               allowedIps:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *               dailyQuota:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: API key not found
+ */
+router.put('/:id', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, permissions, expiresAt, allowedIps, dailyQuota } = req.body;
+
+    if (name !== undefined && (!name || typeof name !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name must be a non-empty string',
+      });
+    }
+
+    if (permissions !== undefined) {
+      const permissionError = apiKeyService.validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          error: permissionError,
+        });
+      }
+    }
+
+    const constraintError = apiKeyService.validateConstraints({ expiresAt, allowedIps, dailyQuota });
+    if (constraintError) {
+      return res.status(400).json({
+        success: false,
+        error: constraintError,
+      });
+    }
+
+    const result = await apiKeyService.updateApiKey(
+      req.companyId,
+      req.params.id,
+      {
+        name,
+        permissions,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : expiresAt,
+        allowedIps,
+        dailyQuota,
+      },
+      req.user.uid
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    await invalidateClient(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'API key updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: |
+ *       Issue a new secret for an API key (admin only). The old secret, and access tokens issued
+ *       with it at POST /auth/token, keep working until the grace period ends.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gracePeriodHours:
+ *                 type: number
+ *                 default: 24
+ *                 description: Hours the old secret stays valid (0 to revoke it immediately)
+ *     responses:
+ *       200:
+ *         description: API key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 key:
+ *                   type: string
+ *                   description: New API key (shown only once)
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid grace period or inactive key
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: API key not found
+ */
+router.post('/:id/rotate', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { gracePeriodHours = apiKeyService.DEFAULT_GRACE_PERIOD_HOURS } = req.body || {};
+
+    if (typeof gracePeriodHours !== 'number' || gracePeriodHours < 0 || gracePeriodHours > 24 * 30) {
+      return res.status(400).json({
+        success: false,
+        error: 'gracePeriodHours must be a number between 0 and 720',
+      });
+    }
+
+    const doc = await apiKeyService.getApiKeyDoc(req.companyId, req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    if (!doc.data().active) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot rotate a revoked API key',
+      });
+    }
+
+    const result = await apiKeyService.rotateApiKey(
+      req.companyId,
+      req.params.id,
+      { gracePeriodHours },
+      req.user.uid
+    );
+
+    // Access tokens issued with the old secret stop working when its grace period ends
+    await invalidateClient(req.params.id);
+
+    res.json({
+      success: true,
+      key: result.key,
+      data: result.data,
+      message: 'API key rotated. Store the new key now - it will not be shown again.',
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Revoke an API key immediately, including any previous secret in its grace period and any access tokens issued for it (admin only)
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await apiKeyService.revokeApiKey(req.companyId, req.params.id, req.user.uid);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    await invalidateClient(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'API key revoked successfully',
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+    });
+  }
+});
+
+module.exports = router;
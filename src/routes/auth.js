@@ -1,14 +1,26 @@
 const express = require('express');
-const fetch = require('node-fetch');
 const router = express.Router();
-const { auth, db } = require('../config/firebase');
+const { db } = require('../config/firebase');
+const { getIdentityProvider, IDENTITY_ERRORS } = require('../services/identity');
+const loginLockout = require('../services/login-lockout');
+const invitationService = require('../services/invitations');
+const passwordResets = require('../services/password-resets');
+const mfaService = require('../services/mfa');
+const clientCredentials = require('../services/client-credentials');
+const rolesService = require('../services/roles');
+const { forgotPasswordLimiter, resetPasswordLimiter } = require('../middleware/rate-limiter');
+const { validatePassword } = require('../utils/password');
+const { verifyToken } = require('../middleware/auth');
 
 /**
  * @swagger
  * /auth/login:
  *   post:
  *     summary: Login to get access token
- *     description: Authenticate with email and password to receive an access token for API requests
+ *     description: |
+ *       Authenticate with email and password to receive an access token for API requests.
+ *       For users with MFA enabled the response instead contains `mfaRequired: true` and an
+ *       `mfaToken` to exchange, together with an authenticator code, at POST /auth/login/mfa.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -50,25 +62,39 @@ const { auth, db } = require('../config/firebase');
  *                   example: 3600
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   description: Only present (true) when a second step is needed
+ *                 mfaToken:
+ *                   type: string
+ *                   description: Challenge token for POST /auth/login/mfa (valid for 5 minutes)
  *       401:
  *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: |
+ *           Too many failed attempts for this account. `code` is `LOGIN_DELAYED` (short back-off)
+ *           or `ACCOUNT_LOCKED` (temporary lockout). `retryAfter` and the Retry-After header give
+ *           the wait in seconds.
  */
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
 
     // Validate required fields
-    if (!email || !password) {
+    if (typeof req.body.email !== 'string' || !req.body.email || !password) {
       return res.status(400).json({
         success: false,
         error: 'Email and password are required',
       });
     }
 
+    // Users, credentials and lockouts are all stored under the lowercased email
+    const email = req.body.email.trim().toLowerCase();
+
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
@@ -78,6 +104,18 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Refuse early if this account is locked or still in its back-off delay
+    const blocked = await loginLockout.checkLoginAllowed(email);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        success: false,
+        error: blocked.error,
+        code: blocked.code,
+        retryAfter: blocked.retryAfter,
+      });
+    }
+
     // Get user from Firestore by email
     const usersSnapshot = await db
       .collection('users')
@@ -86,6 +124,8 @@ router.post('/login', async (req, res) => {
       .get();
 
     if (usersSnapshot.empty) {
+      // Count failures for unknown emails too, so lockouts don't reveal which accounts exist
+      await loginLockout.recordFailure(email, { ip: req.ip });
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password',
@@ -95,68 +135,168 @@ router.post('/login', async (req, res) => {
     const userDoc = usersSnapshot.docs[0];
     const userData = userDoc.data();
 
-    // Verify the user exists in Firebase Auth
-    let firebaseUser;
+    // Verify the password with the identity provider
+    let session;
     try {
-      firebaseUser = await auth.getUserByEmail(email);
+      session = await getIdentityProvider().signIn(email, password);
     } catch (error) {
-      return res.status(401).json({
+      if (error.code === IDENTITY_ERRORS.INVALID_CREDENTIALS) {
+        await loginLockout.recordFailure(email, { ip: req.ip, user: userData });
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid email or password',
+        });
+      }
+      if (error.code === IDENTITY_ERRORS.NOT_CONFIGURED) {
+        return res.status(500).json({
+          success: false,
+          error: 'Authentication service not configured',
+        });
+      }
+      throw error;
+    }
+
+    await loginLockout.clearFailures(email);
+
+    // Enrolled users get a challenge instead of a session until they pass the second step
+    if (userData.mfaEnabled) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: mfaService.createChallenge(userData.uid),
+      });
+    }
+
+    // Return the ID token and user info
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: {
+        uid: userData.uid,
+        email: userData.email,
+        role: userData.role,
+        permissions: await rolesService.resolvePermissions(userData.companyId, userData.role, userData.permissions),
+        companyId: userData.companyId,
+      },
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login/mfa:
+ *   post:
+ *     summary: Complete login with MFA
+ *     description: |
+ *       Exchange the `mfaToken` from POST /auth/login plus a code from your authenticator app
+ *       (or a single-use recovery code) for an MFA-verified session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-c2b7d
+ *     responses:
+ *       200:
+ *         description: Login successful (same shape as POST /auth/login)
+ *       400:
+ *         description: Missing code
+ *       401:
+ *         description: Invalid, expired or already used challenge, or wrong code
+ *       429:
+ *         description: Too many failed attempts for this account
+ */
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid email or password',
+        error: 'mfaToken and either code or recoveryCode are required',
       });
     }
 
-    // We can't verify password with Firebase Admin SDK directly
-    // So we'll use Firebase Auth REST API to verify credentials
-    const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
+    const challenge = await mfaService.verifyChallenge(mfaToken);
+    const uid = challenge?.uid;
+    const userDoc = uid ? await db.collection('users').doc(uid).get() : null;
 
-    if (!FIREBASE_API_KEY) {
-      console.error('FIREBASE_API_KEY not set in environment variables');
-      return res.status(500).json({
+    if (!userDoc?.exists) {
+      return res.status(401).json({
         success: false,
-        error: 'Authentication service not configured',
+        error: 'MFA challenge is invalid or has expired, please log in again',
+        code: 'MFA_CHALLENGE_INVALID',
       });
     }
 
-    // Verify password by calling Firebase Auth REST API
-    const authResponse = await fetch(
-      `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${FIREBASE_API_KEY}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          email,
-          password,
-          returnSecureToken: true,
-        }),
-      }
-    );
+    const userData = userDoc.data();
 
-    const authData = await authResponse.json();
+    // Wrong codes count towards the same per-account lockout as wrong passwords
+    const blocked = await loginLockout.checkLoginAllowed(userData.email);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        success: false,
+        error: blocked.error,
+        code: blocked.code,
+        retryAfter: blocked.retryAfter,
+      });
+    }
 
-    if (!authResponse.ok || authData.error) {
+    const method = await mfaService.verifySecondFactor(uid, { code, recoveryCode });
+    if (!method) {
+      await loginLockout.recordFailure(userData.email, { ip: req.ip, user: userData });
       return res.status(401).json({
         success: false,
-        error: 'Invalid email or password',
+        error: 'Invalid authentication code',
+        code: 'MFA_CODE_INVALID',
       });
     }
 
-    // Return the ID token and user info
+    await mfaService.consumeChallenge(challenge.nonce);
+    await loginLockout.clearFailures(userData.email);
+
+    const session = await getIdentityProvider().createSession(uid, { mfa: true });
+
     res.json({
       success: true,
-      token: authData.idToken,
-      refreshToken: authData.refreshToken,
-      expiresIn: parseInt(authData.expiresIn),
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         uid: userData.uid,
         email: userData.email,
         role: userData.role,
-        permissions: userData.permissions,
+        permissions: await rolesService.resolvePermissions(userData.companyId, userData.role, userData.permissions),
         companyId: userData.companyId,
       },
+      ...(method === 'recovery-code' && {
+        recoveryCodesRemaining: (await mfaService.getStatus(uid)).recoveryCodesRemaining,
+      }),
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('MFA login error:', error);
     res.status(500).json({
       success: false,
       error: 'Login failed',
@@ -218,41 +358,454 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
-
-    // Exchange refresh token for new ID token
-    const response = await fetch(
-      `https://securetoken.googleapis.com/v1/token?key=${FIREBASE_API_KEY}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          grant_type: 'refresh_token',
-          refresh_token: refreshToken,
-        }),
+    let session;
+    try {
+      session = await getIdentityProvider().refresh(refreshToken);
+    } catch (error) {
+      if (error.code === IDENTITY_ERRORS.INVALID_REFRESH_TOKEN) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid refresh token',
+        });
       }
-    );
+      throw error;
+    }
 
-    const data = await response.json();
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token',
+    });
+  }
+});
 
-    if (!response.ok || data.error) {
-      return res.status(401).json({
+/**
+ * @swagger
+ * /auth/token:
+ *   post:
+ *     summary: Get an access token for an API client
+ *     description: |
+ *       OAuth2 client credentials grant. Exchange an API key (client_id = the key prefix before
+ *       the dot, client_secret = the part after it) for a short-lived access token, then send it
+ *       as `Authorization: Bearer <token>` instead of `x-api-key`. Credentials may also be sent
+ *       with HTTP Basic authentication. Tokens stop working when the key is revoked, or when its
+ *       secret is rotated and the grace period ends.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/ClientCredentialsRequest'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClientCredentialsRequest'
+ *     responses:
+ *       200:
+ *         description: Access token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                   example: Bearer
+ *                 expires_in:
+ *                   type: integer
+ *                   example: 3600
+ *                 scope:
+ *                   type: string
+ *                   example: scenarios:read characters:read
+ *       400:
+ *         description: "`error` is `invalid_request`, `unsupported_grant_type` or `invalid_scope`"
+ *       401:
+ *         description: "`error` is `invalid_client` (unknown, revoked or expired key)"
+ *       403:
+ *         description: Request IP address is not in the API key allowlist
+ *       429:
+ *         description: API key daily request quota exceeded
+ */
+router.post('/token', async (req, res) => {
+  try {
+    const { clientId, clientSecret } = clientCredentials.parseClientCredentials(req);
+
+    const result = await clientCredentials.issueToken({
+      grantType: req.body?.grant_type,
+      clientId,
+      clientSecret,
+      scope: req.body?.scope,
+      ip: req.ip,
+    });
+
+    // Token responses must not be cached (RFC 6749 section 5.1)
+    res.set('Cache-Control', 'no-store');
+
+    if (result.error) {
+      return res.status(result.error.status).json({
         success: false,
-        error: 'Invalid refresh token',
+        error: result.error.error,
+        error_description: result.error.description,
+        ...(result.error.code && { code: result.error.code }),
       });
     }
 
     res.json({
       success: true,
-      token: data.id_token,
-      refreshToken: data.refresh_token,
-      expiresIn: parseInt(data.expires_in),
+      access_token: result.accessToken,
+      token_type: 'Bearer',
+      expires_in: result.expiresIn,
+      scope: result.scope,
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Client token error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to refresh token',
+      error: 'server_error',
+      error_description: 'Failed to issue access token',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/accept-invite:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: Set your password using the token from an invitation email. Returns tokens so you are logged in immediately.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invite link
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Must be at least 6 characters
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error, or the invite is invalid, expired or already used
+ *       409:
+ *         description: An account with the invited email already exists (ACCOUNT_EXISTS)
+ */
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required',
+      });
+    }
+
+    // Validate password strength
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError,
+      });
+    }
+
+    const invitationDoc = await invitationService.findPendingByToken(token);
+
+    let userData;
+    try {
+      userData = invitationDoc && (await invitationService.acceptInvitation(invitationDoc, password));
+    } catch (error) {
+      if (error.code === IDENTITY_ERRORS.EMAIL_EXISTS) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists. Log in or reset your password instead',
+          code: 'ACCOUNT_EXISTS',
+        });
+      }
+      throw error;
+    }
+
+    if (!userData) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invitation is invalid, expired or has already been used',
+        code: 'INVITE_INVALID',
+      });
+    }
+
+    const session = await getIdentityProvider().signIn(userData.email, password);
+
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: {
+        uid: userData.uid,
+        email: userData.email,
+        role: userData.role,
+        permissions: await rolesService.resolvePermissions(userData.companyId, userData.role, userData.permissions),
+        companyId: userData.companyId,
+      },
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: |
+ *       Email a single-use password reset link (valid for 60 minutes). The response is the same
+ *       whether or not the email belongs to an account.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@company.com
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Invalid email format
+ *       429:
+ *         description: Too many reset requests
+ */
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required',
+      });
+    }
+
+    // Don't wait for the lookup and email, so response time doesn't reveal whether the account exists
+    passwordResets.requestReset(email, { ip: req.ip }).catch((error) => {
+      console.error('Password reset request error:', error);
+    });
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request password reset',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Set a new password using the token from a reset email. All existing sessions are revoked.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset link
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Must be at least 6 characters
+ *     responses:
+ *       200:
+ *         description: Password reset, log in with the new password
+ *       400:
+ *         description: Validation error, or the token is invalid, expired or already used
+ *       429:
+ *         description: Too many failed reset attempts
+ */
+router.post('/reset-password', resetPasswordLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required',
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError,
+      });
+    }
+
+    const reset = await passwordResets.resetPassword(token, password);
+
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid, expired or has already been used',
+        code: 'RESET_TOKEN_INVALID',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: |
+ *       End the session the refresh token belongs to, so it can no longer be refreshed. Other
+ *       sessions of the user (other browsers, devices and CLI logins) stay signed in. The access
+ *       token used for this request is stateless and keeps working until it expires (at most an
+ *       hour), so clients should discard it.
+ *
+ *       To sign out everywhere, change the password or have an admin call
+ *       `POST /api/users/{uid}/revoke-sessions`.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of the session to end
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Refresh token missing, invalid or not issued to the current user
+ *       401:
+ *         description: Invalid or expired token
+ */
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+      });
+    }
+
+    try {
+      await getIdentityProvider().endSession(req.user.uid, refreshToken);
+    } catch (error) {
+      if (error.code === IDENTITY_ERRORS.INVALID_REFRESH_TOKEN) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid refresh token',
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to logout',
     });
   }
 });
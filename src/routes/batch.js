@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { requireCompanyAccess } = require('../middleware/rbac');
+const firestoreService = require('../services/firestore');
+const teamsService = require('../services/teams');
+const { CONTENT_COLLECTIONS } = require('../services/trash');
+const { validateData, sanitizeData } = require('../utils/validator');
+const policy = require('../utils/policy');
+const { accessContext, failureStatus } = require('../utils/access');
+
+const OPERATIONS = ['create', 'update', 'delete'];
+const MAX_OPERATIONS = 500;
+
+// Firestore commits at most 500 writes at once; an update also stores a revision
+const MAX_WRITES = 500;
+const WRITES = { create: 1, update: 2, delete: 1 };
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Operation from the request body, in the form firestoreService.batchWrite takes
+ */
+const toOperation = (item) => ({
+  op: item?.op,
+  collection: item?.type,
+  id: item?.id,
+  data: item?.data,
+  ifMatch: item?.ifMatch,
+});
+
+/**
+ * Problems with the shape of an operation
+ * A document may only be changed by one operation of the batch
+ */
+const shapeErrors = (operation, index, operations) => {
+  const { op, collection, id, data, ifMatch } = operation;
+  const errors = [];
+
+  if (!OPERATIONS.includes(op)) {
+    errors.push(`op must be one of: ${OPERATIONS.join(', ')}`);
+  }
+  if (!CONTENT_COLLECTIONS.includes(collection)) {
+    errors.push(`type must be one of: ${CONTENT_COLLECTIONS.join(', ')}`);
+  }
+
+  if (op === 'create' && id !== undefined) {
+    errors.push('id is generated for created documents and must be omitted');
+  }
+  if ((op === 'update' || op === 'delete') && (typeof id !== 'string' || !id || id.includes('/'))) {
+    errors.push('id must be a document ID');
+  }
+  if ((op === 'create' || op === 'update') && !isObject(data)) {
+    errors.push('data must be an object');
+  }
+  if (ifMatch !== undefined && (op !== 'update' || typeof ifMatch !== 'string')) {
+    errors.push('ifMatch must be an ETag string and is only allowed on updates');
+  }
+
+  const first = operations.findIndex((other) => other.op !== 'create' && other.collection === collection && other.id === id);
+  if (op !== 'create' && first !== index) {
+    errors.push(`Document '${id}' is already changed by operation ${first}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validate and sanitize the data of a create or update like the single-document routes do
+ * References are checked by firestoreService.batchWrite, in its transaction
+ * Returns { errors, data }
+ */
+const validateOperation = async (operation, checkTeam) => {
+  const type = operation.collection.slice(0, -1); // Remove 's' from collection name
+
+  const validation = validateData(type, operation.data, operation.op === 'update');
+  if (!validation.valid) {
+    return { errors: validation.errors };
+  }
+
+  const data = sanitizeData(type, operation.data);
+  const errors = [];
+
+  // Content can only be assigned to a team of the same company (updates can't change it)
+  if (operation.op === 'create' && data.teamId) {
+    const teamError = await checkTeam(data.teamId);
+    if (teamError) {
+      errors.push(teamError);
+    }
+  }
+
+  return { errors, data };
+};
+
+/**
+ * @swagger
+ * /api/batch:
+ *   post:
+ *     summary: Apply several content changes at once
+ *     description: |
+ *       Create, update and delete scenarios, characters, dialogues and environments in one request.
+ *       The batch is all or nothing: every operation is checked for permissions, validated against
+ *       its schema and checked against the current documents before anything is written, then all
+ *       changes are committed together. If any operation fails, nothing is written and the response
+ *       lists every operation with the reason for those that failed; its status is that of the
+ *       first failure.
+ *
+ *       Operations behave like the single-document endpoints: each needs the same permission and
+ *       document access, updates are partial, keep a revision and accept an `ifMatch` ETag, and
+ *       deletes move documents to the trash. A document can't be deleted while documents the batch
+ *       doesn't also delete reference it (there is no cascade), and a document can only be changed
+ *       by one operation.
+ *       Created documents get their IDs on commit, so they can't be referenced within the same batch.
+ *
+ *       Up to 500 operations, as long as they need at most 500 writes (updates take 2).
+ *     tags: [Batch]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 500
+ *                 items:
+ *                   $ref: '#/components/schemas/BatchOperation'
+ *           example:
+ *             operations:
+ *               - op: create
+ *                 type: characters
+ *                 data:
+ *                   name: Nina
+ *                   voiceId: voice-1
+ *                   status: active
+ *               - op: update
+ *                 type: scenarios
+ *                 id: scenario-123
+ *                 ifMatch: '"4"'
+ *                 data:
+ *                   description: Updated description
+ *               - op: delete
+ *                 type: dialogues
+ *                 id: dialogue-456
+ *     responses:
+ *       200:
+ *         description: All operations applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BatchResult'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Invalid request, or an operation failed validation (nothing written)
+ *       403:
+ *         description: An operation needs a permission or document access you don't have (nothing written)
+ *       404:
+ *         description: A document to update or delete was not found (nothing written)
+ *       409:
+ *         description: A document to delete is still referenced (nothing written)
+ *       412:
+ *         description: A document no longer matches its ifMatch ETag (nothing written)
+ */
+router.post('/', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const items = req.body?.operations;
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `operations must be an array of 1 to ${MAX_OPERATIONS} operations`,
+      });
+    }
+
+    const operations = items.map(toOperation);
+
+    const shapeFailures = operations.map((operation, index) => {
+      const errors = shapeErrors(operation, index, operations);
+      return errors.length > 0 ? { error: 'Validation failed', details: errors } : null;
+    });
+    if (shapeFailures.some(Boolean)) {
+      return res.status(400).json(firestoreService.rejectedBatch(operations, shapeFailures));
+    }
+
+    const writes = operations.reduce((total, { op }) => total + WRITES[op], 0);
+    if (writes > MAX_WRITES) {
+      return res.status(400).json({
+        success: false,
+        error: `Batch needs ${writes} writes, more than the limit of ${MAX_WRITES} (updates take 2). Split it into smaller batches`,
+      });
+    }
+
+    // Same policy as the single-document routes, checked for every operation
+    const permissions = (req.apiClient ? req.apiClient.permissions : req.user?.permissions) || [];
+    const subject = req.apiClient ? 'API key' : 'Your role';
+    const permissionFailures = operations.map(({ op, collection }) => {
+      const scope = policy.requiredScope(collection, op);
+      return policy.can(permissions, collection, op) ? null : {
+        error: `Forbidden: ${subject} does not have the '${scope}' permission required to ${op}`,
+        code: 'PERMISSION_DENIED',
+        requiredPermission: scope,
+      };
+    });
+    if (permissionFailures.some(Boolean)) {
+      return res.status(403).json(firestoreService.rejectedBatch(operations, permissionFailures));
+    }
+
+    // Validate everything before anything is written
+    const teamChecks = new Map();
+    const checkTeam = (teamId) => {
+      if (!teamChecks.has(teamId)) {
+        teamChecks.set(teamId, teamsService.checkTeamExists(req.companyId, teamId));
+      }
+      return teamChecks.get(teamId);
+    };
+
+    const validated = await Promise.all(operations.map((operation) => (operation.op === 'delete'
+      ? { errors: [] }
+      : validateOperation(operation, checkTeam))));
+
+    const validationFailures = validated.map(({ errors }) => (errors.length > 0 ? { error: 'Validation failed', details: errors } : null));
+    if (validationFailures.some(Boolean)) {
+      return res.status(400).json(firestoreService.rejectedBatch(operations, validationFailures));
+    }
+
+    const userId = req.user?.uid || req.apiClient?.name || 'system';
+    const result = await firestoreService.batchWrite(
+      operations.map((operation, index) => ({ ...operation, data: validated[index].data })),
+      userId,
+      req.companyId,
+      { access: accessContext(req) }
+    );
+
+    if (!result.success) {
+      return res.status(failureStatus(result.data.find((item) => item.error))).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error applying batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply batch',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { requireCompanyAccess, requireWrite } = require('../middleware/rbac');
+const { requireCompanyAccess, authorize, authorizeCascade } = require('../middleware/rbac');
 const { validateData, sanitizeData } = require('../utils/validator');
+const { parseListQuery } = require('../utils/list-query');
 const firestoreService = require('../services/firestore');
+const teamsService = require('../services/teams');
+const { accessContext, failureStatus } = require('../utils/access');
+const { etag } = require('../utils/etag');
+const createSharingRouter = require('./sharing');
+const createRevisionsRouter = require('./revisions');
 const storageService = require('../services/storage');
 
 const COLLECTION = 'characters';
@@ -16,6 +22,29 @@ const TYPE = 'character';
  *     summary: Get all characters
  *     description: Retrieve all AI characters for your company
  *     tags: [Characters]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Page size. Without limit or cursor, every document is returned
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, updatedAt or name, prefixed with '-' for descending (e.g. name, -updatedAt)
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only return documents assigned to this team. One filter per request, on teamId, status or voiceId (e.g. ?status=active)
  *     responses:
  *       200:
  *         description: List of characters
@@ -32,10 +61,29 @@ const TYPE = 'character';
  *                     $ref: '#/components/schemas/Character'
  *                 count:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to get the next page; null on the last page
+ *       400:
+ *         description: Invalid limit, cursor, sort or filter
  */
-router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+router.get('/', authenticate, requireCompanyAccess, authorize(COLLECTION, 'read'), async (req, res) => {
   try {
-    const result = await firestoreService.getAll(COLLECTION, req.companyId);
+    const { options, error } = parseListQuery(TYPE, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code: 'INVALID_QUERY',
+      });
+    }
+
+    const result = await firestoreService.getAll(COLLECTION, req.companyId, { ...options, access: accessContext(req) });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
     res.json(result);
   } catch (error) {
     console.error('Error fetching characters:', error);
@@ -63,6 +111,11 @@ router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
  *     responses:
  *       200:
  *         description: Character details
+ *         headers:
+ *           ETag:
+ *             description: Current version of the document, to send as If-Match when updating it
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -79,15 +132,16 @@ router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
+router.get('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await firestoreService.getById(COLLECTION, id, req.companyId);
+    const result = await firestoreService.getById(COLLECTION, id, req.companyId, { access: accessContext(req) });
 
     if (!result.success) {
       return res.status(404).json(result);
     }
 
+    res.set('ETag', etag(result.data));
     res.json(result);
   } catch (error) {
     console.error('Error fetching character:', error);
@@ -151,7 +205,7 @@ router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
  */
-router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.post('/', authenticate, requireCompanyAccess, authorize(COLLECTION, 'create'), async (req, res) => {
   try {
     const data = req.body;
 
@@ -168,10 +222,27 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
     // Sanitize data
     const sanitized = sanitizeData(TYPE, data);
 
+    // Content can only be assigned to a team of the same company
+    if (sanitized.teamId) {
+      const teamError = await teamsService.checkTeamExists(req.companyId, sanitized.teamId);
+      if (teamError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [teamError],
+        });
+      }
+    }
+
     // Create the character
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.create(COLLECTION, sanitized, userId, req.companyId);
+    const result = await firestoreService.create(COLLECTION, sanitized, userId, req.companyId, { access: accessContext(req) });
 
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+
+    res.set('ETag', etag(result.data));
     res.status(201).json(result);
   } catch (error) {
     console.error('Error creating character:', error);
@@ -195,6 +266,11 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read. If the document changed since, the update fails with 412
  *     requestBody:
  *       required: true
  *       content:
@@ -223,8 +299,10 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Character'
+ *       412:
+ *         description: The document changed since the If-Match version. The current version is returned in data, with its ETag
  */
-router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.put('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const data = req.body;
@@ -244,12 +322,20 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
 
     // Update the character
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.update(COLLECTION, id, sanitized, userId, req.companyId);
+    const result = await firestoreService.update(COLLECTION, id, sanitized, userId, req.companyId, {
+      access: accessContext(req),
+      ifMatch: req.get('If-Match'),
+    });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      // A failed If-Match returns the current version so the client can merge and retry
+      if (result.code === 'PRECONDITION_FAILED') {
+        res.set('ETag', etag(result.data));
+      }
+      return res.status(failureStatus(result)).json(result);
     }
 
+    res.set('ETag', etag(result.data));
     res.json(result);
   } catch (error) {
     console.error('Error updating character:', error);
@@ -265,7 +351,7 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
  * /api/characters/{id}:
  *   delete:
  *     summary: Delete character
- *     description: Delete a character permanently
+ *     description: Move a character to the trash. It can be restored with POST /api/trash/characters/{id}/restore until it is purged
  *     tags: [Characters]
  *     parameters:
  *       - in: path
@@ -273,21 +359,31 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *         description: Also move the scenarios that reference it to the trash (needs scenarios:write)
  *     responses:
  *       200:
- *         description: Character deleted successfully
+ *         description: Character moved to trash
  *       404:
  *         description: Character not found
+ *       409:
+ *         description: Scenarios still reference it; they are listed in referrers
  */
-router.delete('/:id', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.delete('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'delete'), authorizeCascade(COLLECTION), async (req, res) => {
   try {
     const { id } = req.params;
 
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.deleteDoc(COLLECTION, id, userId, req.companyId);
+    const result = await firestoreService.deleteDoc(COLLECTION, id, userId, req.companyId, {
+      access: accessContext(req),
+      cascade: req.query.cascade === 'true',
+    });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      return res.status(failureStatus(result)).json(result);
     }
 
     res.json(result);
@@ -319,15 +415,15 @@ router.delete('/:id', authenticate, requireCompanyAccess, requireWrite, async (r
  *       404:
  *         description: Character not found
  */
-router.post('/:id/duplicate', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.post('/:id/duplicate', authenticate, requireCompanyAccess, authorize(COLLECTION, 'duplicate'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.duplicate(COLLECTION, id, userId, req.companyId);
+    const result = await firestoreService.duplicate(COLLECTION, id, userId, req.companyId, { access: accessContext(req) });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      return res.status(failureStatus(result)).json(result);
     }
 
     res.status(201).json(result);
@@ -390,7 +486,7 @@ router.post(
   '/:id/image',
   authenticate,
   requireCompanyAccess,
-  requireWrite,
+  authorize(COLLECTION, 'upload'),
   storageService.uploadSingle('image'),
   async (req, res) => {
     try {
@@ -425,12 +521,13 @@ router.post(
         id,
         { image: uploadResult.data.url, imageFileName: uploadResult.data.fileName },
         userId,
-        req.companyId
+        req.companyId,
+        { access: accessContext(req) }
       );
 
       if (!updateResult.success) {
         await storageService.deleteFile(uploadResult.data.fileName);
-        return res.status(404).json(updateResult);
+        return res.status(failureStatus(updateResult)).json(updateResult);
       }
 
       res.json({
@@ -501,7 +598,7 @@ router.post(
   '/:id/knowledge-files',
   authenticate,
   requireCompanyAccess,
-  requireWrite,
+  authorize(COLLECTION, 'upload'),
   storageService.uploadMultiple('files', 10),
   async (req, res) => {
     try {
@@ -544,7 +641,7 @@ router.post(
       }
 
       // Get existing character data to append files
-      const character = await firestoreService.getById(COLLECTION, id, req.companyId);
+      const character = await firestoreService.getById(COLLECTION, id, req.companyId, { access: accessContext(req) });
       if (!character.success) {
         // Clean up uploaded files
         for (const uploaded of uploadedFiles) {
@@ -563,7 +660,8 @@ router.post(
         id,
         { knowledgeFiles: updatedFiles },
         userId,
-        req.companyId
+        req.companyId,
+        { access: accessContext(req) }
       );
 
       if (!updateResult.success) {
@@ -571,7 +669,7 @@ router.post(
         for (const uploaded of uploadedFiles) {
           await storageService.deleteFile(uploaded.fileName);
         }
-        return res.status(404).json(updateResult);
+        return res.status(failureStatus(updateResult)).json(updateResult);
       }
 
       res.json({
@@ -588,4 +686,10 @@ router.post(
   }
 );
 
+// Owner, visibility and user grants of each document
+router.use('/:id/sharing', authenticate, requireCompanyAccess, createSharingRouter(COLLECTION));
+
+// Previous versions, diffs and rollback
+router.use('/:id/revisions', authenticate, requireCompanyAccess, createRevisionsRouter(COLLECTION));
+
 module.exports = router;
@@ -1,22 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { auth, db } = require('../config/firebase');
+const { db } = require('../config/firebase');
 const { authenticate } = require('../middleware/auth');
+const { requireSuperAdmin } = require('../middleware/rbac');
+const { getIdentityProvider } = require('../services/identity');
+const { invalidateUser, invalidateCompanyUsers } = require('../services/user-cache');
+const invitationService = require('../services/invitations');
+const mfaService = require('../services/mfa');
+const rolesService = require('../services/roles');
+const teamsService = require('../services/teams');
+const { validatePermissions } = require('../utils/scopes');
+const { validatePassword } = require('../utils/password');
 const { v4: uuidv4 } = require('uuid');
 
-/**
- * Middleware to check if user is super admin (owner)
- */
-const requireSuperAdmin = (req, res, next) => {
-  if (req.user.role !== 'super-admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Forbidden: Super admin access required',
-    });
-  }
-  next();
-};
-
 /**
  * @swagger
  * /api/companies:
@@ -239,10 +235,11 @@ router.post('/', authenticate, requireSuperAdmin, async (req, res) => {
     }
 
     // Validate password
-    if (adminPassword.length < 6) {
+    const passwordError = validatePassword(adminPassword);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        error: 'Password must be at least 6 characters',
+        error: passwordError,
       });
     }
 
@@ -288,38 +285,40 @@ router.post('/', authenticate, requireSuperAdmin, async (req, res) => {
     };
 
     await db.collection('companies').doc(companyId).set(companyData);
+    await rolesService.seedDefaultRoles(companyId, req.user.uid);
 
-    // Step 2: Create Firebase Auth user for company admin
-    let firebaseUser;
+    // Step 2: Create identity provider account for company admin
+    let authUser;
     try {
-      firebaseUser = await auth.createUser({
+      authUser = await getIdentityProvider().createUser({
         email: adminEmail,
         password: adminPassword,
-        emailVerified: false,
       });
-    } catch (firebaseError) {
+    } catch (identityError) {
       // Rollback: delete company if user creation fails
+      await rolesService.deleteCompanyRoles(companyId);
       await db.collection('companies').doc(companyId).delete();
-      throw new Error(`Failed to create admin user: ${firebaseError.message}`);
+      throw new Error(`Failed to create admin user: ${identityError.message}`);
     }
 
     // Step 3: Create Firestore user document for company admin
     const adminUserData = {
-      uid: firebaseUser.uid,
-      email: firebaseUser.email,
+      uid: authUser.uid,
+      email: authUser.email,
       companyId: companyId,
       role: 'admin', // Company admin (not super-admin)
-      permissions: ['read', 'write', 'admin'],
+      permissions: [],
       createdAt: now,
       createdBy: req.user.uid,
       updatedAt: now,
     };
 
     try {
-      await db.collection('users').doc(firebaseUser.uid).set(adminUserData);
+      await db.collection('users').doc(authUser.uid).set(adminUserData);
     } catch (firestoreError) {
-      // Rollback: delete Firebase auth user and company
-      await auth.deleteUser(firebaseUser.uid);
+      // Rollback: delete auth account and company
+      await getIdentityProvider().deleteUser(authUser.uid);
+      await rolesService.deleteCompanyRoles(companyId);
       await db.collection('companies').doc(companyId).delete();
       throw firestoreError;
     }
@@ -350,7 +349,7 @@ router.post('/', authenticate, requireSuperAdmin, async (req, res) => {
  * /api/companies/{id}:
  *   put:
  *     summary: Update company
- *     description: Update company name or status (super admin only)
+ *     description: Update company name, status or security settings (super admin only)
  *     tags: [Companies]
  *     parameters:
  *       - in: path
@@ -370,6 +369,12 @@ router.post('/', authenticate, requireSuperAdmin, async (req, res) => {
  *               status:
  *                 type: string
  *                 enum: [active, inactive, suspended]
+ *               requireAdminMfa:
+ *                 type: boolean
+ *                 description: Require admins in this company to use MFA for admin-only routes
+ *               ownerOnlyEditing:
+ *                 type: boolean
+ *                 description: Limit non-admins to editing content they own or were granted edit access to
  *     responses:
  *       200:
  *         description: Company updated successfully
@@ -385,7 +390,7 @@ router.post('/', authenticate, requireSuperAdmin, async (req, res) => {
  *                 message:
  *                   type: string
  *       400:
- *         description: Invalid status value
+ *         description: Invalid status, requireAdminMfa or ownerOnlyEditing value
  *       403:
  *         description: Not authorized (super admin role required)
  *       404:
@@ -396,7 +401,7 @@ router.post('/', authenticate, requireSuperAdmin, async (req, res) => {
 router.put('/:id', authenticate, requireSuperAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, status } = req.body;
+    const { name, status, requireAdminMfa, ownerOnlyEditing } = req.body;
 
     const companyDoc = await db.collection('companies').doc(id).get();
 
@@ -441,7 +446,28 @@ router.put('/:id', authenticate, requireSuperAdmin, async (req, res) => {
       updateData.status = status;
     }
 
+    if (requireAdminMfa !== undefined) {
+      if (typeof requireAdminMfa !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'requireAdminMfa must be a boolean',
+        });
+      }
+      updateData.requireAdminMfa = requireAdminMfa;
+    }
+
+    if (ownerOnlyEditing !== undefined) {
+      if (typeof ownerOnlyEditing !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'ownerOnlyEditing must be a boolean',
+        });
+      }
+      updateData.ownerOnlyEditing = ownerOnlyEditing;
+    }
+
     await companyDoc.ref.update(updateData);
+    await invalidateCompanyUsers(id);
 
     res.json({
       success: true,
@@ -527,20 +553,24 @@ router.delete('/:id', authenticate, requireSuperAdmin, async (req, res) => {
     // Get all users for this company
     const usersSnapshot = await db.collection('users').where('companyId', '==', id).get();
 
-    // Delete all users from Firebase Auth and Firestore
+    // Delete all users from the identity provider and Firestore
     const deletePromises = usersSnapshot.docs.map(async (userDoc) => {
       const uid = userDoc.id;
       try {
-        await auth.deleteUser(uid);
+        await getIdentityProvider().deleteUser(uid);
       } catch (error) {
         console.error(`Error deleting user ${uid} from auth:`, error);
       }
       await userDoc.ref.delete();
+      await mfaService.disable(uid);
     });
 
     await Promise.all(deletePromises);
+    await invalidateUser(...usersSnapshot.docs.map((userDoc) => userDoc.id));
 
-    // Delete the company
+    // Delete the company, its roles and its teams
+    await rolesService.deleteCompanyRoles(id);
+    await teamsService.deleteCompanyTeams(id);
     await companyDoc.ref.delete();
 
     res.json({
@@ -678,13 +708,13 @@ router.get('/:id/users', authenticate, requireSuperAdmin, async (req, res) => {
  *                 example: securePassword123
  *               role:
  *                 type: string
- *                 enum: [viewer, editor, admin]
+ *                 description: A built-in role (admin, editor, viewer) or a custom role of the company
  *                 example: editor
  *               permissions:
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [read, write, admin]
+ *                 description: Optional - overrides the role's permissions for this user
  *     responses:
  *       201:
  *         description: User created successfully
@@ -730,11 +760,27 @@ router.post('/:id/users', authenticate, requireSuperAdmin, async (req, res) => {
       });
     }
 
-    const validRoles = ['admin', 'editor', 'viewer'];
-    if (!validRoles.includes(role)) {
+    const roleError = await rolesService.checkRoleExists(companyId, role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        error: roleError,
+      });
+    }
+
+    const permissionsError = permissions?.length > 0 ? validatePermissions(permissions) : null;
+    if (permissionsError) {
+      return res.status(400).json({
+        success: false,
+        error: permissionsError,
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        error: `Role must be one of: ${validRoles.join(', ')}`,
+        error: passwordError,
       });
     }
 
@@ -747,46 +793,26 @@ router.post('/:id/users', authenticate, requireSuperAdmin, async (req, res) => {
       });
     }
 
-    // Create Firebase user
-    const firebaseUser = await auth.createUser({
-      email,
-      password,
-      emailVerified: false,
-    });
-
-    // Set permissions
-    let userPermissions = permissions || [];
-    if (userPermissions.length === 0) {
-      switch (role) {
-        case 'admin':
-          userPermissions = ['read', 'write', 'admin'];
-          break;
-        case 'editor':
-          userPermissions = ['read', 'write'];
-          break;
-        case 'viewer':
-          userPermissions = ['read'];
-          break;
-      }
-    }
+    // Create identity provider account
+    const authUser = await getIdentityProvider().createUser({ email, password });
 
-    // Create Firestore document
+    // Create Firestore document (permissions are only stored when overriding the role's)
     const now = new Date().toISOString();
     const userData = {
-      uid: firebaseUser.uid,
-      email: firebaseUser.email,
+      uid: authUser.uid,
+      email: authUser.email,
       companyId,
       role,
-      permissions: userPermissions,
+      permissions: permissions || [],
       createdAt: now,
       createdBy: req.user.uid,
       updatedAt: now,
     };
 
     try {
-      await db.collection('users').doc(firebaseUser.uid).set(userData);
+      await db.collection('users').doc(authUser.uid).set(userData);
     } catch (error) {
-      await auth.deleteUser(firebaseUser.uid);
+      await getIdentityProvider().deleteUser(authUser.uid);
       throw error;
     }
 
@@ -804,4 +830,119 @@ router.post('/:id/users', authenticate, requireSuperAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/companies/{id}/invitations:
+ *   post:
+ *     summary: Invite user to company
+ *     description: Create a pending user in a specific company and email them an invite link (super admin only)
+ *     tags: [Companies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: newuser@company.com
+ *               role:
+ *                 type: string
+ *                 description: A built-in role (admin, editor, viewer) or a custom role of the company
+ *                 example: admin
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (super admin role required)
+ *       404:
+ *         description: Company not found
+ *       409:
+ *         description: User with this email already exists
+ */
+router.post('/:id/invitations', authenticate, requireSuperAdmin, async (req, res) => {
+  try {
+    const { id: companyId } = req.params;
+    const { email, role, permissions } = req.body;
+
+    // Verify company exists
+    const companyDoc = await db.collection('companies').doc(companyId).get();
+    if (!companyDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found',
+      });
+    }
+
+    const validationError = await invitationService.validateInvitation({
+      email,
+      role,
+      permissions,
+      companyId,
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (await invitationService.emailInUse(email)) {
+      return res.status(409).json({
+        success: false,
+        error: 'User with this email already exists',
+      });
+    }
+
+    const invitation = await invitationService.createInvitation({
+      email,
+      role,
+      permissions,
+      companyId,
+      invitedBy: req.user.uid,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      message: 'Invitation sent',
+    });
+  } catch (error) {
+    console.error('Error inviting user to company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invitation',
+    });
+  }
+});
+
 module.exports = router;
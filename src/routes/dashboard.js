@@ -11,6 +11,12 @@ const firestoreService = require('../services/firestore');
  *     summary: Get dashboard statistics
  *     description: Get counts of all entity types (scenarios, characters, dialogues, environments)
  *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only count documents assigned to this team
  *     responses:
  *       200:
  *         description: Dashboard statistics
@@ -39,7 +45,7 @@ const firestoreService = require('../services/firestore');
  */
 router.get('/stats', authenticate, requireCompanyAccess, async (req, res) => {
   try {
-    const result = await firestoreService.getCounts(req.companyId);
+    const result = await firestoreService.getCounts(req.companyId, { teamId: req.query.teamId });
 
     res.json(result);
   } catch (error) {
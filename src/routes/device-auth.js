@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const deviceService = require('../services/devices');
+
+/**
+ * Send one of DEVICE_ERRORS in the OAuth2 error format
+ */
+const sendDeviceError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    error: error.error,
+    error_description: error.description,
+  });
+};
+
+/**
+ * @swagger
+ * /auth/device/code:
+ *   post:
+ *     summary: Start device authorization
+ *     description: |
+ *       For headsets and kiosks without a keyboard (RFC 8628). Show `userCode` and `verificationUri`
+ *       to the user, then poll POST /auth/device/token with `deviceCode` every `interval` seconds
+ *       until a signed-in user approves the code.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               clientName:
+ *                 type: string
+ *                 description: Shown to the user when approving (e.g. "Lobby kiosk 2")
+ *                 example: Quest 3 - Training room
+ *     responses:
+ *       200:
+ *         description: Device code issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 deviceCode:
+ *                   type: string
+ *                 userCode:
+ *                   type: string
+ *                   example: BDFG-HJKL
+ *                 verificationUri:
+ *                   type: string
+ *                 verificationUriComplete:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   example: 600
+ *                 interval:
+ *                   type: integer
+ *                   example: 5
+ *       400:
+ *         description: Validation error
+ */
+router.post('/code', async (req, res) => {
+  try {
+    const { clientName } = req.body || {};
+
+    if (clientName !== undefined && (typeof clientName !== 'string' || clientName.length > 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'clientName must be a string of at most 100 characters',
+      });
+    }
+
+    const result = await deviceService.createDeviceCode({ clientName: clientName?.trim() });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Device code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start device authorization',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/device/token:
+ *   post:
+ *     summary: Poll for device tokens
+ *     description: |
+ *       Returns tokens once the user code has been approved. Until then `error` is
+ *       `authorization_pending`; `slow_down` means the device must poll 5 seconds less often.
+ *       Tokens belong to the approving user's company and role and are refreshed with POST /auth/refresh.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *               - device_code
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: ['urn:ietf:params:oauth:grant-type:device_code']
+ *               device_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                 device:
+ *                   $ref: '#/components/schemas/Device'
+ *       400:
+ *         description: |
+ *           `error` is `authorization_pending`, `slow_down`, `access_denied`, `expired_token`,
+ *           `invalid_grant`, `invalid_request` or `unsupported_grant_type`
+ */
+router.post('/token', async (req, res) => {
+  try {
+    const result = await deviceService.pollToken({
+      grantType: req.body?.grant_type,
+      deviceCode: req.body?.device_code,
+    });
+
+    res.set('Cache-Control', 'no-store');
+
+    if (result.error) {
+      return sendDeviceError(res, result.error);
+    }
+
+    res.json({
+      success: true,
+      token: result.session.token,
+      refreshToken: result.session.refreshToken,
+      expiresIn: result.session.expiresIn,
+      device: result.device,
+    });
+  } catch (error) {
+    console.error('Device token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      error_description: 'Failed to issue device tokens',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/device:
+ *   get:
+ *     summary: Look up a pending device
+ *     description: Show which device is asking for access before approving its user code
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: userCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending device
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Device'
+ *       404:
+ *         description: Unknown or expired user code
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const doc = await deviceService.findPending(req.query.userCode);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown or expired code',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deviceService.toPublicDevice(doc.data()),
+    });
+  } catch (error) {
+    console.error('Error looking up device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up device',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/device/approve:
+ *   post:
+ *     summary: Approve a device
+ *     description: Sign the device in as yourself. It gets your company and role until it is revoked.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userCode
+ *             properties:
+ *               userCode:
+ *                 type: string
+ *                 example: BDFG-HJKL
+ *     responses:
+ *       200:
+ *         description: Device approved
+ *       403:
+ *         description: Devices cannot be approved during impersonation
+ *       404:
+ *         description: Unknown or expired user code
+ */
+router.post('/approve', verifyToken, async (req, res) => {
+  try {
+    // The device would get the super admin's own company, not the impersonated one
+    if (req.impersonation) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: Devices cannot be approved while impersonating',
+      });
+    }
+
+    const doc = await deviceService.findPending(req.body?.userCode);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown or expired code',
+      });
+    }
+
+    const device = await deviceService.approve(doc, req.user);
+
+    res.json({
+      success: true,
+      data: device,
+      message: 'Device approved',
+    });
+  } catch (error) {
+    console.error('Error approving device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve device',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/device/deny:
+ *   post:
+ *     summary: Deny a device
+ *     description: Reject a user code you did not request
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userCode
+ *             properties:
+ *               userCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device denied
+ *       404:
+ *         description: Unknown or expired user code
+ */
+router.post('/deny', verifyToken, async (req, res) => {
+  try {
+    const doc = await deviceService.findPending(req.body?.userCode);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown or expired code',
+      });
+    }
+
+    const device = await deviceService.deny(doc, req.user);
+
+    res.json({
+      success: true,
+      data: device,
+      message: 'Device denied',
+    });
+  } catch (error) {
+    console.error('Error denying device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deny device',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { requireCompanyAccess, requireRole } = require('../middleware/rbac');
+const deviceService = require('../services/devices');
+
+/**
+ * @swagger
+ * /api/devices:
+ *   get:
+ *     summary: List devices
+ *     description: |
+ *       List headsets and kiosks signed in through the device flow for your company (admin only).
+ *       Includes devices approved but not signed in yet (`approved`), until their code expires.
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: List of devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Device'
+ *                 count:
+ *                   type: integer
+ *       403:
+ *         description: Not authorized (admin role required)
+ */
+router.get('/', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const devices = await deviceService.listDevices(req.companyId);
+
+    res.json({
+      success: true,
+      data: devices,
+      count: devices.length,
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch devices',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/{id}:
+ *   delete:
+ *     summary: Revoke a device
+ *     description: |
+ *       Sign a device out; its tokens stop working immediately (admin only).
+ *       An approved device that hasn't signed in yet can no longer exchange its code.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device revoked
+ *       400:
+ *         description: Device is not approved or active
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: Device not found
+ */
+router.delete('/:id', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const doc = await deviceService.getDeviceDoc(req.companyId, req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    if (!['approved', 'active'].includes(doc.data().status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Device is not approved or active',
+      });
+    }
+
+    const userId = req.user?.uid || req.apiClient?.name || 'system';
+    const device = await deviceService.revokeDevice(doc, userId);
+
+    res.json({
+      success: true,
+      data: device,
+      message: 'Device revoked successfully',
+    });
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { requireCompanyAccess, requireWrite } = require('../middleware/rbac');
+const { requireCompanyAccess, authorize, authorizeCascade } = require('../middleware/rbac');
 const { validateData, sanitizeData } = require('../utils/validator');
+const { parseListQuery } = require('../utils/list-query');
 const firestoreService = require('../services/firestore');
+const teamsService = require('../services/teams');
+const { accessContext, failureStatus } = require('../utils/access');
+const { etag } = require('../utils/etag');
+const createSharingRouter = require('./sharing');
+const createRevisionsRouter = require('./revisions');
 
 const COLLECTION = 'dialogues';
 const TYPE = 'dialogue';
@@ -15,6 +21,29 @@ const TYPE = 'dialogue';
  *     summary: Get all dialogues
  *     description: Retrieve all conversation dialogues for your company
  *     tags: [Dialogues]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Page size. Without limit or cursor, every document is returned
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, updatedAt or name, prefixed with '-' for descending (e.g. name, -updatedAt)
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only return documents assigned to this team. One filter per request, on teamId or purposePreset (e.g. ?purposePreset=correct_feedback)
  *     responses:
  *       200:
  *         description: List of dialogues
@@ -31,6 +60,12 @@ const TYPE = 'dialogue';
  *                     $ref: '#/components/schemas/Dialogue'
  *                 count:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to get the next page; null on the last page
+ *       400:
+ *         description: Invalid limit, cursor, sort or filter
  *   post:
  *     summary: Create a new dialogue
  *     description: Create a new conversation flow
@@ -64,9 +99,22 @@ const TYPE = 'dialogue';
  *       400:
  *         description: Validation error
  */
-router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+router.get('/', authenticate, requireCompanyAccess, authorize(COLLECTION, 'read'), async (req, res) => {
   try {
-    const result = await firestoreService.getAll(COLLECTION, req.companyId);
+    const { options, error } = parseListQuery(TYPE, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code: 'INVALID_QUERY',
+      });
+    }
+
+    const result = await firestoreService.getAll(COLLECTION, req.companyId, { ...options, access: accessContext(req) });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
     res.json(result);
   } catch (error) {
     console.error('Error fetching dialogues:', error);
@@ -93,6 +141,11 @@ router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
  *     responses:
  *       200:
  *         description: Dialogue details
+ *         headers:
+ *           ETag:
+ *             description: Current version of the document, to send as If-Match when updating it
+ *             schema:
+ *               type: string
  *       404:
  *         description: Dialogue not found
  *   put:
@@ -105,6 +158,11 @@ router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read. If the document changed since, the update fails with 412
  *     requestBody:
  *       required: true
  *       content:
@@ -114,9 +172,11 @@ router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
  *     responses:
  *       200:
  *         description: Dialogue updated successfully
+ *       412:
+ *         description: The document changed since the If-Match version. The current version is returned in data, with its ETag
  *   delete:
  *     summary: Delete dialogue
- *     description: Delete a dialogue permanently
+ *     description: Move a dialogue to the trash. It can be restored with POST /api/trash/dialogues/{id}/restore until it is purged
  *     tags: [Dialogues]
  *     parameters:
  *       - in: path
@@ -124,19 +184,27 @@ router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *         description: Also move the scenarios that reference it to the trash (needs scenarios:write)
  *     responses:
  *       200:
- *         description: Dialogue deleted successfully
+ *         description: Dialogue moved to trash
+ *       409:
+ *         description: Scenarios still reference it; they are listed in referrers
  */
-router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
+router.get('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await firestoreService.getById(COLLECTION, id, req.companyId);
+    const result = await firestoreService.getById(COLLECTION, id, req.companyId, { access: accessContext(req) });
 
     if (!result.success) {
       return res.status(404).json(result);
     }
 
+    res.set('ETag', etag(result.data));
     res.json(result);
   } catch (error) {
     console.error('Error fetching dialogue:', error);
@@ -151,7 +219,7 @@ router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
  * POST /api/dialogues
  * Create a new dialogue
  */
-router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.post('/', authenticate, requireCompanyAccess, authorize(COLLECTION, 'create'), async (req, res) => {
   try {
     const data = req.body;
 
@@ -168,10 +236,27 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
     // Sanitize data
     const sanitized = sanitizeData(TYPE, data);
 
+    // Content can only be assigned to a team of the same company
+    if (sanitized.teamId) {
+      const teamError = await teamsService.checkTeamExists(req.companyId, sanitized.teamId);
+      if (teamError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [teamError],
+        });
+      }
+    }
+
     // Create the dialogue
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.create(COLLECTION, sanitized, userId, req.companyId);
+    const result = await firestoreService.create(COLLECTION, sanitized, userId, req.companyId, { access: accessContext(req) });
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
 
+    res.set('ETag', etag(result.data));
     res.status(201).json(result);
   } catch (error) {
     console.error('Error creating dialogue:', error);
@@ -186,7 +271,7 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
  * PUT /api/dialogues/:id
  * Update a dialogue
  */
-router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.put('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const data = req.body;
@@ -206,12 +291,20 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
 
     // Update the dialogue
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.update(COLLECTION, id, sanitized, userId, req.companyId);
+    const result = await firestoreService.update(COLLECTION, id, sanitized, userId, req.companyId, {
+      access: accessContext(req),
+      ifMatch: req.get('If-Match'),
+    });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      // A failed If-Match returns the current version so the client can merge and retry
+      if (result.code === 'PRECONDITION_FAILED') {
+        res.set('ETag', etag(result.data));
+      }
+      return res.status(failureStatus(result)).json(result);
     }
 
+    res.set('ETag', etag(result.data));
     res.json(result);
   } catch (error) {
     console.error('Error updating dialogue:', error);
@@ -226,15 +319,18 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
  * DELETE /api/dialogues/:id
  * Delete a dialogue
  */
-router.delete('/:id', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.delete('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'delete'), authorizeCascade(COLLECTION), async (req, res) => {
   try {
     const { id } = req.params;
 
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.deleteDoc(COLLECTION, id, userId, req.companyId);
+    const result = await firestoreService.deleteDoc(COLLECTION, id, userId, req.companyId, {
+      access: accessContext(req),
+      cascade: req.query.cascade === 'true',
+    });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      return res.status(failureStatus(result)).json(result);
     }
 
     res.json(result);
@@ -266,15 +362,15 @@ router.delete('/:id', authenticate, requireCompanyAccess, requireWrite, async (r
  *       404:
  *         description: Dialogue not found
  */
-router.post('/:id/duplicate', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.post('/:id/duplicate', authenticate, requireCompanyAccess, authorize(COLLECTION, 'duplicate'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.duplicate(COLLECTION, id, userId, req.companyId);
+    const result = await firestoreService.duplicate(COLLECTION, id, userId, req.companyId, { access: accessContext(req) });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      return res.status(failureStatus(result)).json(result);
     }
 
     res.status(201).json(result);
@@ -287,4 +383,10 @@ router.post('/:id/duplicate', authenticate, requireCompanyAccess, requireWrite,
   }
 });
 
+// Owner, visibility and user grants of each document
+router.use('/:id/sharing', authenticate, requireCompanyAccess, createSharingRouter(COLLECTION));
+
+// Previous versions, diffs and rollback
+router.use('/:id/revisions', authenticate, requireCompanyAccess, createRevisionsRouter(COLLECTION));
+
 module.exports = router;
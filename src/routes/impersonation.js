@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { verifyToken } = require('../middleware/auth');
+const { requireSuperAdmin } = require('../middleware/rbac');
+const impersonationService = require('../services/impersonation');
+
+/**
+ * @swagger
+ * /api/impersonation:
+ *   post:
+ *     summary: Start an impersonation session
+ *     description: |
+ *       Act inside a customer's company (super admin only). Send the returned token in the
+ *       `X-Impersonation-Token` header together with your own Bearer token; requests then run
+ *       as a company admin of the target company. Sessions are read-only unless `mode` is `write`.
+ *       Every impersonated request is recorded in usage logs and activities with both identities.
+ *     tags: [Impersonation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - companyId
+ *               - reason
+ *             properties:
+ *               companyId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 example: 'Support ticket #4821 - scenario not loading'
+ *               mode:
+ *                 type: string
+ *                 enum: [read, write]
+ *                 default: read
+ *               durationMinutes:
+ *                 type: integer
+ *                 default: 30
+ *                 minimum: 1
+ *                 maximum: 120
+ *     responses:
+ *       201:
+ *         description: Session started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ImpersonationSession'
+ *                 impersonationToken:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (super admin role required)
+ *       404:
+ *         description: Company not found
+ */
+router.post('/', verifyToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const { companyId, mode, reason, durationMinutes } = req.body;
+
+    const validationError = impersonationService.validateSessionOptions({
+      companyId,
+      mode,
+      reason,
+      durationMinutes,
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const companyDoc = await db.collection('companies').doc(companyId).get();
+    if (!companyDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found',
+      });
+    }
+
+    const { session, token } = await impersonationService.startSession({
+      actor: req.user,
+      companyId,
+      mode,
+      reason,
+      durationMinutes,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: session,
+      impersonationToken: token,
+      message: `Impersonation session started (${session.mode}). Send the token in the X-Impersonation-Token header.`,
+    });
+  } catch (error) {
+    console.error('Error starting impersonation session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start impersonation session',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonation:
+ *   get:
+ *     summary: List impersonation sessions
+ *     description: Audit list of impersonation sessions, newest first (super admin only)
+ *     tags: [Impersonation]
+ *     parameters:
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *         description: Only sessions for this company
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: List of sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImpersonationSession'
+ *                 count:
+ *                   type: integer
+ *       403:
+ *         description: Not authorized (super admin role required)
+ */
+router.get('/', verifyToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const sessions = await impersonationService.listSessions({
+      companyId: req.query.companyId,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: sessions,
+      count: sessions.length,
+    });
+  } catch (error) {
+    console.error('Error fetching impersonation sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch impersonation sessions',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonation/{id}:
+ *   delete:
+ *     summary: End an impersonation session
+ *     description: End a session before it expires; its token stops working immediately (super admin only)
+ *     tags: [Impersonation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       400:
+ *         description: Session already ended
+ *       403:
+ *         description: Not authorized (super admin role required)
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id', verifyToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const doc = await impersonationService.getSession(req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Impersonation session not found',
+      });
+    }
+
+    if (doc.data().endedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Impersonation session has already ended',
+      });
+    }
+
+    const session = await impersonationService.endSession(doc, req.user.uid);
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Impersonation session ended',
+    });
+  } catch (error) {
+    console.error('Error ending impersonation session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end impersonation session',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { requireCompanyAccess, requireRole } = require('../middleware/rbac');
+const invitationService = require('../services/invitations');
+
+/**
+ * Load an invitation and check it belongs to the caller's company
+ * Sends the error response and returns null if not
+ */
+const loadInvitation = async (req, res) => {
+  const doc = await invitationService.getInvitation(req.params.id);
+
+  if (!doc) {
+    res.status(404).json({
+      success: false,
+      error: 'Invitation not found',
+    });
+    return null;
+  }
+
+  if (doc.data().companyId !== req.companyId) {
+    res.status(403).json({
+      success: false,
+      error: 'Cannot manage invitations from another company',
+    });
+    return null;
+  }
+
+  return doc;
+};
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: List all invitations for your company (admin only)
+ *     tags: [Invitations]
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *                 count:
+ *                   type: integer
+ *       403:
+ *         description: Not authorized (admin role required)
+ */
+router.get('/', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const invitations = await invitationService.listInvitations(req.companyId);
+
+    res.json({
+      success: true,
+      data: invitations,
+      count: invitations.length,
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite a user
+ *     description: |
+ *       Create a pending user in your company and email them a single-use invite link (admin only).
+ *       The invitee sets their own password via POST /auth/accept-invite.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: newuser@company.com
+ *               role:
+ *                 type: string
+ *                 description: A built-in role (admin, editor, viewer) or a custom role from /api/roles
+ *                 example: editor
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional - overrides the role's permissions for this user
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       409:
+ *         description: User with this email already exists
+ */
+router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { email, role, permissions } = req.body;
+
+    const validationError = await invitationService.validateInvitation({
+      email,
+      role,
+      permissions,
+      companyId: req.companyId,
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (await invitationService.emailInUse(email)) {
+      return res.status(409).json({
+        success: false,
+        error: 'User with this email already exists',
+      });
+    }
+
+    const invitation = await invitationService.createInvitation({
+      email,
+      role,
+      permissions,
+      companyId: req.companyId,
+      invitedBy: req.user.uid,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      message: 'Invitation sent',
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invitation',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation
+ *     description: Email a new invite link and extend the expiry (admin only). The previous link stops working.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation re-sent
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       403:
+ *         description: Not authorized or invitation from different company
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/:id/resend', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const doc = await loadInvitation(req, res);
+    if (!doc) return;
+
+    // Expired invitations can be re-sent; accepted and revoked ones can't
+    if (doc.data().status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Invitation has already been ${doc.data().status}`,
+      });
+    }
+
+    const invitation = await invitationService.resendInvitation(doc);
+
+    res.json({
+      success: true,
+      data: invitation,
+      message: 'Invitation re-sent',
+    });
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend invitation',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     description: Revoke a pending invitation and remove the pending user (admin only)
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       403:
+ *         description: Not authorized or invitation from different company
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/:id', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const doc = await loadInvitation(req, res);
+    if (!doc) return;
+
+    if (doc.data().status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Invitation has already been ${doc.data().status}`,
+      });
+    }
+
+    const invitation = await invitationService.revokeInvitation(doc, req.user.uid);
+
+    res.json({
+      success: true,
+      data: invitation,
+      message: 'Invitation revoked',
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invitation',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const { authorize } = require('../middleware/rbac');
+const firestoreService = require('../services/firestore');
+const revisionsService = require('../services/revisions');
+const { accessContext, failureStatus } = require('../utils/access');
+
+/**
+ * Revision history routes for a content collection, mounted at /api/{type}/:id/revisions
+ * Authentication and company access are checked by the parent router
+ */
+
+/**
+ * Parse a revision number from the path or query; returns null if invalid
+ */
+const parseRev = (value) => {
+  const rev = Number(value);
+  return Number.isInteger(rev) && rev > 0 ? rev : null;
+};
+
+const createRevisionsRouter = (collection) => {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * Load a version of a readable document: the live document for its current
+   * revision number, otherwise a stored revision (null if not kept)
+   */
+  const loadVersion = async (current, rev) => {
+    if (rev === revisionsService.currentRevision(current)) {
+      return revisionsService.currentAsRevision(current);
+    }
+    return revisionsService.getRevision(collection, current.id, rev);
+  };
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/revisions:
+   *   get:
+   *     summary: List revisions
+   *     description: |
+   *       Versions of a document, newest first. The first entry is the current version;
+   *       older ones are kept up to the revision limit (REVISION_LIMIT, default 50).
+   *     tags: [Revisions]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Revisions without their data
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Revision'
+   *                 count:
+   *                   type: integer
+   *       404:
+   *         description: Document not found
+   */
+  router.get('/', authorize(collection, 'read'), async (req, res) => {
+    try {
+      const result = await firestoreService.getById(collection, req.params.id, req.companyId, { access: accessContext(req) });
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      const { data, ...current } = revisionsService.currentAsRevision(result.data);
+      const revisions = [current, ...await revisionsService.listRevisions(collection, req.params.id)];
+
+      res.json({
+        success: true,
+        data: revisions,
+        count: revisions.length,
+      });
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch revisions',
+      });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/revisions/diff:
+   *   get:
+   *     summary: Compare two revisions
+   *     description: Field-level changes to the content going from one revision to another
+   *     tags: [Revisions]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: integer
+   *         description: Defaults to the current revision
+   *     responses:
+   *       200:
+   *         description: Changed fields
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/RevisionDiff'
+   *       400:
+   *         description: Invalid revision numbers
+   *       404:
+   *         description: Document or revision not found
+   */
+  router.get('/diff', authorize(collection, 'read'), async (req, res) => {
+    try {
+      const result = await firestoreService.getById(collection, req.params.id, req.companyId, { access: accessContext(req) });
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      const from = parseRev(req.query.from);
+      const to = req.query.to === undefined ? revisionsService.currentRevision(result.data) : parseRev(req.query.to);
+      if (!from || !to) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be revision numbers',
+        });
+      }
+
+      const [fromVersion, toVersion] = await Promise.all([loadVersion(result.data, from), loadVersion(result.data, to)]);
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({
+          success: false,
+          error: `Revision ${!fromVersion ? from : to} not found`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          from,
+          to,
+          changes: revisionsService.diffContent(fromVersion.data, toVersion.data),
+        },
+      });
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compare revisions',
+      });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/revisions/{rev}:
+   *   get:
+   *     summary: Get a revision
+   *     description: A version of the document with its full data
+   *     tags: [Revisions]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: rev
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Revision with data
+   *       404:
+   *         description: Document or revision not found
+   */
+  router.get('/:rev', authorize(collection, 'read'), async (req, res) => {
+    try {
+      const result = await firestoreService.getById(collection, req.params.id, req.companyId, { access: accessContext(req) });
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      const rev = parseRev(req.params.rev);
+      const version = rev && await loadVersion(result.data, rev);
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: version,
+      });
+    } catch (error) {
+      console.error('Error fetching revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch revision',
+      });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/revisions/{rev}/restore:
+   *   post:
+   *     summary: Restore a revision
+   *     description: |
+   *       Roll the document's content back to a revision. The rollback is saved as a new
+   *       revision, so it can be undone the same way. Sharing settings and team are not changed.
+   *     tags: [Revisions]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: rev
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Document after the rollback
+   *       400:
+   *         description: The revision references documents that no longer exist
+   *       403:
+   *         description: No edit access to the document
+   *       404:
+   *         description: Document or revision not found
+   */
+  router.post('/:rev/restore', authorize(collection, 'update'), async (req, res) => {
+    try {
+      const rev = parseRev(req.params.rev);
+      if (!rev) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found',
+        });
+      }
+
+      const userId = req.user?.uid || req.apiClient?.name || 'system';
+      const result = await firestoreService.restoreRevision(collection, req.params.id, rev, userId, req.companyId, {
+        access: accessContext(req),
+      });
+
+      if (!result.success) {
+        return res.status(failureStatus(result)).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore revision',
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRevisionsRouter;
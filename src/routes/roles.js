@@ -0,0 +1,341 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { requireCompanyAccess, requireRole } = require('../middleware/rbac');
+const rolesService = require('../services/roles');
+const { invalidateCompanyUsers } = require('../services/user-cache');
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles
+ *     description: List the built-in and custom roles of your company and the permissions each grants
+ *     tags: [Roles]
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *                 count:
+ *                   type: integer
+ */
+router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const roles = await rolesService.listRoles(req.companyId);
+
+    res.json({
+      success: true,
+      data: roles,
+      count: roles.length,
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   get:
+ *     summary: Get a role
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Role'
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:name', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const role = await rolesService.getRole(req.companyId, req.params.name);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    console.error('Error fetching role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch role',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     description: Define a custom role for your company (admin only)
+ *     tags: [Roles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: content-author
+ *               description:
+ *                 type: string
+ *                 example: Create and edit content, but not delete it
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['read', 'edit']
+ *     responses:
+ *       201:
+ *         description: Role created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       409:
+ *         description: A role with this name already exists
+ */
+router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const validationError = rolesService.validateRole({ name, description, permissions });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const role = await rolesService.createRole(
+      req.companyId,
+      { name, description, permissions },
+      req.user?.uid || req.apiClient?.name || 'system'
+    );
+
+    if (!role) {
+      return res.status(409).json({
+        success: false,
+        error: `Role '${name}' already exists`,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: role,
+      message: 'Role created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create role',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Update a role
+ *     description: |
+ *       Change a role's description or permissions (admin only). Applies to every user with the
+ *       role on their next request. The permissions of the admin role cannot be changed.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:name', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const validationError = rolesService.validateRole({ description, permissions }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const { role, error } = await rolesService.updateRole(
+      req.companyId,
+      req.params.name,
+      { description, permissions },
+      req.user?.uid || req.apiClient?.name || 'system'
+    );
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+      });
+    }
+
+    await invalidateCompanyUsers(req.companyId);
+
+    res.json({
+      success: true,
+      data: role,
+      message: 'Role updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   delete:
+ *     summary: Delete a role
+ *     description: Delete a custom role (admin only). Built-in roles and roles still assigned to users cannot be deleted.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.delete('/:name', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const role = await rolesService.getRole(req.companyId, name);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+      });
+    }
+
+    if (role.builtIn) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in roles cannot be deleted',
+      });
+    }
+
+    const assigned = await rolesService.countUsersWithRole(req.companyId, name);
+    if (assigned > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Role is assigned to ${assigned} user(s). Give them another role first.`,
+      });
+    }
+
+    await rolesService.deleteRole(req.companyId, name);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete role',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { requireCompanyAccess, requireWrite } = require('../middleware/rbac');
+const { requireCompanyAccess, authorize } = require('../middleware/rbac');
 const { validateData, sanitizeData } = require('../utils/validator');
+const { parseListQuery } = require('../utils/list-query');
 const firestoreService = require('../services/firestore');
+const teamsService = require('../services/teams');
+const referencesService = require('../services/references');
+const { accessContext, failureStatus } = require('../utils/access');
+const { etag } = require('../utils/etag');
+const createSharingRouter = require('./sharing');
+const createRevisionsRouter = require('./revisions');
 const storageService = require('../services/storage');
 const { getSchema } = require('../schemas');
+const policy = require('../utils/policy');
 
 const COLLECTION = 'scenarios';
 const TYPE = 'scenario';
@@ -17,6 +25,29 @@ const TYPE = 'scenario';
  *     summary: Get all scenarios
  *     description: Retrieve all scenarios for your company
  *     tags: [Scenarios]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Page size. Without limit or cursor, every document is returned
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, updatedAt or name, prefixed with '-' for descending (e.g. name, -updatedAt)
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only return documents assigned to this team. One filter per request, on teamId, active, dialogueId or environmentId (e.g. ?active=true)
  *     responses:
  *       200:
  *         description: List of scenarios
@@ -33,10 +64,28 @@ const TYPE = 'scenario';
  *                     $ref: '#/components/schemas/Scenario'
  *                 count:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to get the next page; null on the last page
+ *       400:
+ *         description: Invalid limit, cursor, sort or filter
  */
-router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+router.get('/', authenticate, requireCompanyAccess, authorize(COLLECTION, 'read'), async (req, res) => {
   try {
-    const result = await firestoreService.getAll(COLLECTION, req.companyId);
+    const { options, error } = parseListQuery(TYPE, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code: 'INVALID_QUERY',
+      });
+    }
+
+    const result = await firestoreService.getAll(COLLECTION, req.companyId, { ...options, access: accessContext(req) });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
 
     res.json(result);
   } catch (error) {
@@ -64,18 +113,24 @@ router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
  *     responses:
  *       200:
  *         description: Scenario details
+ *         headers:
+ *           ETag:
+ *             description: Current version of the document, to send as If-Match when updating it
+ *             schema:
+ *               type: string
  *       404:
  *         description: Scenario not found
  */
-router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
+router.get('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await firestoreService.getById(COLLECTION, id, req.companyId);
+    const result = await firestoreService.getById(COLLECTION, id, req.companyId, { access: accessContext(req) });
 
     if (!result.success) {
       return res.status(404).json(result);
     }
 
+    res.set('ETag', etag(result.data));
     res.json(result);
   } catch (error) {
     console.error('Error fetching scenario:', error);
@@ -91,7 +146,9 @@ router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
  * /api/scenarios/{id}/full:
  *   get:
  *     summary: Get complete scenario with all details
- *     description: Retrieve scenario with populated dialogue, environment, and character data
+ *     description: |
+ *       Retrieve scenario with populated dialogue, environment, and character data.
+ *       `brokenReferences` lists references to documents that no longer exist ({ field, id, referenceType }).
  *     tags: [Scenarios]
  *     parameters:
  *       - in: path
@@ -105,13 +162,14 @@ router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
  *       404:
  *         description: Scenario not found
  */
-router.get('/:id/full', authenticate, requireCompanyAccess, async (req, res) => {
+router.get('/:id/full', authenticate, requireCompanyAccess, authorize(COLLECTION, 'read'), async (req, res) => {
   try {
     const { id } = req.params;
     const { db } = require('../config/firebase');
 
     // Get the scenario
-    const scenarioResult = await firestoreService.getById(COLLECTION, id, req.companyId);
+    const options = { access: accessContext(req) };
+    const scenarioResult = await firestoreService.getById(COLLECTION, id, req.companyId, options);
     if (!scenarioResult.success) {
       return res.status(404).json(scenarioResult);
     }
@@ -119,28 +177,32 @@ router.get('/:id/full', authenticate, requireCompanyAccess, async (req, res) =>
     const scenario = scenarioResult.data;
     const fullScenario = { ...scenario };
 
+    // Only populate related documents the caller is allowed to read (by permission and sharing)
+    const permissions = req.apiClient ? req.apiClient.permissions : req.user?.permissions;
+    const canRead = (collection) => policy.can(permissions || [], collection, 'read');
+
     // Populate dialogue if dialogueId exists
-    if (scenario.dialogueId) {
-      const dialogueResult = await firestoreService.getById('dialogues', scenario.dialogueId, req.companyId);
+    if (scenario.dialogueId && canRead('dialogues')) {
+      const dialogueResult = await firestoreService.getById('dialogues', scenario.dialogueId, req.companyId, options);
       if (dialogueResult.success) {
         fullScenario.dialogue = dialogueResult.data;
       }
     }
 
     // Populate environment if environmentId exists
-    if (scenario.environmentId) {
-      const environmentResult = await firestoreService.getById('environments', scenario.environmentId, req.companyId);
+    if (scenario.environmentId && canRead('environments')) {
+      const environmentResult = await firestoreService.getById('environments', scenario.environmentId, req.companyId, options);
       if (environmentResult.success) {
         fullScenario.environment = environmentResult.data;
       }
     }
 
     // Populate characters based on characterRoles array
-    if (scenario.characterRoles && Array.isArray(scenario.characterRoles)) {
+    if (scenario.characterRoles && Array.isArray(scenario.characterRoles) && canRead('characters')) {
       fullScenario.characters = [];
       for (const role of scenario.characterRoles) {
         if (role.characterId) {
-          const characterResult = await firestoreService.getById('characters', role.characterId, req.companyId);
+          const characterResult = await firestoreService.getById('characters', role.characterId, req.companyId, options);
           if (characterResult.success) {
             fullScenario.characters.push({
               roleId: role.roleId,
@@ -151,6 +213,9 @@ router.get('/:id/full', authenticate, requireCompanyAccess, async (req, res) =>
       }
     }
 
+    // References to documents that no longer exist (rather than ones the caller can't read)
+    fullScenario.brokenReferences = await referencesService.findBrokenReferences(TYPE, scenario, req.companyId);
+
     res.json({
       success: true,
       data: fullScenario
@@ -223,7 +288,7 @@ router.get('/:id/full', authenticate, requireCompanyAccess, async (req, res) =>
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
  */
-router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.post('/', authenticate, requireCompanyAccess, authorize(COLLECTION, 'create'), async (req, res) => {
   try {
     const data = req.body;
 
@@ -240,10 +305,27 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
     // Sanitize data (remove non-editable fields)
     const sanitized = sanitizeData(TYPE, data);
 
-    // Create the scenario
+    // Content can only be assigned to a team of the same company
+    if (sanitized.teamId) {
+      const teamError = await teamsService.checkTeamExists(req.companyId, sanitized.teamId);
+      if (teamError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [teamError],
+        });
+      }
+    }
+
+    // Create the scenario (fails if the dialogue, environment or characters don't exist)
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.create(COLLECTION, sanitized, userId, req.companyId);
+    const result = await firestoreService.create(COLLECTION, sanitized, userId, req.companyId, { access: accessContext(req) });
 
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+
+    res.set('ETag', etag(result.data));
     res.status(201).json(result);
   } catch (error) {
     console.error('Error creating scenario:', error);
@@ -267,6 +349,11 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read. If the document changed since, the update fails with 412
  *     requestBody:
  *       content:
  *         application/json:
@@ -284,8 +371,10 @@ router.post('/', authenticate, requireCompanyAccess, requireWrite, async (req, r
  *         description: Scenario updated successfully
  *       404:
  *         description: Scenario not found
+ *       412:
+ *         description: The document changed since the If-Match version. The current version is returned in data, with its ETag
  */
-router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.put('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const data = req.body;
@@ -303,14 +392,22 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
     // Sanitize data
     const sanitized = sanitizeData(TYPE, data);
 
-    // Update the scenario
+    // Update the scenario (fails if the dialogue, environment or characters don't exist)
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.update(COLLECTION, id, sanitized, userId, req.companyId);
+    const result = await firestoreService.update(COLLECTION, id, sanitized, userId, req.companyId, {
+      access: accessContext(req),
+      ifMatch: req.get('If-Match'),
+    });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      // A failed If-Match returns the current version so the client can merge and retry
+      if (result.code === 'PRECONDITION_FAILED') {
+        res.set('ETag', etag(result.data));
+      }
+      return res.status(failureStatus(result)).json(result);
     }
 
+    res.set('ETag', etag(result.data));
     res.json(result);
   } catch (error) {
     console.error('Error updating scenario:', error);
@@ -326,7 +423,7 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
  * /api/scenarios/{id}:
  *   delete:
  *     summary: Delete scenario
- *     description: Delete a scenario permanently
+ *     description: Move a scenario to the trash. It can be restored with POST /api/trash/scenarios/{id}/restore until it is purged
  *     tags: [Scenarios]
  *     parameters:
  *       - in: path
@@ -336,19 +433,19 @@ router.put('/:id', authenticate, requireCompanyAccess, requireWrite, async (req,
  *           type: string
  *     responses:
  *       200:
- *         description: Scenario deleted successfully
+ *         description: Scenario moved to trash
  *       404:
  *         description: Scenario not found
  */
-router.delete('/:id', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.delete('/:id', authenticate, requireCompanyAccess, authorize(COLLECTION, 'delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.deleteDoc(COLLECTION, id, userId, req.companyId);
+    const result = await firestoreService.deleteDoc(COLLECTION, id, userId, req.companyId, { access: accessContext(req) });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      return res.status(failureStatus(result)).json(result);
     }
 
     res.json(result);
@@ -377,18 +474,20 @@ router.delete('/:id', authenticate, requireCompanyAccess, requireWrite, async (r
  *     responses:
  *       201:
  *         description: Scenario duplicated successfully
+ *       400:
+ *         description: The scenario references documents that no longer exist
  *       404:
  *         description: Scenario not found
  */
-router.post('/:id/duplicate', authenticate, requireCompanyAccess, requireWrite, async (req, res) => {
+router.post('/:id/duplicate', authenticate, requireCompanyAccess, authorize(COLLECTION, 'duplicate'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const userId = req.user?.uid || req.apiClient?.name || 'system';
-    const result = await firestoreService.duplicate(COLLECTION, id, userId, req.companyId);
+    const result = await firestoreService.duplicate(COLLECTION, id, userId, req.companyId, { access: accessContext(req) });
 
     if (!result.success) {
-      return res.status(404).json(result);
+      return res.status(failureStatus(result)).json(result);
     }
 
     res.status(201).json(result);
@@ -451,7 +550,7 @@ router.post(
   '/:id/image',
   authenticate,
   requireCompanyAccess,
-  requireWrite,
+  authorize(COLLECTION, 'upload'),
   storageService.uploadSingle('image'),
   async (req, res) => {
     try {
@@ -486,13 +585,14 @@ router.post(
         id,
         { image: uploadResult.data.url, imageFileName: uploadResult.data.fileName },
         userId,
-        req.companyId
+        req.companyId,
+        { access: accessContext(req) }
       );
 
       if (!updateResult.success) {
         // Clean up uploaded file if update fails
         await storageService.deleteFile(uploadResult.data.fileName);
-        return res.status(404).json(updateResult);
+        return res.status(failureStatus(updateResult)).json(updateResult);
       }
 
       res.json({
@@ -509,4 +609,10 @@ router.post(
   }
 );
 
+// Owner, visibility and user grants of each document
+router.use('/:id/sharing', authenticate, requireCompanyAccess, createSharingRouter(COLLECTION));
+
+// Previous versions, diffs and rollback
+router.use('/:id/revisions', authenticate, requireCompanyAccess, createRevisionsRouter(COLLECTION));
+
 module.exports = router;
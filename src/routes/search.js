@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { requireCompanyAccess } = require('../middleware/rbac');
+const { getSearchBackend } = require('../services/search');
+const { schemas, getFields } = require('../schemas');
+const policy = require('../utils/policy');
+const { accessContext, hasAccess } = require('../utils/access');
+
+// Schema type -> collection for every schema with searchable fields
+const SEARCH_TYPES = Object.values(schemas).reduce((types, schema) => {
+  if (getFields(schema.type).some((field) => field.searchable)) {
+    types[schema.type] = schema.collection;
+  }
+  return types;
+}, {});
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search content
+ *     description: |
+ *       Full-text search across scenarios, characters, dialogues and environments of your company.
+ *       Matches names, descriptions, character occupation and background, and dialogue context.
+ *       Results are ranked by the number of matching terms, then relevance; matching words are
+ *       wrapped in `<mark>` in the highlights (the rest of the snippet is HTML-escaped).
+ *       Only content you can read is returned.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: nurse
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated content types to search (scenario, character, dialogue, environment)
+ *         example: character,scenario
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Ranked results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Missing or invalid query, type or limit
+ *       403:
+ *         description: No read permission on any of the requested types
+ */
+router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const { q, type } = req.query;
+
+    if (typeof q !== 'string' || q.trim().length < 2 || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'q must be between 2 and 200 characters',
+      });
+    }
+
+    const types = type === undefined ? Object.keys(SEARCH_TYPES) : String(type).split(',').map((item) => item.trim());
+    const unknown = types.filter((item) => !SEARCH_TYPES[item]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown type(s): ${unknown.join(', ')}. Expected: ${Object.keys(SEARCH_TYPES).join(', ')}`,
+      });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+      });
+    }
+
+    // Only search collections the caller's role or API key can read
+    const permissions = (req.apiClient ? req.apiClient.permissions : req.user?.permissions) || [];
+    const collections = types
+      .map((item) => SEARCH_TYPES[item])
+      .filter((collection) => policy.can(permissions, collection, 'read'));
+
+    if (collections.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: You do not have read permission on any of the requested types',
+        code: 'PERMISSION_DENIED',
+      });
+    }
+
+    const access = accessContext(req);
+    const results = await getSearchBackend().search(req.companyId, q, {
+      collections,
+      limit,
+      filter: (doc) => hasAccess(doc, access, 'read'),
+    });
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length,
+    });
+  } catch (error) {
+    console.error('Error searching content:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search content',
+    });
+  }
+});
+
+module.exports = router;
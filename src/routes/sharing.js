@@ -0,0 +1,359 @@
+const express = require('express');
+const { db } = require('../config/firebase');
+const { authorize } = require('../middleware/rbac');
+const firestoreService = require('../services/firestore');
+const teamsService = require('../services/teams');
+const { VISIBILITIES, GRANT_ACCESS, accessContext, accessLevel, failureStatus } = require('../utils/access');
+
+/**
+ * Sharing routes for a content collection, mounted at /api/{type}/:id/sharing
+ * Authentication and company access are checked by the parent router
+ */
+
+/**
+ * Check that a user exists and belongs to the company
+ */
+const isCompanyUser = async (userId, companyId) => {
+  if (typeof userId !== 'string' || !userId) {
+    return false;
+  }
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  return userDoc.exists && userDoc.data().companyId === companyId;
+};
+
+const createSharingRouter = (collection) => {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/sharing:
+   *   get:
+   *     summary: Get sharing settings
+   *     description: Owner, visibility, team and user grants of a document, plus your own access level
+   *     tags: [Sharing]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Sharing settings
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Sharing'
+   *       404:
+   *         description: Document not found
+   */
+  router.get('/', authorize(collection, 'read'), async (req, res) => {
+    try {
+      const access = accessContext(req);
+      const result = await firestoreService.getById(collection, req.params.id, req.companyId, { access });
+
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      res.json({
+        success: true,
+        data: firestoreService.toSharing(result.data, accessLevel(result.data, access)),
+      });
+    } catch (error) {
+      console.error('Error fetching sharing settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sharing settings',
+      });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/sharing:
+   *   put:
+   *     summary: Update sharing settings
+   *     description: Change a document's visibility or team, or transfer it to another owner (owner or admin only)
+   *     tags: [Sharing]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               visibility:
+   *                 type: string
+   *                 enum: [company, team, private]
+   *               teamId:
+   *                 type: string
+   *                 description: Team that can see the document when visibility is 'team'
+   *               ownerId:
+   *                 type: string
+   *                 description: Transfer ownership to another user in your company
+   *     responses:
+   *       200:
+   *         description: Sharing settings updated
+   *       400:
+   *         description: Validation error
+   *       403:
+   *         description: Only the owner or an admin can change sharing
+   *       404:
+   *         description: Document not found
+   */
+  router.put('/', authorize(collection, 'share'), async (req, res) => {
+    try {
+      const { visibility, teamId, ownerId } = req.body;
+
+      if (visibility === undefined && teamId === undefined && ownerId === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide visibility, teamId or ownerId',
+        });
+      }
+
+      if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          error: `Visibility must be one of: ${VISIBILITIES.join(', ')}`,
+        });
+      }
+
+      if (teamId !== undefined && teamId !== null) {
+        const teamError = await teamsService.checkTeamExists(req.companyId, teamId);
+        if (teamError) {
+          return res.status(400).json({
+            success: false,
+            error: teamError,
+          });
+        }
+      }
+
+      if (ownerId !== undefined && !(await isCompanyUser(ownerId, req.companyId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'New owner must be a user in your company',
+        });
+      }
+
+      const access = accessContext(req);
+      const current = await firestoreService.getById(collection, req.params.id, req.companyId, { access });
+      if (!current.success) {
+        return res.status(404).json(current);
+      }
+
+      const nextVisibility = visibility ?? current.data.visibility ?? 'company';
+      const nextTeamId = teamId !== undefined ? teamId : current.data.teamId;
+      if (nextVisibility === 'team' && !nextTeamId) {
+        return res.status(400).json({
+          success: false,
+          error: "teamId is required when visibility is 'team'",
+        });
+      }
+
+      const userId = req.user?.uid || req.apiClient?.name || 'system';
+      const result = await firestoreService.updateSharing(
+        collection,
+        req.params.id,
+        { visibility, teamId, ownerId },
+        userId,
+        req.companyId,
+        { access }
+      );
+
+      if (!result.success) {
+        return res.status(failureStatus(result)).json(result);
+      }
+
+      res.json({
+        ...result,
+        message: 'Sharing settings updated successfully',
+      });
+    } catch (error) {
+      console.error('Error updating sharing settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update sharing settings',
+      });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/sharing/grants:
+   *   post:
+   *     summary: Share a document with a user
+   *     description: Give a user in your company read or edit access, whatever the document's visibility (owner or admin only)
+   *     tags: [Sharing]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - userId
+   *               - access
+   *             properties:
+   *               userId:
+   *                 type: string
+   *               access:
+   *                 type: string
+   *                 enum: [read, edit]
+   *     responses:
+   *       200:
+   *         description: Document shared
+   *       400:
+   *         description: Validation error
+   *       403:
+   *         description: Only the owner or an admin can share
+   *       404:
+   *         description: Document not found
+   */
+  router.post('/grants', authorize(collection, 'share'), async (req, res) => {
+    try {
+      const { userId: granteeId, access: grantAccess } = req.body;
+
+      if (!GRANT_ACCESS.includes(grantAccess)) {
+        return res.status(400).json({
+          success: false,
+          error: `Access must be one of: ${GRANT_ACCESS.join(', ')}`,
+        });
+      }
+
+      if (!(await isCompanyUser(granteeId, req.companyId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Documents can only be shared with users in your company',
+        });
+      }
+
+      const userId = req.user?.uid || req.apiClient?.name || 'system';
+      const result = await firestoreService.grantAccess(
+        collection,
+        req.params.id,
+        { userId: granteeId, access: grantAccess },
+        userId,
+        req.companyId,
+        { access: accessContext(req) }
+      );
+
+      if (!result.success) {
+        return res.status(failureStatus(result)).json(result);
+      }
+
+      res.json({
+        ...result,
+        message: 'Document shared successfully',
+      });
+    } catch (error) {
+      console.error('Error sharing document:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to share document',
+      });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/{type}/{id}/sharing/grants/{userId}:
+   *   delete:
+   *     summary: Stop sharing a document with a user
+   *     description: Remove a user's grant (owner or admin only). They keep any access the document's visibility gives them.
+   *     tags: [Sharing]
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [scenarios, characters, dialogues, environments]
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Grant removed
+   *       403:
+   *         description: Only the owner or an admin can unshare
+   *       404:
+   *         description: Document not found
+   */
+  router.delete('/grants/:userId', authorize(collection, 'share'), async (req, res) => {
+    try {
+      const userId = req.user?.uid || req.apiClient?.name || 'system';
+      const result = await firestoreService.revokeAccess(
+        collection,
+        req.params.id,
+        req.params.userId,
+        userId,
+        req.companyId,
+        { access: accessContext(req) }
+      );
+
+      if (!result.success) {
+        return res.status(failureStatus(result)).json(result);
+      }
+
+      res.json({
+        ...result,
+        message: 'Document unshared successfully',
+      });
+    } catch (error) {
+      console.error('Error unsharing document:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unshare document',
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSharingRouter;
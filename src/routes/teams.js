@@ -0,0 +1,565 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { authenticate } = require('../middleware/auth');
+const { requireCompanyAccess, requireRole, requireMfa } = require('../middleware/rbac');
+const teamsService = require('../services/teams');
+const { invalidateUser } = require('../services/user-cache');
+const { accessContext } = require('../utils/access');
+
+/**
+ * Load the team in :id and allow company admins and admins of that team
+ */
+const requireTeamAdmin = async (req, res, next) => {
+  try {
+    const team = await teamsService.getTeam(req.companyId, req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    req.team = team;
+
+    if (accessContext(req).isAdmin) {
+      return requireMfa(req, res, next);
+    }
+
+    if (!(await teamsService.isTeamAdmin(team.id, req.user?.uid))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: Requires company admin or team admin',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking team admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check team access',
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/teams:
+ *   get:
+ *     summary: List teams
+ *     description: List the teams of your company with their member counts
+ *     tags: [Teams]
+ *     responses:
+ *       200:
+ *         description: List of teams
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Team'
+ *                 count:
+ *                   type: integer
+ */
+router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const teams = await teamsService.listTeams(req.companyId);
+
+    res.json({
+      success: true,
+      data: teams,
+      count: teams.length,
+    });
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch teams',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   get:
+ *     summary: Get a team
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Team'
+ *       404:
+ *         description: Team not found
+ */
+router.get('/:id', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const team = await teamsService.getTeam(req.companyId, req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch team',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams:
+ *   post:
+ *     summary: Create a team
+ *     description: Create a team in your company (admin only)
+ *     tags: [Teams]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Nursing
+ *               description:
+ *                 type: string
+ *                 example: Clinical training content
+ *     responses:
+ *       201:
+ *         description: Team created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Team'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       409:
+ *         description: A team with this name already exists
+ */
+router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const validationError = teamsService.validateTeam({ name, description });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const team = await teamsService.createTeam(
+      req.companyId,
+      { name: name.trim(), description },
+      req.user?.uid || req.apiClient?.name || 'system'
+    );
+
+    if (!team) {
+      return res.status(409).json({
+        success: false,
+        error: `Team '${name.trim()}' already exists`,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: team,
+      message: 'Team created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create team',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   put:
+ *     summary: Update a team
+ *     description: Rename a team or change its description (admin only)
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Team updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: A team with this name already exists
+ */
+router.put('/:id', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const validationError = teamsService.validateTeam({ name, description }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const { team, error } = await teamsService.updateTeam(
+      req.companyId,
+      req.params.id,
+      { name: name?.trim(), description },
+      req.user?.uid || req.apiClient?.name || 'system'
+    );
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: team,
+      message: 'Team updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update team',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   delete:
+ *     summary: Delete a team
+ *     description: |
+ *       Delete a team and its memberships (admin only). Teams that still have content cannot be deleted.
+ *       Content in the trash doesn't count: it is taken off the team, and team-visible documents become private.
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team deleted
+ *       403:
+ *         description: Not authorized (admin role required)
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: Content is still assigned to the team
+ */
+router.delete('/:id', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const team = await teamsService.getTeam(req.companyId, req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    const content = await teamsService.countTeamContent(req.companyId, team.id);
+    const assigned = Object.values(content).reduce((sum, count) => sum + count, 0);
+    if (assigned > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Team has ${assigned} content document(s). Move them to another team first.`,
+        details: content,
+      });
+    }
+
+    const userIds = await teamsService.deleteTeam(req.companyId, team.id);
+    await invalidateUser(...userIds);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete team',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/members:
+ *   get:
+ *     summary: List team members
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TeamMember'
+ *                 count:
+ *                   type: integer
+ *       404:
+ *         description: Team not found
+ */
+router.get('/:id/members', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const team = await teamsService.getTeam(req.companyId, req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    const members = await teamsService.listMembers(team.id);
+
+    res.json({
+      success: true,
+      data: members,
+      count: members.length,
+    });
+  } catch (error) {
+    console.error('Error fetching team members:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch team members',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/members/{userId}:
+ *   put:
+ *     summary: Add or update a team member
+ *     description: Add a user of your company to the team, or change their team role (company admin or team admin)
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *                 default: member
+ *     responses:
+ *       200:
+ *         description: Membership saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TeamMember'
+ *       400:
+ *         description: Invalid role or user not in your company
+ *       403:
+ *         description: Not authorized (company admin or team admin required)
+ *       404:
+ *         description: Team not found
+ */
+router.put('/:id/members/:userId', authenticate, requireCompanyAccess, requireTeamAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const role = req.body.role || 'member';
+
+    if (!teamsService.TEAM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${teamsService.TEAM_ROLES.join(', ')}`,
+      });
+    }
+
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists || userDoc.data().companyId !== req.companyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only users in your company can join its teams',
+      });
+    }
+
+    const membership = await teamsService.setMember(
+      req.team,
+      userId,
+      role,
+      req.user?.uid || req.apiClient?.name || 'system'
+    );
+    await invalidateUser(userId);
+
+    res.json({
+      success: true,
+      data: membership,
+      message: 'Team member saved successfully',
+    });
+  } catch (error) {
+    console.error('Error saving team member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save team member',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a team member
+ *     description: Remove a user from the team (company admin or team admin)
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Not authorized (company admin or team admin required)
+ *       404:
+ *         description: Team or member not found
+ */
+router.delete('/:id/members/:userId', authenticate, requireCompanyAccess, requireTeamAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const removed = await teamsService.removeMember(req.team.id, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not a member of this team',
+      });
+    }
+
+    await invalidateUser(userId);
+
+    res.json({
+      success: true,
+      message: 'Team member removed successfully',
+    });
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove team member',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { authorize, requireCompanyAccess } = require('../middleware/rbac');
+const firestoreService = require('../services/firestore');
+const { CONTENT_COLLECTIONS, RETENTION_DAYS } = require('../services/trash');
+const policy = require('../utils/policy');
+const { accessContext, failureStatus } = require('../utils/access');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Check the caller may restore documents of the collection in the path
+ */
+const authorizeRestore = (req, res, next) => {
+  if (!CONTENT_COLLECTIONS.includes(req.params.type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown type '${req.params.type}'. Expected: ${CONTENT_COLLECTIONS.join(', ')}`,
+    });
+  }
+
+  return authorize(req.params.type, 'restore')(req, res, next);
+};
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List trashed content
+ *     description: |
+ *       Deleted scenarios, characters, dialogues and environments, most recently deleted first.
+ *       Each can be restored until its `purgeAt` date, after which it is permanently deleted
+ *       along with its files. Only documents you can read are listed.
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated collections to list (scenarios, characters, dialogues, environments)
+ *         example: characters
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Trashed documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashItem'
+ *                 count:
+ *                   type: integer
+ *                 retentionDays:
+ *                   type: integer
+ *       400:
+ *         description: Invalid type or limit
+ *       403:
+ *         description: No read permission on any of the requested types
+ */
+router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const types = req.query.type === undefined
+      ? CONTENT_COLLECTIONS
+      : String(req.query.type).split(',').map((item) => item.trim());
+    const unknown = types.filter((item) => !CONTENT_COLLECTIONS.includes(item));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown type(s): ${unknown.join(', ')}. Expected: ${CONTENT_COLLECTIONS.join(', ')}`,
+      });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+      });
+    }
+
+    const permissions = (req.apiClient ? req.apiClient.permissions : req.user?.permissions) || [];
+    const collections = types.filter((collection) => policy.can(permissions, collection, 'read'));
+    if (collections.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: You do not have read permission on any of the requested types',
+        code: 'PERMISSION_DENIED',
+      });
+    }
+
+    const result = await firestoreService.getTrash(req.companyId, {
+      collections,
+      limit,
+      access: accessContext(req),
+    });
+
+    res.json({
+      ...result,
+      retentionDays: RETENTION_DAYS,
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore trashed content
+ *     description: Move a deleted document out of the trash. Needs the `<type>:write` permission and edit access to the document.
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [scenarios, characters, dialogues, environments]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restored document
+ *       400:
+ *         description: Unknown type, or the document references documents that were deleted since (restore those first)
+ *       403:
+ *         description: Missing permission or edit access
+ *       404:
+ *         description: Document not found in trash (never deleted, or already purged)
+ */
+router.post('/:type/:id/restore', authenticate, requireCompanyAccess, authorizeRestore, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    const userId = req.user?.uid || req.apiClient?.name || 'system';
+    const result = await firestoreService.restore(type, id, userId, req.companyId, { access: accessContext(req) });
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error restoring document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore document',
+    });
+  }
+});
+
+module.exports = router;
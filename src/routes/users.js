@@ -1,8 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const fetch = require('node-fetch');
-const { auth, db } = require('../config/firebase');
-const { authenticate } = require('../middleware/auth');
+const { db } = require('../config/firebase');
+const { getIdentityProvider } = require('../services/identity');
+const { invalidateUser } = require('../services/user-cache');
+const { revokeSessions } = require('../services/sessions');
+const loginLockout = require('../services/login-lockout');
+const passwordResets = require('../services/password-resets');
+const { validatePassword } = require('../utils/password');
+const mfaService = require('../services/mfa');
+const rolesService = require('../services/roles');
+const teamsService = require('../services/teams');
+const { validatePermissions } = require('../utils/scopes');
+const { authenticate, verifyToken } = require('../middleware/auth');
 const { requireCompanyAccess, requireRole } = require('../middleware/rbac');
 
 /**
@@ -60,6 +69,67 @@ router.get('/', authenticate, requireCompanyAccess, requireRole(['admin']), asyn
   }
 });
 
+/**
+ * @swagger
+ * /api/users/locked:
+ *   get:
+ *     summary: List locked accounts
+ *     description: List users in your company currently locked out after too many failed login attempts (admin only)
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Active lockouts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       uid:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       failedAttempts:
+ *                         type: integer
+ *                       ip:
+ *                         type: string
+ *                       lockedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lockedUntil:
+ *                         type: string
+ *                         format: date-time
+ *                 count:
+ *                   type: integer
+ *       403:
+ *         description: Not authorized (admin role required)
+ */
+router.get('/locked', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const lockouts = await loginLockout.getActiveLockouts(req.companyId);
+
+    res.json({
+      success: true,
+      data: lockouts,
+      count: lockouts.length,
+    });
+  } catch (error) {
+    console.error('Error fetching locked accounts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch locked accounts',
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/users:
@@ -89,14 +159,13 @@ router.get('/', authenticate, requireCompanyAccess, requireRole(['admin']), asyn
  *                 description: Must be at least 6 characters
  *               role:
  *                 type: string
- *                 enum: [viewer, editor, admin]
+ *                 description: A built-in role (admin, editor, viewer) or a custom role from /api/roles
  *                 example: editor
  *               permissions:
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [read, write, admin]
- *                 description: Optional - defaults based on role
+ *                 description: Optional - overrides the role's permissions for this user
  *     responses:
  *       201:
  *         description: User created successfully
@@ -137,12 +206,20 @@ router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), asy
       });
     }
 
-    // Validate role
-    const validRoles = ['admin', 'editor', 'viewer'];
-    if (!validRoles.includes(role)) {
+    // Validate role against the company's roles
+    const roleError = await rolesService.checkRoleExists(req.companyId, role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        error: roleError,
+      });
+    }
+
+    const permissionsError = permissions?.length > 0 ? validatePermissions(permissions) : null;
+    if (permissionsError) {
       return res.status(400).json({
         success: false,
-        error: `Role must be one of: ${validRoles.join(', ')}`,
+        error: permissionsError,
       });
     }
 
@@ -156,17 +233,18 @@ router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), asy
     }
 
     // Validate password strength
-    if (password.length < 6) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        error: 'Password must be at least 6 characters',
+        error: passwordError,
       });
     }
 
-    // Check if user already exists
+    // Check if user already exists (emails are stored lowercased)
     const existingUserSnapshot = await db
       .collection('users')
-      .where('email', '==', email)
+      .where('email', '==', email.trim().toLowerCase())
       .limit(1)
       .get();
 
@@ -177,56 +255,37 @@ router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), asy
       });
     }
 
-    // Step 1: Create Firebase Authentication user
-    let firebaseUser;
+    // Step 1: Create the identity provider account
+    let authUser;
     try {
-      firebaseUser = await auth.createUser({
-        email,
-        password,
-        emailVerified: false,
-      });
-    } catch (firebaseError) {
-      console.error('Firebase auth error:', firebaseError);
+      authUser = await getIdentityProvider().createUser({ email, password });
+    } catch (identityError) {
+      console.error('Identity provider error:', identityError);
       return res.status(400).json({
         success: false,
-        error: firebaseError.message || 'Failed to create authentication user',
+        error: identityError.message || 'Failed to create authentication user',
       });
     }
 
-    // Step 2: Set default permissions based on role
-    let userPermissions = permissions || [];
-    if (userPermissions.length === 0) {
-      switch (role) {
-        case 'admin':
-          userPermissions = ['read', 'write', 'admin'];
-          break;
-        case 'editor':
-          userPermissions = ['read', 'write'];
-          break;
-        case 'viewer':
-          userPermissions = ['read'];
-          break;
-      }
-    }
-
-    // Step 3: Create Firestore user document
+    // Step 2: Create Firestore user document
+    // (permissions are only stored when overriding the role's permissions)
     const now = new Date().toISOString();
     const userData = {
-      uid: firebaseUser.uid,
-      email: firebaseUser.email,
+      uid: authUser.uid,
+      email: authUser.email,
       companyId: req.companyId, // Same company as the admin creating them
       role,
-      permissions: userPermissions,
+      permissions: permissions || [],
       createdAt: now,
       createdBy: req.user.uid,
       updatedAt: now,
     };
 
     try {
-      await db.collection('users').doc(firebaseUser.uid).set(userData);
+      await db.collection('users').doc(authUser.uid).set(userData);
     } catch (firestoreError) {
-      // If Firestore fails, delete the Firebase auth user to keep things consistent
-      await auth.deleteUser(firebaseUser.uid);
+      // If Firestore fails, delete the auth account to keep things consistent
+      await getIdentityProvider().deleteUser(authUser.uid);
       throw firestoreError;
     }
 
@@ -251,12 +310,449 @@ router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), asy
   }
 });
 
+// Routes for the caller's own account go before /:uid, which would otherwise match "me"
+
+/**
+ * @swagger
+ * /api/users/me/password:
+ *   put:
+ *     summary: Change your password
+ *     description: Change your own password (requires current password). All existing sessions, including the current one, are revoked.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: oldPassword123
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: newSecurePassword123
+ *                 description: Must be at least 6 characters
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error (password too short, etc.)
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.put('/me/password', authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // Validate required fields
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password and new password are required',
+      });
+    }
+
+    // Validate new password strength
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError,
+      });
+    }
+
+    // Get user data
+    const userDoc = await db.collection('users').doc(req.user.uid).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const userData = userDoc.data();
+
+    // Verify current password with the identity provider
+    try {
+      const identity = getIdentityProvider();
+      const passwordValid = await identity.verifyPassword(userData.email, currentPassword);
+
+      if (!passwordValid) {
+        return res.status(401).json({
+          success: false,
+          error: 'Current password is incorrect',
+        });
+      }
+
+      // Current password is correct, proceed with update
+      await identity.updateUser(req.user.uid, {
+        password: newPassword,
+      });
+
+      // Update timestamp in Firestore
+      await userDoc.ref.update({
+        updatedAt: new Date().toISOString(),
+        passwordChangedAt: new Date().toISOString(),
+      });
+
+      // Sign out every session that used the old password (including this one)
+      await revokeSessions(req.user.uid);
+
+      res.json({
+        success: true,
+        message: 'Password updated successfully. Please log in again.',
+      });
+    } catch (error) {
+      console.error('Error updating password:', error);
+      return res.status(400).json({
+        success: false,
+        error: 'Failed to update password',
+      });
+    }
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/mfa:
+ *   get:
+ *     summary: Get your MFA status
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: MFA status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enrolledAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                     required:
+ *                       type: boolean
+ *                       description: Whether your role and company require MFA
+ *                     sessionVerified:
+ *                       type: boolean
+ *                       description: Whether the current session was started with MFA
+ */
+router.get('/me/mfa', verifyToken, async (req, res) => {
+  try {
+    const status = await mfaService.getStatus(req.user.uid);
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        required: mfaService.isMfaRequired({ ...req.user, mfaEnabled: status.enabled }),
+        sessionVerified: req.user.mfaVerified,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching MFA status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch MFA status',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/mfa/setup:
+ *   post:
+ *     summary: Start MFA enrollment
+ *     description: |
+ *       Generate a TOTP secret. Add it to an authenticator app by rendering `otpauthUrl` as a QR code
+ *       (or entering `secret` manually), then confirm with POST /api/users/me/mfa/verify.
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/AI%20Dashboard%3Auser%40company.com?secret=JBSWY3DPEHPK3PXP&issuer=AI+Dashboard
+ *       409:
+ *         description: MFA is already enabled
+ */
+router.post('/me/mfa/setup', verifyToken, async (req, res) => {
+  try {
+    const enrollment = await mfaService.startEnrollment({
+      uid: req.user.uid,
+      email: req.user.email,
+    });
+
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        error: 'MFA is already enabled. Disable it first to enroll a new device',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: enrollment,
+    });
+  } catch (error) {
+    console.error('Error starting MFA enrollment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start MFA enrollment',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/mfa/verify:
+ *   post:
+ *     summary: Confirm MFA enrollment
+ *     description: |
+ *       Confirm enrollment with a code from your authenticator app. Returns recovery codes, which are
+ *       only shown once. Log in again afterwards to get an MFA-verified session.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: MFA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ */
+router.post('/me/mfa/verify', verifyToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required',
+      });
+    }
+
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user.uid, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code, or no MFA enrollment in progress',
+      });
+    }
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'MFA enabled. Store your recovery codes somewhere safe, then log in again.',
+    });
+  } catch (error) {
+    console.error('Error confirming MFA enrollment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm MFA enrollment',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace your recovery codes (requires a current authenticator code). Old codes stop working.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: MFA is not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/me/mfa/recovery-codes', verifyToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'MFA is not enabled',
+      });
+    }
+
+    if (!code || !(await mfaService.verifySecondFactor(req.user.uid, { code }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code',
+        code: 'MFA_CODE_INVALID',
+      });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.uid);
+
+    res.json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/mfa:
+ *   delete:
+ *     summary: Disable MFA
+ *     description: Turn off MFA for your account (requires an authenticator or recovery code). Not allowed when your company requires MFA for your role.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       400:
+ *         description: MFA is not enabled, or is required by your company
+ *       401:
+ *         description: Invalid code
+ */
+router.delete('/me/mfa', verifyToken, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+
+    if (!req.user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'MFA is not enabled',
+      });
+    }
+
+    if (mfaService.isMfaRequired({ ...req.user, mfaEnabled: false })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Your company requires MFA for your role',
+      });
+    }
+
+    if (!(await mfaService.verifySecondFactor(req.user.uid, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code',
+        code: 'MFA_CODE_INVALID',
+      });
+    }
+
+    await mfaService.disable(req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'MFA disabled',
+    });
+  } catch (error) {
+    console.error('Error disabling MFA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable MFA',
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/users/{uid}:
  *   put:
  *     summary: Update a user
- *     description: Update a user's role, permissions, or email (admin only)
+ *     description: Update a user's role, permissions, or email (admin only). Changing the role revokes the user's existing sessions.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -277,12 +773,12 @@ router.post('/', authenticate, requireCompanyAccess, requireRole(['admin']), asy
  *                 format: email
  *               role:
  *                 type: string
- *                 enum: [viewer, editor, admin]
+ *                 description: A built-in role (admin, editor, viewer) or a custom role from /api/roles
  *               permissions:
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [read, write, admin]
+ *                 description: Overrides the role's permissions for this user (empty array to use the role again)
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -344,25 +840,39 @@ router.put('/:uid', authenticate, requireCompanyAccess, requireRole(['admin']),
     };
 
     if (role) {
-      const validRoles = ['admin', 'editor', 'viewer'];
-      if (!validRoles.includes(role)) {
+      const roleError = await rolesService.checkRoleExists(req.companyId, role);
+      if (roleError) {
         return res.status(400).json({
           success: false,
-          error: `Role must be one of: ${validRoles.join(', ')}`,
+          error: roleError,
         });
       }
       updateData.role = role;
+
+      // A new role brings its own permissions unless an override is given
+      if (role !== existingUser.role) {
+        updateData.permissions = [];
+      }
     }
 
     if (permissions) {
+      const permissionsError = permissions.length > 0 ? validatePermissions(permissions) : null;
+      if (permissionsError) {
+        return res.status(400).json({
+          success: false,
+          error: permissionsError,
+        });
+      }
       updateData.permissions = permissions;
     }
 
-    // Update email in both Firebase Auth and Firestore
-    if (email && email !== existingUser.email) {
+    // Update email in both the identity provider and Firestore
+    // Stored lowercased like the identity providers do, so login can find the user
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : email;
+    if (normalizedEmail && normalizedEmail !== existingUser.email) {
       try {
-        await auth.updateUser(uid, { email });
-        updateData.email = email;
+        await getIdentityProvider().updateUser(uid, { email: normalizedEmail });
+        updateData.email = normalizedEmail;
       } catch (error) {
         return res.status(400).json({
           success: false,
@@ -373,6 +883,12 @@ router.put('/:uid', authenticate, requireCompanyAccess, requireRole(['admin']),
 
     // Update Firestore
     await userDoc.ref.update(updateData);
+    await invalidateUser(uid);
+
+    // A role change signs the user out so they pick up the new role on next login
+    if (updateData.role && updateData.role !== existingUser.role) {
+      await revokeSessions(uid);
+    }
 
     res.json({
       success: true,
@@ -456,16 +972,20 @@ router.delete('/:uid', authenticate, requireCompanyAccess, requireRole(['admin']
       });
     }
 
-    // Delete from Firebase Auth
+    // Revoke existing sessions, then delete from the identity provider
+    await revokeSessions(uid);
     try {
-      await auth.deleteUser(uid);
+      await getIdentityProvider().deleteUser(uid);
     } catch (authError) {
-      console.error('Error deleting from Firebase Auth:', authError);
+      console.error('Error deleting auth account:', authError);
       // Continue even if auth delete fails (user might already be deleted)
     }
 
     // Delete from Firestore
     await userDoc.ref.delete();
+    await teamsService.removeUserFromTeams(uid);
+    await mfaService.disable(uid);
+    await invalidateUser(uid);
 
     res.json({
       success: true,
@@ -482,33 +1002,24 @@ router.delete('/:uid', authenticate, requireCompanyAccess, requireRole(['admin']
 
 /**
  * @swagger
- * /api/users/me/password:
- *   put:
- *     summary: Change your password
- *     description: Change your own password (requires current password)
+ * /api/users/{uid}/reset-password:
+ *   post:
+ *     summary: Send password reset email
+ *     description: |
+ *       Email the user a single-use password reset link (admin only), the same one
+ *       `POST /auth/forgot-password` sends. The link is never returned in the response.
+ *       Completing the reset revokes all of the user's sessions.
  *     tags: [Users]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - currentPassword
- *               - newPassword
- *             properties:
- *               currentPassword:
- *                 type: string
- *                 format: password
- *                 example: oldPassword123
- *               newPassword:
- *                 type: string
- *                 format: password
- *                 example: newSecurePassword123
- *                 description: Must be at least 6 characters
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password reset email sent
  *         content:
  *           application/json:
  *             schema:
@@ -519,32 +1030,19 @@ router.delete('/:uid', authenticate, requireCompanyAccess, requireRole(['admin']
  *                 message:
  *                   type: string
  *       400:
- *         description: Validation error (password too short, etc.)
- *       401:
- *         description: Current password is incorrect
+ *         description: User has not accepted their invitation yet
+ *       403:
+ *         description: Not authorized or user from different company
+ *       404:
+ *         description: User not found
  */
-router.put('/me/password', authenticate, async (req, res) => {
+router.post('/:uid/reset-password', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-
-    // Validate required fields
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        error: 'Current password and new password are required',
-      });
-    }
+    const { uid } = req.params;
 
-    // Validate new password strength
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: 'New password must be at least 6 characters',
-      });
-    }
+    // Get user
+    const userDoc = await db.collection('users').doc(uid).get();
 
-    // Get user data
-    const userDoc = await db.collection('users').doc(req.user.uid).get();
     if (!userDoc.exists) {
       return res.status(404).json({
         success: false,
@@ -554,74 +1052,43 @@ router.put('/me/password', authenticate, async (req, res) => {
 
     const userData = userDoc.data();
 
-    // Verify current password using Firebase Auth REST API
-    try {
-      const apiKey = process.env.FIREBASE_API_KEY;
-      if (!apiKey) {
-        throw new Error('FIREBASE_API_KEY not configured');
-      }
-
-      const verifyPasswordResponse = await fetch(
-        `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${apiKey}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            email: userData.email,
-            password: currentPassword,
-            returnSecureToken: false,
-          }),
-        }
-      );
-
-      if (!verifyPasswordResponse.ok) {
-        const errorData = await verifyPasswordResponse.json();
-        console.error('Password verification failed:', errorData);
-        return res.status(401).json({
-          success: false,
-          error: 'Current password is incorrect',
-        });
-      }
-
-      // Current password is correct, proceed with update
-      await auth.updateUser(req.user.uid, {
-        password: newPassword,
-      });
-
-      // Update timestamp in Firestore
-      await userDoc.ref.update({
-        updatedAt: new Date().toISOString(),
-        passwordChangedAt: new Date().toISOString(),
+    // Verify user belongs to same company
+    if (userData.companyId !== req.companyId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot reset password for users from another company',
       });
+    }
 
-      res.json({
-        success: true,
-        message: 'Password updated successfully',
-      });
-    } catch (error) {
-      console.error('Error updating password:', error);
+    // Invited users set their password by accepting the invitation
+    if (userData.status === 'pending') {
       return res.status(400).json({
         success: false,
-        error: 'Failed to update password',
+        error: 'User has not accepted their invitation yet',
       });
     }
+
+    await passwordResets.requestReset(userData.email, { ip: req.ip, requestedBy: req.user?.uid || null });
+
+    res.json({
+      success: true,
+      message: `Password reset link sent to ${userData.email}`,
+    });
   } catch (error) {
-    console.error('Error changing password:', error);
+    console.error('Error sending password reset:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to change password',
+      error: 'Failed to send password reset email',
     });
   }
 });
 
 /**
  * @swagger
- * /api/users/{uid}/reset-password:
+ * /api/users/{uid}/revoke-sessions:
  *   post:
- *     summary: Generate password reset link
- *     description: Generate a password reset link for a user (admin only)
+ *     summary: Revoke a user's sessions
+ *     description: Sign a user out everywhere (admin only). Access and refresh tokens issued before now are rejected.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -632,7 +1099,7 @@ router.put('/me/password', authenticate, async (req, res) => {
  *         description: User ID
  *     responses:
  *       200:
- *         description: Password reset link generated
+ *         description: Sessions revoked
  *         content:
  *           application/json:
  *             schema:
@@ -642,19 +1109,77 @@ router.put('/me/password', authenticate, async (req, res) => {
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 resetLink:
+ *                 tokensValidAfter:
  *                   type: string
- *                   description: Password reset link (in production, this should be emailed)
+ *                   format: date-time
  *       403:
  *         description: Not authorized or user from different company
  *       404:
  *         description: User not found
  */
-router.post('/:uid/reset-password', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+router.post('/:uid/revoke-sessions', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    const userDoc = await db.collection('users').doc(uid).get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    // Verify user belongs to same company
+    if (userDoc.data().companyId !== req.companyId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot revoke sessions for users from another company',
+      });
+    }
+
+    const tokensValidAfter = await revokeSessions(uid);
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked',
+      tokensValidAfter,
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{uid}/unlock:
+ *   post:
+ *     summary: Unlock a user's account
+ *     description: Clear a login lockout and failed-attempt counters for a user (admin only)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       403:
+ *         description: Not authorized or user from different company
+ *       404:
+ *         description: User not found
+ */
+router.post('/:uid/unlock', authenticate, requireCompanyAccess, requireRole(['admin']), async (req, res) => {
   try {
     const { uid } = req.params;
 
-    // Get user
     const userDoc = await db.collection('users').doc(uid).get();
 
     if (!userDoc.exists) {
@@ -670,23 +1195,21 @@ router.post('/:uid/reset-password', authenticate, requireCompanyAccess, requireR
     if (userData.companyId !== req.companyId) {
       return res.status(403).json({
         success: false,
-        error: 'Cannot reset password for users from another company',
+        error: 'Cannot unlock users from another company',
       });
     }
 
-    // Generate password reset link
-    const resetLink = await auth.generatePasswordResetLink(userData.email);
+    await loginLockout.unlockAccount(userData.email, req.user.uid);
 
     res.json({
       success: true,
-      message: 'Password reset link generated',
-      resetLink, // In production, you'd email this instead of returning it
+      message: 'Account unlocked',
     });
   } catch (error) {
-    console.error('Error generating reset link:', error);
+    console.error('Error unlocking account:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate password reset link',
+      error: 'Failed to unlock account',
     });
   }
 });
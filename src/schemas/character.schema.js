@@ -20,6 +20,7 @@ const characterSchema = {
           name: 'name',
           type: 'string',
           required: true,
+          searchable: true,
           label: 'Name',
           description: 'Character name',
           validation: {
@@ -42,6 +43,7 @@ const characterSchema = {
           name: 'occupation',
           type: 'string',
           required: false,
+          searchable: true,
           label: 'Occupation',
           description: 'Character occupation',
           validation: {
@@ -62,6 +64,7 @@ const characterSchema = {
           name: 'background',
           type: 'text',
           required: false,
+          searchable: true,
           label: 'Background',
           description: 'Character background story',
           validation: {
@@ -292,6 +295,7 @@ const characterSchema = {
       name: 'description',
       type: 'text',
       required: false,
+      searchable: true,
       label: 'Description',
       description: 'Brief description for list view',
       validation: {
@@ -316,6 +320,14 @@ const characterSchema = {
         { value: 'archived', label: 'Archived' },
       ],
     },
+    {
+      name: 'teamId',
+      type: 'reference',
+      referenceType: 'team',
+      required: false,
+      label: 'Team',
+      description: 'Team this character belongs to (optional)',
+    },
     {
       name: 'companyId',
       type: 'string',
@@ -11,6 +11,7 @@ const dialogueSchema = {
           name: 'name',
           type: 'string',
           required: true,
+          searchable: true,
           label: 'Dialogue Name',
           description: 'Name of the dialogue',
           validation: {
@@ -22,6 +23,7 @@ const dialogueSchema = {
           name: 'description',
           type: 'text',
           required: false,
+          searchable: true,
           label: 'Description',
           description: 'Brief description of the dialogue',
           validation: {
@@ -49,6 +51,7 @@ const dialogueSchema = {
           name: 'dialogueContext',
           type: 'text',
           required: false,
+          searchable: true,
           label: 'Dialogue Context',
           description: 'Context for the dialogue',
           validation: {
@@ -161,6 +164,14 @@ const dialogueSchema = {
       type: 'text',
       required: false,
     },
+    {
+      name: 'teamId',
+      type: 'reference',
+      referenceType: 'team',
+      required: false,
+      label: 'Team',
+      description: 'Team this dialogue belongs to (optional)',
+    },
     {
       name: 'companyId',
       type: 'string',
@@ -20,6 +20,7 @@ const environmentSchema = {
           name: 'name',
           type: 'string',
           required: true,
+          searchable: true,
           label: 'Name',
           description: 'Environment name',
           validation: {
@@ -73,6 +74,7 @@ const environmentSchema = {
           name: 'description',
           type: 'text',
           required: false,
+          searchable: true,
           label: 'Environment Description',
           description: 'Detailed description of the environment',
           validation: {
@@ -101,6 +103,14 @@ const environmentSchema = {
       type: 'text',
       required: false,
     },
+    {
+      name: 'teamId',
+      type: 'reference',
+      referenceType: 'team',
+      required: false,
+      label: 'Team',
+      description: 'Team this environment belongs to (optional)',
+    },
     {
       name: 'companyId',
       type: 'string',
@@ -17,6 +17,65 @@ const getSchema = (type) => {
   return schemas[type] || null;
 };
 
+/**
+ * Get the top-level fields of a schema (sections, flat fields and list fields, deduplicated by name)
+ */
+const getFields = (type) => {
+  const schema = getSchema(type);
+  if (!schema) {
+    return [];
+  }
+
+  const fields = new Map();
+  [...(schema.sections || []).flatMap((section) => section.fields), ...(schema.fields || []), ...(schema.listFields || [])]
+    .forEach((field) => {
+      if (!fields.has(field.name)) {
+        fields.set(field.name, field);
+      }
+    });
+
+  return Array.from(fields.values());
+};
+
+/**
+ * Get the fields of a schema that reference documents of other schemas
+ * Returns [{ field, referenceType }] for reference fields and
+ * [{ field, key, referenceType, indexField }] for references inside arrays of objects
+ * (e.g. characterRoles[].characterId). Those need an indexField, an array of the referenced
+ * IDs kept on the document, since Firestore can't query fields of array items.
+ * Team references are not schema types and are skipped.
+ */
+const getReferenceFields = (type) => {
+  return getFields(type).flatMap((field) => {
+    if (field.type === 'reference' && schemas[field.referenceType]) {
+      return [{ field: field.name, referenceType: field.referenceType }];
+    }
+
+    if (field.type === 'array' && field.schema) {
+      return Object.entries(field.schema)
+        .filter(([, itemField]) => itemField.type === 'reference' && schemas[itemField.referenceType])
+        .map(([key, itemField]) => ({
+          field: field.name,
+          key,
+          referenceType: itemField.referenceType,
+          indexField: itemField.indexField,
+        }));
+    }
+
+    return [];
+  });
+};
+
+/**
+ * Get the reference fields of all schemas that point at a schema type
+ * Returns [{ type, collection, field, key? }]
+ */
+const getReferringFields = (referenceType) => {
+  return Object.values(schemas).flatMap((schema) => getReferenceFields(schema.type)
+    .filter((reference) => reference.referenceType === referenceType)
+    .map(({ referenceType: _referenceType, ...reference }) => ({ type: schema.type, collection: schema.collection, ...reference })));
+};
+
 /**
  * Get all available schema types
  */
@@ -34,6 +93,9 @@ const isValidType = (type) => {
 module.exports = {
   schemas,
   getSchema,
+  getFields,
+  getReferenceFields,
+  getReferringFields,
   getSchemaTypes,
   isValidType,
 };
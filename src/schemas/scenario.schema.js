@@ -16,6 +16,7 @@ const scenarioSchema = {
       name: 'name',
       type: 'string',
       required: true,
+      searchable: true,
       label: 'Scenario Name',
       description: 'Name of the scenario',
       validation: {
@@ -39,6 +40,7 @@ const scenarioSchema = {
       name: 'description',
       type: 'text',
       required: false,
+      searchable: true,
       label: 'Description',
       description: 'Detailed description of the scenario',
       validation: {
@@ -78,6 +80,7 @@ const scenarioSchema = {
         characterId: {
           type: 'reference',
           referenceType: 'character',
+          indexField: 'characterIds', // Maintained by the API so scenarios can be queried by character
           required: true,
           label: 'Character',
         },
@@ -114,6 +117,14 @@ const scenarioSchema = {
       description: 'Whether this scenario is currently active',
       default: true,
     },
+    {
+      name: 'teamId',
+      type: 'reference',
+      referenceType: 'team',
+      required: false,
+      label: 'Team',
+      description: 'Team this scenario belongs to (optional)',
+    },
     {
       name: 'companyId',
       type: 'string',
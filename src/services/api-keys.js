@@ -0,0 +1,503 @@
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
+const { db } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { validatePermissions } = require('../utils/scopes');
+const { isValidCidr, ipInCidrs } = require('../utils/ip');
+
+/**
+ * API key service
+ * Issues, looks up, rotates and revokes keys stored in the apiKeys collection
+ */
+
+const COLLECTION = 'apiKeys';
+const KEY_PREFIX = 'sk_';
+const LEGACY_PREFIX = 'legacy_';
+const DEFAULT_GRACE_PERIOD_HOURS = 24;
+
+/**
+ * Error codes returned when a valid key is rejected by one of its constraints
+ */
+const CONSTRAINT_ERRORS = {
+  expired: {
+    status: 401,
+    code: 'API_KEY_EXPIRED',
+    error: 'API key has expired',
+  },
+  ipNotAllowed: {
+    status: 403,
+    code: 'API_KEY_IP_NOT_ALLOWED',
+    error: 'Request IP address is not in the API key allowlist',
+  },
+  quotaExceeded: {
+    status: 429,
+    code: 'API_KEY_QUOTA_EXCEEDED',
+    error: 'API key daily request quota exceeded',
+  },
+};
+
+/**
+ * Keys are issued as `<prefix>.<secret>`
+ * - prefix: public, stored as-is and used to look the key up
+ * - secret: only a salted SHA-256 hash is stored
+ *
+ * Secrets are 256 bits of randomness, so a fast hash is sufficient here
+ * (a slow KDF would add latency to every API key request).
+ */
+
+/**
+ * Generate a new public prefix
+ */
+const generatePrefix = () => {
+  return `${KEY_PREFIX}${crypto.randomBytes(8).toString('hex')}`;
+};
+
+/**
+ * Generate a new secret and its salted hash
+ */
+const generateSecret = () => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  return {
+    secret,
+    salt,
+    secretHash: hashSecret(secret, salt),
+  };
+};
+
+/**
+ * Hash a secret with its salt
+ */
+const hashSecret = (secret, salt) => {
+  return crypto.createHash('sha256').update(salt).update(secret).digest('hex');
+};
+
+/**
+ * Compare a secret against a stored hash in constant time
+ */
+const secretMatches = (secret, salt, secretHash) => {
+  if (!salt || !secretHash) {
+    return false;
+  }
+
+  const expected = Buffer.from(secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret, salt), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Lookup prefix for a pre-hashing plaintext key (see scripts/migrate-api-keys.js)
+ */
+const legacyPrefix = (rawKey) => {
+  return `${LEGACY_PREFIX}${crypto.createHash('sha256').update(rawKey).digest('hex').slice(0, 16)}`;
+};
+
+/**
+ * Split a raw key sent by a client into its prefix and secret
+ * Keys without a separator are treated as migrated legacy keys
+ */
+const parseKey = (rawKey) => {
+  const separator = rawKey.indexOf('.');
+
+  if ((rawKey.startsWith(KEY_PREFIX) || rawKey.startsWith(LEGACY_PREFIX)) && separator > 0) {
+    return {
+      prefix: rawKey.slice(0, separator),
+      secret: rawKey.slice(separator + 1),
+      legacy: false,
+    };
+  }
+
+  return {
+    prefix: legacyPrefix(rawKey),
+    secret: rawKey,
+    legacy: true,
+  };
+};
+
+/**
+ * Strip secrets and hashes from an API key document before returning it to clients
+ */
+const toPublicKey = (data) => {
+  const { key, previousKey, secretHash, salt, previousSecretHash, previousSalt, ...rest } = data;
+  return rest;
+};
+
+/**
+ * Validate optional key constraints (expiresAt, allowedIps, dailyQuota)
+ * Returns an error message, or null if valid
+ */
+const validateConstraints = ({ expiresAt, allowedIps, dailyQuota }) => {
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiryDate = new Date(expiresAt);
+    if (isNaN(expiryDate.getTime())) {
+      return 'expiresAt must be a valid date';
+    }
+    if (expiryDate <= new Date()) {
+      return 'expiresAt must be in the future';
+    }
+  }
+
+  if (allowedIps !== undefined && allowedIps !== null) {
+    if (!Array.isArray(allowedIps)) {
+      return 'allowedIps must be an array of IP addresses or CIDR ranges';
+    }
+    const invalid = allowedIps.filter((cidr) => !isValidCidr(cidr));
+    if (invalid.length > 0) {
+      return `Invalid IP addresses or CIDR ranges: ${invalid.join(', ')}`;
+    }
+  }
+
+  if (dailyQuota !== undefined && dailyQuota !== null) {
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 1) {
+      return 'dailyQuota must be a positive integer';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create a new API key for a company
+ * The full key is only returned from this call - it is never listed again
+ */
+const createApiKey = async (companyId, { name, permissions, expiresAt, allowedIps, dailyQuota }, userId) => {
+  const id = uuidv4();
+  const prefix = generatePrefix();
+  const { secret, salt, secretHash } = generateSecret();
+  const now = new Date().toISOString();
+
+  const keyData = {
+    id,
+    prefix,
+    secretHash,
+    salt,
+    name,
+    companyId,
+    permissions,
+    active: true,
+    expiresAt: expiresAt || null,
+    allowedIps: allowedIps && allowedIps.length > 0 ? allowedIps : null,
+    dailyQuota: dailyQuota || null,
+    createdAt: now,
+    createdBy: userId,
+    updatedAt: now,
+    lastUsed: null,
+    usageDate: null,
+    usageCount: 0,
+    totalRequests: 0,
+  };
+
+  await db.collection(COLLECTION).doc(id).set(keyData);
+
+  return {
+    key: `${prefix}.${secret}`,
+    data: toPublicKey(keyData),
+  };
+};
+
+/**
+ * List all API keys for a company (without secrets)
+ */
+const listApiKeys = async (companyId) => {
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('companyId', '==', companyId)
+    .get();
+
+  const keys = [];
+  snapshot.forEach((doc) => {
+    keys.push(toPublicKey({ id: doc.id, ...doc.data() }));
+  });
+
+  keys.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+  return keys;
+};
+
+/**
+ * Get an API key document, verifying company ownership
+ */
+const getApiKeyDoc = async (companyId, id) => {
+  const doc = await db.collection(COLLECTION).doc(id).get();
+
+  if (!doc.exists || doc.data().companyId !== companyId) {
+    return null;
+  }
+
+  return doc;
+};
+
+/**
+ * Update the name, permissions or constraints of an API key
+ */
+const updateApiKey = async (companyId, id, changes, userId) => {
+  const doc = await getApiKeyDoc(companyId, id);
+  if (!doc) {
+    return null;
+  }
+
+  const updateData = {
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId,
+  };
+
+  ['name', 'permissions', 'expiresAt', 'allowedIps', 'dailyQuota'].forEach((field) => {
+    if (changes[field] !== undefined) {
+      updateData[field] = changes[field];
+    }
+  });
+
+  if (Array.isArray(updateData.allowedIps) && updateData.allowedIps.length === 0) {
+    updateData.allowedIps = null;
+  }
+
+  await doc.ref.update(updateData);
+
+  return toPublicKey({ id: doc.id, ...doc.data(), ...updateData });
+};
+
+/**
+ * Rotate an API key
+ * The previous key keeps working until the grace period ends
+ */
+const rotateApiKey = async (companyId, id, { gracePeriodHours = DEFAULT_GRACE_PERIOD_HOURS }, userId) => {
+  const doc = await getApiKeyDoc(companyId, id);
+  if (!doc) {
+    return null;
+  }
+
+  const existing = doc.data();
+  const { secret, salt, secretHash } = generateSecret();
+  const now = new Date();
+  const keepPrevious = gracePeriodHours > 0 && Boolean(existing.secretHash);
+
+  // The prefix stays the same so the previous secret can still be found during the grace period
+  // (unmigrated plaintext keys get a fresh prefix and lose their old key immediately)
+  const prefix = existing.prefix || generatePrefix();
+  const updateData = {
+    prefix,
+    secretHash,
+    salt,
+    previousSecretHash: keepPrevious ? existing.secretHash : null,
+    previousSalt: keepPrevious ? existing.salt : null,
+    previousKeyExpiresAt: keepPrevious
+      ? new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000).toISOString()
+      : null,
+    rotatedAt: now.toISOString(),
+    rotatedBy: userId,
+    updatedAt: now.toISOString(),
+  };
+
+  await doc.ref.update({
+    ...updateData,
+    ...(existing.key && { key: FieldValue.delete() }),
+  });
+
+  return {
+    key: `${prefix}.${secret}`,
+    data: toPublicKey({ id: doc.id, ...existing, ...updateData }),
+  };
+};
+
+/**
+ * Revoke an API key
+ * The document is kept (inactive) for auditing
+ */
+const revokeApiKey = async (companyId, id, userId) => {
+  const doc = await getApiKeyDoc(companyId, id);
+  if (!doc) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const updateData = {
+    active: false,
+    previousSecretHash: null,
+    previousSalt: null,
+    previousKeyExpiresAt: null,
+    revokedAt: now,
+    revokedBy: userId,
+    updatedAt: now,
+  };
+
+  await doc.ref.update(updateData);
+
+  return toPublicKey({ id: doc.id, ...doc.data(), ...updateData });
+};
+
+/**
+ * Find the active key document matching a raw key sent by a client
+ * Accepts the previous secret of a rotated key while its grace period lasts
+ */
+const findActiveKey = async (rawKey) => {
+  const { prefix, secret, legacy } = parseKey(rawKey);
+
+  const snapshot = await db.collection(COLLECTION)
+    .where('prefix', '==', prefix)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return legacy ? findUnmigratedKey(rawKey) : null;
+  }
+
+  const doc = snapshot.docs[0];
+  const data = doc.data();
+
+  if (!data.active || !matchSecret(data, secret)) {
+    return null;
+  }
+
+  return doc;
+};
+
+/**
+ * Check which of a key's secrets a client secret matches
+ * Returns the matching secret hash (current, or previous within its grace period), or null
+ */
+const matchSecret = (data, secret) => {
+  if (secretMatches(secret, data.salt, data.secretHash)) {
+    return data.secretHash;
+  }
+
+  const inGracePeriod = data.previousKeyExpiresAt && new Date(data.previousKeyExpiresAt) > new Date();
+  if (inGracePeriod && secretMatches(secret, data.previousSalt, data.previousSecretHash)) {
+    return data.previousSecretHash;
+  }
+
+  return null;
+};
+
+/**
+ * Check the expiry and IP allowlist of a key
+ * The daily quota is enforced by recordUsage, which counts the request
+ * Returns one of CONSTRAINT_ERRORS, or null if the request is allowed
+ */
+const checkConstraints = (data, ip, now = new Date()) => {
+  if (data.expiresAt && new Date(data.expiresAt) <= now) {
+    return CONSTRAINT_ERRORS.expired;
+  }
+
+  if (Array.isArray(data.allowedIps) && data.allowedIps.length > 0 && !ipInCidrs(ip, data.allowedIps)) {
+    return CONSTRAINT_ERRORS.ipNotAllowed;
+  }
+
+  return null;
+};
+
+/**
+ * UTC day used to bucket usage counts
+ */
+const toUsageDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Record a request against a key, enforcing its daily quota
+ * The daily counter resets on the first request of each UTC day. For keys with a quota
+ * the check and the increment run in one transaction, so concurrent requests can't
+ * go over it.
+ * Returns CONSTRAINT_ERRORS.quotaExceeded, or null if the request was counted
+ */
+const recordUsage = async (doc, now = new Date()) => {
+  const today = toUsageDate(now);
+  const usedToday = (data) => (data.usageDate === today ? data.usageCount || 0 : 0);
+
+  if (!doc.data().dailyQuota) {
+    await doc.ref.update({
+      lastUsed: now.toISOString(),
+      usageDate: today,
+      usageCount: doc.data().usageDate === today ? FieldValue.increment(1) : 1,
+      totalRequests: FieldValue.increment(1),
+    });
+    return null;
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const data = (await transaction.get(doc.ref)).data();
+
+    if (data.dailyQuota && usedToday(data) >= data.dailyQuota) {
+      return CONSTRAINT_ERRORS.quotaExceeded;
+    }
+
+    transaction.update(doc.ref, {
+      lastUsed: now.toISOString(),
+      usageDate: today,
+      usageCount: usedToday(data) + 1,
+      totalRequests: FieldValue.increment(1),
+    });
+    return null;
+  });
+};
+
+/**
+ * Fallback for plaintext keys that have not been migrated yet
+ * Remove once scripts/migrate-api-keys.js has been run everywhere
+ */
+const findUnmigratedKey = async (rawKey) => {
+  const snapshot = await db.collection(COLLECTION)
+    .where('key', '==', rawKey)
+    .where('active', '==', true)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return null;
+  }
+
+  console.warn(`⚠️  API key ${snapshot.docs[0].id} is stored in plaintext - run npm run migrate-api-keys`);
+  return snapshot.docs[0];
+};
+
+/**
+ * Replace the plaintext key of a legacy document with a prefix and salted hash
+ * Clients keep sending the same key - it is found through its legacy prefix
+ */
+const migrateLegacyKey = async (doc, dryRun = false) => {
+  const data = doc.data();
+
+  if (!data.key || data.secretHash) {
+    return { migrated: false, reason: 'Already hashed' };
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const updateData = {
+    prefix: legacyPrefix(data.key),
+    secretHash: hashSecret(data.key, salt),
+    salt,
+    key: FieldValue.delete(),
+    previousKey: FieldValue.delete(),
+    previousKeyExpiresAt: null,
+    keyPreview: FieldValue.delete(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  if (!dryRun) {
+    await doc.ref.update(updateData);
+  }
+
+  return {
+    migrated: true,
+    droppedPreviousKey: Boolean(data.previousKey),
+  };
+};
+
+module.exports = {
+  CONSTRAINT_ERRORS,
+  DEFAULT_GRACE_PERIOD_HOURS,
+  validatePermissions,
+  validateConstraints,
+  createApiKey,
+  listApiKeys,
+  getApiKeyDoc,
+  toPublicKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  parseKey,
+  findActiveKey,
+  matchSecret,
+  checkConstraints,
+  recordUsage,
+  migrateLegacyKey,
+};
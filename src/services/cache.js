@@ -0,0 +1,153 @@
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+
+/**
+ * Small key/value cache with per-entry TTL
+ * Uses Redis when connected, otherwise an in-process LRU
+ * (the fallback is per-instance, so invalidations don't reach other processes)
+ */
+
+const KEY_PREFIX = 'ai-dashboard:';
+const MAX_MEMORY_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+// Map keeps insertion order, so the first key is always the least recently used
+const memoryStore = new Map();
+
+const memoryGet = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+
+  // Move to the end (most recently used)
+  memoryStore.delete(key);
+  memoryStore.set(key, entry);
+  return entry.value;
+};
+
+const memorySet = (key, value, ttlSeconds) => {
+  memoryStore.delete(key);
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  if (memoryStore.size > MAX_MEMORY_ENTRIES) {
+    memoryStore.delete(memoryStore.keys().next().value);
+  }
+};
+
+/**
+ * Get a cached value (null on miss)
+ */
+const get = async (key) => {
+  if (isRedisConnected()) {
+    try {
+      const raw = await getRedisClient().get(KEY_PREFIX + key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.error('Cache read error:', error.message);
+    }
+  }
+
+  return memoryGet(key);
+};
+
+/**
+ * Cache a JSON-serializable value for ttlSeconds
+ */
+const set = async (key, value, ttlSeconds) => {
+  if (!ttlSeconds || ttlSeconds <= 0) {
+    return;
+  }
+
+  if (isRedisConnected()) {
+    try {
+      await getRedisClient().set(KEY_PREFIX + key, JSON.stringify(value), {
+        expiration: { type: 'EX', value: Math.ceil(ttlSeconds) },
+      });
+      return;
+    } catch (error) {
+      console.error('Cache write error:', error.message);
+    }
+  }
+
+  memorySet(key, value, ttlSeconds);
+};
+
+/**
+ * Increment a counter and return the new value
+ * The TTL starts with the first increment and isn't extended by later ones
+ */
+const increment = async (key, ttlSeconds) => {
+  if (isRedisConnected()) {
+    try {
+      const client = getRedisClient();
+      const count = await client.incr(KEY_PREFIX + key);
+      if (count === 1) {
+        await client.expire(KEY_PREFIX + key, Math.ceil(ttlSeconds));
+      }
+      return count;
+    } catch (error) {
+      console.error('Cache increment error:', error.message);
+    }
+  }
+
+  const entry = memoryStore.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    entry.value += 1;
+    return entry.value;
+  }
+
+  memorySet(key, 1, ttlSeconds);
+  return 1;
+};
+
+/**
+ * Seconds until a cached value expires (0 if missing)
+ */
+const ttl = async (key) => {
+  if (isRedisConnected()) {
+    try {
+      const seconds = await getRedisClient().ttl(KEY_PREFIX + key);
+      return Math.max(seconds, 0);
+    } catch (error) {
+      console.error('Cache TTL error:', error.message);
+    }
+  }
+
+  const entry = memoryStore.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return 0;
+  }
+  return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+};
+
+/**
+ * Remove one or more cached values
+ */
+const del = async (...keys) => {
+  if (keys.length === 0) {
+    return;
+  }
+
+  // Always clear the local copy too, in case it was written while Redis was down
+  keys.forEach((key) => memoryStore.delete(key));
+
+  if (isRedisConnected()) {
+    try {
+      await getRedisClient().del(keys.map((key) => KEY_PREFIX + key));
+    } catch (error) {
+      console.error('Cache delete error:', error.message);
+    }
+  }
+};
+
+module.exports = {
+  get,
+  set,
+  increment,
+  ttl,
+  del,
+};
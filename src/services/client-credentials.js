@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const apiKeyService = require('./api-keys');
+const cache = require('./cache');
+const { signToken, verifySignedToken } = require('../utils/tokens');
+const { hasScope } = require('../utils/scopes');
+const { ipInCidrs } = require('../utils/ip');
+
+/**
+ * OAuth2 client credentials for API keys
+ *
+ * Machine clients exchange their key (client_id = prefix, client_secret = secret)
+ * at POST /auth/token for a short-lived JWT carrying companyId and scopes, and send
+ * that as a Bearer token instead of `x-api-key` on every call.
+ *
+ * Tokens are checked without reading Firestore on each request. They carry a version
+ * derived from the secret they were issued with; the key's current state (active,
+ * secret versions, permissions, expiry, IP allowlist) is cached briefly and dropped
+ * whenever the key is updated, rotated or revoked. Rotating the secret therefore
+ * revokes every token issued with the old one once its grace period ends, and a token
+ * never has more permissions than its key currently grants.
+ */
+
+const TOKEN_AUDIENCE = 'api-client';
+const TOKEN_TTL_SECONDS = parseInt(process.env.API_CLIENT_TOKEN_TTL) || 60 * 60;
+const STATE_TTL_SECONDS = 60;
+
+/**
+ * OAuth2 error responses (RFC 6749 section 5.2)
+ */
+const OAUTH_ERRORS = {
+  invalidRequest: {
+    status: 400,
+    error: 'invalid_request',
+    description: 'client_id and client_secret are required',
+  },
+  unsupportedGrantType: {
+    status: 400,
+    error: 'unsupported_grant_type',
+    description: 'Only the client_credentials grant type is supported',
+  },
+  invalidClient: {
+    status: 401,
+    error: 'invalid_client',
+    description: 'Invalid client credentials',
+  },
+  invalidScope: {
+    status: 400,
+    error: 'invalid_scope',
+    description: 'Requested scope exceeds the permissions of this client',
+  },
+};
+
+/**
+ * Non-reversible identifier for a secret hash, embedded in tokens
+ */
+const secretVersion = (secretHash) => {
+  return crypto.createHash('sha256').update(secretHash).digest('hex').slice(0, 16);
+};
+
+const stateKey = (keyId) => `api-client:${keyId}`;
+
+/**
+ * Load the parts of a key that token verification needs (cached)
+ * Returns null if the key no longer exists
+ */
+const getClientState = async (keyId) => {
+  const cached = await cache.get(stateKey(keyId));
+  if (cached) {
+    return cached;
+  }
+
+  const doc = await db.collection('apiKeys').doc(keyId).get();
+  if (!doc.exists) {
+    return null;
+  }
+
+  const data = doc.data();
+  const state = {
+    active: Boolean(data.active),
+    secretVersion: data.secretHash ? secretVersion(data.secretHash) : null,
+    previousSecretVersion: data.previousSecretHash ? secretVersion(data.previousSecretHash) : null,
+    previousKeyExpiresAt: data.previousKeyExpiresAt || null,
+    allowedIps: data.allowedIps || null,
+    permissions: data.permissions || ['read'],
+    expiresAt: data.expiresAt || null,
+  };
+
+  await cache.set(stateKey(keyId), state, STATE_TTL_SECONDS);
+  return state;
+};
+
+/**
+ * Drop the cached state of a key so changes apply to its tokens immediately
+ * (other instances keep theirs for up to STATE_TTL_SECONDS unless Redis is configured)
+ */
+const invalidateClient = async (keyId) => {
+  await cache.del(stateKey(keyId));
+};
+
+/**
+ * Read client credentials from an HTTP Basic header or the request body
+ */
+const parseClientCredentials = (req) => {
+  const header = req.headers.authorization;
+
+  if (header?.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator > 0) {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    }
+  }
+
+  return {
+    clientId: req.body?.client_id,
+    clientSecret: req.body?.client_secret,
+  };
+};
+
+/**
+ * OAuth2 error for an API key constraint violation
+ */
+const constraintError = (violation) => ({
+  status: violation.status,
+  error: 'invalid_client',
+  description: violation.error,
+  code: violation.code,
+});
+
+/**
+ * Exchange client credentials for an access token
+ * Returns { accessToken, expiresIn, scope } or { error } (one of OAUTH_ERRORS, or an
+ * API key constraint error with `code`)
+ */
+const issueToken = async ({ grantType, clientId, clientSecret, scope, ip }) => {
+  if (grantType !== 'client_credentials') {
+    return { error: OAUTH_ERRORS.unsupportedGrantType };
+  }
+
+  if (!clientId || !clientSecret || typeof clientId !== 'string' || typeof clientSecret !== 'string') {
+    return { error: OAUTH_ERRORS.invalidRequest };
+  }
+
+  // Only hashed keys (sk_/legacy_ prefixes) can be used as clients
+  const { prefix, legacy } = apiKeyService.parseKey(`${clientId}.${clientSecret}`);
+  if (legacy || prefix !== clientId) {
+    return { error: OAUTH_ERRORS.invalidClient };
+  }
+
+  const doc = await apiKeyService.findActiveKey(`${clientId}.${clientSecret}`);
+  if (!doc) {
+    return { error: OAUTH_ERRORS.invalidClient };
+  }
+
+  const data = doc.data();
+
+  const violation = apiKeyService.checkConstraints(data, ip);
+  if (violation) {
+    return { error: constraintError(violation) };
+  }
+
+  const permissions = data.permissions || ['read'];
+  const requested = typeof scope === 'string' && scope.trim() ? scope.trim().split(/\s+/) : permissions;
+  if (!requested.every((s) => hasScope(permissions, s))) {
+    return { error: OAUTH_ERRORS.invalidScope };
+  }
+
+  // Token requests count against the key's usage and daily quota
+  const quotaViolation = await apiKeyService.recordUsage(doc);
+  if (quotaViolation) {
+    return { error: constraintError(quotaViolation) };
+  }
+
+  // Never outlive the key itself
+  let expiresIn = TOKEN_TTL_SECONDS;
+  if (data.expiresAt) {
+    const untilKeyExpiry = Math.floor((new Date(data.expiresAt).getTime() - Date.now()) / 1000);
+    expiresIn = Math.min(expiresIn, untilKeyExpiry);
+  }
+
+  const accessToken = signToken(
+    {
+      companyId: data.companyId,
+      scope: requested.join(' '),
+      name: data.name,
+      ver: secretVersion(apiKeyService.matchSecret(data, clientSecret)),
+    },
+    { audience: TOKEN_AUDIENCE, subject: doc.id, expiresIn }
+  );
+
+  return { accessToken, expiresIn, scope: requested.join(' ') };
+};
+
+/**
+ * Permissions both a token's scope and its key's current permissions grant
+ * e.g. a token for 'write' on a key narrowed to 'scenarios:read' keeps 'scenarios:read'
+ */
+const intersectScopes = (tokenScopes, keyPermissions) => {
+  const granted = [
+    ...tokenScopes.filter((scope) => hasScope(keyPermissions, scope)),
+    ...keyPermissions.filter((permission) => hasScope(tokenScopes, permission)),
+  ];
+  return [...new Set(granted)];
+};
+
+/**
+ * Verify a client access token
+ * Returns { apiClient } on success or { violation: { status, error, code } }
+ */
+const verifyAccessToken = async (token, ip) => {
+  const reject = (status, error, code) => ({ violation: { status, error, code } });
+
+  let decoded;
+  try {
+    decoded = verifySignedToken(token, { audience: TOKEN_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return reject(401, 'Token expired', 'TOKEN_EXPIRED');
+    }
+    return reject(401, 'Invalid token', 'TOKEN_INVALID');
+  }
+
+  const state = await getClientState(decoded.sub);
+  if (!state?.active) {
+    return reject(401, 'Invalid or inactive API key', 'API_KEY_INVALID');
+  }
+
+  const inGracePeriod = state.previousKeyExpiresAt && new Date(state.previousKeyExpiresAt) > new Date();
+  const versionValid = decoded.ver === state.secretVersion
+    || (inGracePeriod && decoded.ver === state.previousSecretVersion);
+  if (!versionValid) {
+    return reject(401, 'Token revoked', 'TOKEN_REVOKED');
+  }
+
+  // The key's expiry may have been moved up since the token was issued
+  if (state.expiresAt && new Date(state.expiresAt) <= new Date()) {
+    const { status, error, code } = apiKeyService.CONSTRAINT_ERRORS.expired;
+    return reject(status, error, code);
+  }
+
+  if (Array.isArray(state.allowedIps) && state.allowedIps.length > 0 && !ipInCidrs(ip, state.allowedIps)) {
+    const { status, error, code } = apiKeyService.CONSTRAINT_ERRORS.ipNotAllowed;
+    return reject(status, error, code);
+  }
+
+  return {
+    apiClient: {
+      keyId: decoded.sub,
+      companyId: decoded.companyId,
+      permissions: intersectScopes(decoded.scope.split(' '), state.permissions),
+      name: decoded.name,
+    },
+  };
+};
+
+module.exports = {
+  TOKEN_AUDIENCE,
+  OAUTH_ERRORS,
+  parseClientCredentials,
+  issueToken,
+  verifyAccessToken,
+  invalidateClient,
+};
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const cache = require('./cache');
+const { getIdentityProvider } = require('./identity');
+const { appLink } = require('./mailer');
+
+/**
+ * Device authorization flow (RFC 8628) for headsets and kiosks
+ *
+ * A device requests a device code and a short user code, shows the user code,
+ * and polls for tokens. A signed-in user approves the user code from the
+ * dashboard; the next poll starts a session for that user whose tokens carry a
+ * `device` claim. Revoking the device rejects those tokens from then on.
+ *
+ * Only a hash of the device code is stored in `deviceAuthorizations`.
+ */
+
+const COLLECTION = 'deviceAuthorizations';
+const CODE_TTL_MINUTES = parseInt(process.env.DEVICE_CODE_TTL_MINUTES) || 10;
+const POLL_INTERVAL_SECONDS = 5;
+const STATE_TTL_SECONDS = 60;
+const GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// No vowels (no accidental words) and no easily confused characters
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+const USER_CODE_LENGTH = 8;
+
+/**
+ * OAuth2 device flow error responses (RFC 8628 section 3.5)
+ */
+const DEVICE_ERRORS = {
+  invalidRequest: {
+    status: 400,
+    error: 'invalid_request',
+    description: 'device_code is required',
+  },
+  unsupportedGrantType: {
+    status: 400,
+    error: 'unsupported_grant_type',
+    description: `grant_type must be ${GRANT_TYPE}`,
+  },
+  authorizationPending: {
+    status: 400,
+    error: 'authorization_pending',
+    description: 'The user has not approved this device yet',
+  },
+  slowDown: {
+    status: 400,
+    error: 'slow_down',
+    description: 'Polling too fast - increase the interval by 5 seconds',
+  },
+  accessDenied: {
+    status: 400,
+    error: 'access_denied',
+    description: 'The user denied this device',
+  },
+  expiredToken: {
+    status: 400,
+    error: 'expired_token',
+    description: 'The device code has expired - request a new one',
+  },
+  invalidGrant: {
+    status: 400,
+    error: 'invalid_grant',
+    description: 'Invalid or already used device code',
+  },
+};
+
+const hashDeviceCode = (deviceCode) => crypto.createHash('sha256').update(deviceCode).digest('hex');
+
+const generateUserCode = () => {
+  const chars = Array.from(
+    crypto.randomBytes(USER_CODE_LENGTH),
+    (byte) => USER_CODE_ALPHABET[byte % USER_CODE_ALPHABET.length]
+  );
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+/**
+ * Normalize a user code as typed (case, spaces and dashes don't matter)
+ */
+const normalizeUserCode = (userCode) => {
+  const cleaned = String(userCode || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return cleaned.length === USER_CODE_LENGTH ? `${cleaned.slice(0, 4)}-${cleaned.slice(4)}` : null;
+};
+
+const isExpired = (data) => new Date(data.expiresAt) <= new Date();
+
+/**
+ * Strip the device code hash before returning a device to clients
+ */
+const toPublicDevice = (data) => {
+  const { deviceCodeHash, ...rest } = data;
+  return rest;
+};
+
+/**
+ * Start a device authorization
+ */
+const createDeviceCode = async ({ clientName } = {}) => {
+  const id = uuidv4();
+  const deviceCode = crypto.randomBytes(32).toString('base64url');
+  const userCode = generateUserCode();
+  const now = new Date();
+
+  await db.collection(COLLECTION).doc(id).set({
+    id,
+    deviceCodeHash: hashDeviceCode(deviceCode),
+    userCode,
+    clientName: clientName || null,
+    status: 'pending',
+    interval: POLL_INTERVAL_SECONDS,
+    lastPolledAt: null,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+    userId: null,
+    companyId: null,
+  });
+
+  return {
+    deviceCode,
+    userCode,
+    verificationUri: appLink('/device'),
+    verificationUriComplete: appLink('/device', { code: userCode }),
+    expiresIn: CODE_TTL_MINUTES * 60,
+    interval: POLL_INTERVAL_SECONDS,
+  };
+};
+
+/**
+ * Find the pending, unexpired authorization for a user code
+ */
+const findPending = async (userCode) => {
+  const normalized = normalizeUserCode(userCode);
+  if (!normalized) {
+    return null;
+  }
+
+  const snapshot = await db.collection(COLLECTION).where('userCode', '==', normalized).get();
+  return snapshot.docs.find((doc) => doc.data().status === 'pending' && !isExpired(doc.data())) || null;
+};
+
+/**
+ * Approve a pending device for a user (tokens will belong to their company and role)
+ */
+const approve = async (doc, user) => {
+  const updateData = {
+    status: 'approved',
+    userId: user.uid,
+    userEmail: user.email,
+    companyId: user.companyId,
+    mfa: user.mfaVerified === true,
+    approvedAt: new Date().toISOString(),
+  };
+
+  await doc.ref.update(updateData);
+  return toPublicDevice({ ...doc.data(), ...updateData });
+};
+
+/**
+ * Deny a pending device
+ */
+const deny = async (doc, user) => {
+  const updateData = {
+    status: 'denied',
+    deniedBy: user.uid,
+    deniedAt: new Date().toISOString(),
+  };
+
+  await doc.ref.update(updateData);
+  return toPublicDevice({ ...doc.data(), ...updateData });
+};
+
+/**
+ * Apply an update only if the device still has the expected status
+ * Returns whether it was applied
+ */
+const setStatusIf = (ref, expectedStatus, updateData) => {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().status !== expectedStatus) {
+      return false;
+    }
+
+    transaction.update(ref, updateData);
+    return true;
+  });
+};
+
+/**
+ * Exchange a device code for a session once approved
+ * Returns { session, device } or { error } (one of DEVICE_ERRORS)
+ */
+const pollToken = async ({ grantType, deviceCode }) => {
+  if (grantType !== GRANT_TYPE) {
+    return { error: DEVICE_ERRORS.unsupportedGrantType };
+  }
+
+  if (!deviceCode || typeof deviceCode !== 'string') {
+    return { error: DEVICE_ERRORS.invalidRequest };
+  }
+
+  const snapshot = await db.collection(COLLECTION)
+    .where('deviceCodeHash', '==', hashDeviceCode(deviceCode))
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return { error: DEVICE_ERRORS.invalidGrant };
+  }
+
+  const doc = snapshot.docs[0];
+  const data = doc.data();
+  const now = new Date();
+
+  if (data.status === 'denied') {
+    return { error: DEVICE_ERRORS.accessDenied };
+  }
+
+  if (data.status !== 'pending' && data.status !== 'approved') {
+    return { error: DEVICE_ERRORS.invalidGrant };
+  }
+
+  if (isExpired(data)) {
+    return { error: DEVICE_ERRORS.expiredToken };
+  }
+
+  if (data.status === 'pending') {
+    // Devices polling faster than the interval are asked to back off (and the interval grows)
+    const tooFast = data.lastPolledAt
+      && now.getTime() - new Date(data.lastPolledAt).getTime() < data.interval * 1000;
+
+    await doc.ref.update({
+      lastPolledAt: now.toISOString(),
+      ...(tooFast && { interval: data.interval + 5 }),
+    });
+
+    return { error: tooFast ? DEVICE_ERRORS.slowDown : DEVICE_ERRORS.authorizationPending };
+  }
+
+  // Approved: claim the code in a transaction before starting the session, so concurrent
+  // polls (or a revoke in between) can't exchange it twice
+  const activated = {
+    status: 'active',
+    activatedAt: now.toISOString(),
+  };
+  const claimed = await setStatusIf(doc.ref, 'approved', activated);
+  if (!claimed) {
+    return { error: DEVICE_ERRORS.invalidGrant };
+  }
+
+  let session;
+  try {
+    session = await getIdentityProvider().createSession(data.userId, {
+      device: data.id,
+      ...(data.mfa && { mfa: true }),
+    });
+  } catch (error) {
+    await setStatusIf(doc.ref, 'active', { status: 'approved', activatedAt: null });
+    throw error;
+  }
+
+  return { session, device: toPublicDevice({ ...data, ...activated }) };
+};
+
+/**
+ * List a company's approved devices, newest first
+ * Includes codes approved but not yet exchanged, which can still be revoked until they expire
+ */
+const listDevices = async (companyId) => {
+  const snapshot = await db.collection(COLLECTION).where('companyId', '==', companyId).get();
+
+  const devices = snapshot.docs
+    .map((doc) => doc.data())
+    .filter((data) => ['active', 'revoked'].includes(data.status) || (data.status === 'approved' && !isExpired(data)))
+    .map(toPublicDevice);
+
+  devices.sort((a, b) => (b.approvedAt || '').localeCompare(a.approvedAt || ''));
+
+  return devices;
+};
+
+/**
+ * Get a device, verifying company ownership
+ */
+const getDeviceDoc = async (companyId, id) => {
+  const doc = await db.collection(COLLECTION).doc(id).get();
+
+  if (!doc.exists || doc.data().companyId !== companyId) {
+    return null;
+  }
+
+  return doc;
+};
+
+const stateKey = (id) => `device:${id}`;
+
+/**
+ * Revoke a device; its tokens are rejected from the next request on
+ */
+const revokeDevice = async (doc, userId) => {
+  const updateData = {
+    status: 'revoked',
+    revokedAt: new Date().toISOString(),
+    revokedBy: userId,
+  };
+
+  await doc.ref.update(updateData);
+  await cache.del(stateKey(doc.id));
+
+  return toPublicDevice({ ...doc.data(), ...updateData });
+};
+
+/**
+ * Check whether tokens for a device are still valid (cached briefly)
+ */
+const isDeviceActive = async (id) => {
+  const cached = await cache.get(stateKey(id));
+  if (cached) {
+    return cached.active;
+  }
+
+  const doc = await db.collection(COLLECTION).doc(id).get();
+  const active = doc.exists && doc.data().status === 'active';
+
+  await cache.set(stateKey(id), { active }, STATE_TTL_SECONDS);
+  return active;
+};
+
+module.exports = {
+  GRANT_TYPE,
+  DEVICE_ERRORS,
+  createDeviceCode,
+  findPending,
+  approve,
+  deny,
+  pollToken,
+  listDevices,
+  getDeviceDoc,
+  revokeDevice,
+  isDeviceActive,
+  toPublicDevice,
+};
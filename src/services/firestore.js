@@ -1,13 +1,93 @@
 const { db } = require('../config/firebase');
+const { FieldValue } = require('firebase-admin/firestore');
 const { getSchema } = require('../schemas');
 const { v4: uuidv4 } = require('uuid');
+const { getRequestContext } = require('../utils/request-context');
+const { hasAccess, stripProtectedFields } = require('../utils/access');
+const { encodeCursor } = require('../utils/list-query');
+const { getSearchBackend } = require('./search');
+const { CONTENT_COLLECTIONS, purgeAt } = require('./trash');
+const revisionsService = require('./revisions');
+const referencesService = require('./references');
+const { etagMatches } = require('../utils/etag');
 
 /**
  * Generic Firestore service for CRUD operations
+ *
+ * Functions take an optional `options.access` context (see utils/access.js). When
+ * given, documents the caller can't read are treated as missing and changes need
+ * edit (or, for sharing, owner) access. Internal callers can omit it.
+ *
+ * Deleting moves a document to the trash (sets deletedAt); trashed documents are
+ * hidden everywhere except the trash until restored or purged (see services/trash.js).
+ * Updates keep the replaced version as a revision (see services/revisions.js).
  */
 
+// gRPC status Firestore returns when a query needs an index that doesn't exist
+const FAILED_PRECONDITION = 9;
+
+// Maintained by this service, never written through a regular create or update
+const SYSTEM_FIELDS = ['deletedAt', 'deletedBy', 'revision'];
+
+/**
+ * Fields of client data that a regular create or update may write,
+ * with the reference indexes of the arrays it sets
+ */
+const writableFields = (collectionName, data) => {
+  const type = collectionName.slice(0, -1); // Remove 's' from collection name
+  const fields = stripProtectedFields(data);
+  [...SYSTEM_FIELDS, ...referencesService.indexFields(type)].forEach((field) => delete fields[field]);
+  return { ...fields, ...referencesService.referenceIndexes(type, fields) };
+};
+
+/**
+ * Failure result when the access context lacks the required level on a document, or null
+ * Documents the caller can't even read are reported as not found
+ */
+const checkAccess = (data, access, required) => {
+  if (!access || hasAccess(data, access, required)) {
+    return null;
+  }
+
+  if (hasAccess(data, access, 'read')) {
+    return {
+      success: false,
+      error: `Forbidden: You need ${required} access to this document`,
+      code: 'ACCESS_DENIED',
+    };
+  }
+
+  return {
+    success: false,
+    error: 'Document not found',
+  };
+};
+
+/**
+ * Failure result when data would reference missing or trashed documents, or null
+ * Given the write's transaction, the referenced documents are read in it, so they
+ * can't be trashed before the write commits (see services/references.js)
+ */
+const checkReferenceIntegrity = async (collectionName, data, companyId, transaction) => {
+  const errors = await referencesService.checkReferences(collectionName.slice(0, -1), data, companyId, transaction);
+  if (errors.length === 0) {
+    return null;
+  }
+
+  return {
+    success: false,
+    error: 'Validation failed',
+    code: 'BROKEN_REFERENCE',
+    details: errors,
+  };
+};
+
 /**
  * Get all documents from a collection (filtered by company)
+ *
+ * With `options.limit`, returns one page: up to `limit` documents the caller can read,
+ * continuing after `options.cursor` (a document ID), plus an opaque `nextCursor`
+ * (null on the last page).
  */
 const getAll = async (collectionName, companyId, options = {}) => {
   try {
@@ -21,33 +101,95 @@ const getAll = async (collectionName, companyId, options = {}) => {
     }
 
     // Apply ordering
-    if (options.orderBy) {
-      query = query.orderBy(options.orderBy, options.order || 'desc');
-    } else {
-      query = query.orderBy('createdAt', 'desc');
+    const orderBy = options.orderBy || 'createdAt';
+    const order = options.order || 'desc';
+    query = query.orderBy(orderBy, order);
+
+    const isReadable = (data) => !data.deletedAt && (!options.access || hasAccess(data, options.access, 'read'));
+
+    if (!options.limit) {
+      const snapshot = await query.get();
+      const documents = [];
+
+      snapshot.forEach((doc) => {
+        const data = doc.data();
+        if (isReadable(data)) {
+          documents.push({
+            id: doc.id,
+            ...data,
+          });
+        }
+      });
+
+      return {
+        success: true,
+        data: documents,
+        count: documents.length,
+      };
     }
 
-    // Apply limit
-    if (options.limit) {
-      query = query.limit(options.limit);
+    // Continue after the cursor document, which must belong to the company
+    let after = null;
+    if (options.cursor) {
+      after = await db.collection(collectionName).doc(options.cursor).get();
+      if (!after.exists || after.data().companyId !== companyId) {
+        return {
+          success: false,
+          error: 'Invalid cursor',
+          code: 'INVALID_CURSOR',
+        };
+      }
     }
 
-    const snapshot = await query.get();
+    // Trashed documents and those hidden by sharing are skipped, so keep reading until the page is full
     const documents = [];
+    let nextCursor = null;
 
-    snapshot.forEach((doc) => {
-      documents.push({
-        id: doc.id,
-        ...doc.data(),
-      });
-    });
+    while (documents.length < options.limit) {
+      const snapshot = await (after ? query.startAfter(after) : query).limit(options.limit).get();
+      const exhausted = snapshot.size < options.limit;
+
+      for (const [index, doc] of snapshot.docs.entries()) {
+        const data = doc.data();
+        if (!isReadable(data)) {
+          continue;
+        }
+
+        documents.push({
+          id: doc.id,
+          ...data,
+        });
+
+        if (documents.length === options.limit) {
+          const isLast = exhausted && index === snapshot.size - 1;
+          nextCursor = isLast ? null : encodeCursor(doc.id, options.sort || `${order === 'desc' ? '-' : ''}${orderBy}`);
+          break;
+        }
+      }
+
+      if (exhausted) {
+        break;
+      }
+      after = snapshot.docs[snapshot.size - 1];
+    }
 
     return {
       success: true,
       data: documents,
       count: documents.length,
+      nextCursor,
     };
   } catch (error) {
+    // A filter and sort without a composite index fails the query (gRPC FAILED_PRECONDITION)
+    if (error.code === FAILED_PRECONDITION) {
+      console.error(`Missing index for ${collectionName} query:`, error.message);
+      return {
+        success: false,
+        error: 'This combination of filter and sort is not supported',
+        code: 'INVALID_QUERY',
+      };
+    }
+
     console.error(`Error getting all from ${collectionName}:`, error);
     throw error;
   }
@@ -56,7 +198,7 @@ const getAll = async (collectionName, companyId, options = {}) => {
 /**
  * Get a single document by ID
  */
-const getById = async (collectionName, id, companyId) => {
+const getById = async (collectionName, id, companyId, options = {}) => {
   try {
     const docRef = db.collection(collectionName).doc(id);
     const doc = await docRef.get();
@@ -78,6 +220,13 @@ const getById = async (collectionName, id, companyId) => {
       };
     }
 
+    if (data.deletedAt || (options.access && !hasAccess(data, options.access, 'read'))) {
+      return {
+        success: false,
+        error: 'Document not found',
+      };
+    }
+
     return {
       success: true,
       data: {
@@ -91,29 +240,58 @@ const getById = async (collectionName, id, companyId) => {
   }
 };
 
+/**
+ * Data of a new document, owned by the caller in `access`
+ */
+const newDocument = (collectionName, data, userId, companyId, access, now) => {
+  // Get schema version for this collection type
+  const schema = getSchema(collectionName.slice(0, -1)); // Remove 's' from collection name
+  const schemaVersion = schema?.version || '1.0';
+
+  return {
+    ...writableFields(collectionName, data),
+    ...(data.teamId && { teamId: data.teamId }), // Protected on updates, but set freely on create
+    id: uuidv4(),
+    companyId,
+    ownerId: access?.userId || null,
+    visibility: 'company',
+    createdBy: userId,
+    createdAt: now,
+    updatedAt: now,
+    revision: 1,
+    schemaVersion, // Track which schema version created this document
+  };
+};
+
 /**
  * Create a new document
+ * The caller in `options.access` becomes its owner. Fails with BROKEN_REFERENCE if it
+ * references documents that don't exist.
  */
-const create = async (collectionName, data, userId, companyId) => {
+const create = async (collectionName, data, userId, companyId, options = {}) => {
   try {
-    const id = uuidv4();
     const now = new Date().toISOString();
+    const documentData = newDocument(collectionName, data, userId, companyId, options.access, now);
+    const { id } = documentData;
 
-    // Get schema version for this collection type
-    const schema = getSchema(collectionName.slice(0, -1)); // Remove 's' from collection name
-    const schemaVersion = schema?.version || '1.0';
+    const result = await db.runTransaction(async (transaction) => {
+      const invalid = await checkReferenceIntegrity(collectionName, documentData, companyId, transaction);
+      if (invalid) {
+        return invalid;
+      }
 
-    const documentData = {
-      ...data,
-      id,
-      companyId,
-      createdBy: userId,
-      createdAt: now,
-      updatedAt: now,
-      schemaVersion, // Track which schema version created this document
-    };
+      transaction.set(db.collection(collectionName).doc(id), documentData);
+      return {
+        success: true,
+        data: documentData,
+      };
+    });
+
+    if (!result.success) {
+      return result;
+    }
 
-    await db.collection(collectionName).doc(id).set(documentData);
+    await syncSearchIndex('index', collectionName, documentData);
 
     // Track activity
     await trackActivity({
@@ -126,10 +304,7 @@ const create = async (collectionName, data, userId, companyId) => {
       timestamp: now,
     });
 
-    return {
-      success: true,
-      data: documentData,
-    };
+    return result;
   } catch (error) {
     console.error(`Error creating document in ${collectionName}:`, error);
     throw error;
@@ -138,117 +313,646 @@ const create = async (collectionName, data, userId, companyId) => {
 
 /**
  * Update a document
+ * With `options.ifMatch` (an If-Match header), fails with PRECONDITION_FAILED and the
+ * current version unless the document still has a matching ETag. Fails with
+ * BROKEN_REFERENCE if the changes reference documents that don't exist.
  */
-const update = async (collectionName, id, data, userId, companyId) => {
+const update = async (collectionName, id, data, userId, companyId, options = {}) => {
   try {
     const docRef = db.collection(collectionName).doc(id);
-    const doc = await docRef.get();
+    const now = new Date().toISOString();
 
-    if (!doc.exists) {
+    // Read, compare and write in one transaction so a concurrent update can't slip in between
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists || doc.data().deletedAt) {
+        return {
+          success: false,
+          error: 'Document not found',
+        };
+      }
+
+      const existingData = doc.data();
+
+      // Verify company access
+      if (existingData.companyId !== companyId) {
+        return {
+          success: false,
+          error: 'Unauthorized: Document belongs to another company',
+        };
+      }
+
+      const denied = checkAccess(existingData, options.access, 'edit');
+      if (denied) {
+        return denied;
+      }
+
+      if (options.ifMatch && !etagMatches(options.ifMatch, existingData)) {
+        return {
+          success: false,
+          error: 'Document has been modified since it was read',
+          code: 'PRECONDITION_FAILED',
+          data: {
+            id,
+            ...existingData,
+          },
+        };
+      }
+
+      const changes = writableFields(collectionName, data);
+      const invalid = await checkReferenceIntegrity(collectionName, changes, companyId, transaction);
+      if (invalid) {
+        return invalid;
+      }
+
+      const updateData = stageVersion(transaction, collectionName, id, existingData, changes, userId, now);
       return {
-        success: false,
-        error: 'Document not found',
+        success: true,
+        data: {
+          id,
+          ...existingData,
+          ...updateData,
+        },
       };
+    });
+
+    if (!result.success) {
+      return result;
     }
 
-    const existingData = doc.data();
+    await revisionsService.pruneRevisions(collectionName, id, result.data.revision - 1);
+    await syncSearchIndex('index', collectionName, result.data);
+
+    // Track activity
+    await trackActivity({
+      type: 'update',
+      entityType: collectionName,
+      entityId: id,
+      entityName: result.data.name || 'Unnamed',
+      userId,
+      companyId,
+      timestamp: now,
+    });
+
+    return result;
+  } catch (error) {
+    console.error(`Error updating document in ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Stage saving the current version of a document as a revision and applying changes
+ * on top of it, in a transaction or batch
+ * Returns the fields written to the document
+ */
+const stageVersion = (writer, collectionName, id, existingData, changes, userId, now) => {
+  const previous = revisionsService.currentRevision(existingData);
+  const updateData = {
+    ...changes,
+    revision: previous + 1,
+    updatedAt: now,
+    updatedBy: userId,
+  };
+
+  writer.set(revisionsService.revisionRef(collectionName, id, previous), revisionsService.toRevision(existingData, userId, now));
+  writer.update(db.collection(collectionName).doc(id), updateData);
+
+  return updateData;
+};
+
+/**
+ * Roll a document's content back to a stored revision (edit access required)
+ * The rollback is itself a new version, so the replaced content stays in the history.
+ * Sharing settings and team are left as they are. Fails with BROKEN_REFERENCE if the
+ * revision references documents that no longer exist.
+ */
+const restoreRevision = async (collectionName, id, rev, userId, companyId, options = {}) => {
+  try {
+    const docRef = db.collection(collectionName).doc(id);
+    const now = new Date().toISOString();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const [doc, revisionDoc] = await Promise.all([
+        transaction.get(docRef),
+        transaction.get(revisionsService.revisionRef(collectionName, id, rev)),
+      ]);
+
+      if (!doc.exists || doc.data().companyId !== companyId || doc.data().deletedAt) {
+        return {
+          success: false,
+          error: 'Document not found',
+        };
+      }
+
+      const existingData = doc.data();
+      const denied = checkAccess(existingData, options.access, 'edit');
+      if (denied) {
+        return denied;
+      }
+
+      if (!revisionDoc.exists) {
+        return {
+          success: false,
+          error: 'Revision not found',
+        };
+      }
+
+      // Content fields added after the revision are removed again
+      const revision = revisionDoc.data();
+      const restoredContent = revisionsService.contentFields(revision.data);
+      const removedFields = Object.keys(revisionsService.contentFields(existingData))
+        .filter((field) => !(field in restoredContent));
+
+      const invalid = await checkReferenceIntegrity(collectionName, restoredContent, companyId, transaction);
+      if (invalid) {
+        return invalid;
+      }
+
+      const updateData = stageVersion(transaction, collectionName, id, existingData, {
+        ...restoredContent,
+        ...referencesService.referenceIndexes(collectionName.slice(0, -1), restoredContent),
+        ...Object.fromEntries(removedFields.map((field) => [field, FieldValue.delete()])),
+        ...(revision.schemaVersion && { schemaVersion: revision.schemaVersion }),
+      }, userId, now);
+
+      const documentData = { id, ...existingData, ...updateData };
+      removedFields.forEach((field) => delete documentData[field]);
 
-    // Verify company access
-    if (existingData.companyId !== companyId) {
       return {
-        success: false,
-        error: 'Unauthorized: Document belongs to another company',
+        success: true,
+        data: documentData,
       };
-    }
+    });
 
-    const now = new Date().toISOString();
-    const updateData = {
-      ...data,
-      updatedAt: now,
-      updatedBy: userId,
-    };
+    if (!result.success) {
+      return result;
+    }
 
-    await docRef.update(updateData);
+    await revisionsService.pruneRevisions(collectionName, id, result.data.revision - 1);
+    await syncSearchIndex('index', collectionName, result.data);
 
-    // Track activity
     await trackActivity({
-      type: 'update',
+      type: 'revert',
       entityType: collectionName,
       entityId: id,
-      entityName: existingData.name || data.name || 'Unnamed',
+      entityName: result.data.name || 'Unnamed',
       userId,
       companyId,
       timestamp: now,
     });
 
+    return result;
+  } catch (error) {
+    console.error(`Error restoring revision in ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Referring documents as listed to the caller (names of documents they can't read are hidden)
+ */
+const toReferrers = (referrers, access) => referrers.map(({ data, ...referrer }) => ({
+  ...referrer,
+  name: !access || hasAccess(data, access, 'read') ? referrer.name : null,
+}));
+
+/**
+ * Delete a document by moving it to the trash
+ * It can be restored until the trash retention period ends and it is purged.
+ *
+ * Fails with REFERENCED while live documents reference it, unless `options.cascade`
+ * is set: then the referring documents (which need edit access) are trashed with it.
+ */
+const deleteDoc = async (collectionName, id, userId, companyId, options = {}) => {
+  try {
+    const docRef = db.collection(collectionName).doc(id);
+    const now = new Date().toISOString();
+
+    // Referrers are read in the same transaction as the trash writes, and writes that add
+    // a reference read this document in theirs, so the two can't interleave
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists || doc.data().deletedAt) {
+        return {
+          success: false,
+          error: 'Document not found',
+        };
+      }
+
+      const data = doc.data();
+
+      // Verify company access
+      if (data.companyId !== companyId) {
+        return {
+          success: false,
+          error: 'Unauthorized: Document belongs to another company',
+        };
+      }
+
+      const denied = checkAccess(data, options.access, 'edit');
+      if (denied) {
+        return denied;
+      }
+
+      const referrers = await referencesService.findReferrers(collectionName, id, companyId, transaction);
+      if (referrers.length > 0 && !options.cascade) {
+        return {
+          success: false,
+          error: `Document is referenced by ${referrers.length} other document(s). Remove the references, or delete with cascade to move them to the trash too`,
+          code: 'REFERENCED',
+          referrers: toReferrers(referrers, options.access),
+        };
+      }
+
+      const lockedReferrers = referrers.filter((referrer) => checkAccess(referrer.data, options.access, 'edit'));
+      if (lockedReferrers.length > 0) {
+        return {
+          success: false,
+          error: 'Forbidden: You need edit access to every referring document to delete with cascade',
+          code: 'ACCESS_DENIED',
+          referrers: toReferrers(lockedReferrers, options.access),
+        };
+      }
+
+      // The document and its referrers go to the trash together
+      const trashed = [{ collection: collectionName, id, data }, ...referrers];
+      trashed.forEach((item) => {
+        transaction.update(db.collection(item.collection).doc(item.id), {
+          deletedAt: now,
+          deletedBy: userId,
+        });
+      });
+
+      return {
+        success: true,
+        trashed,
+        referrers,
+      };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    for (const item of result.trashed) {
+      await syncSearchIndex('remove', item.collection, { id: item.id, ...item.data });
+
+      // Track activity
+      await trackActivity({
+        type: 'delete',
+        entityType: item.collection,
+        entityId: item.id,
+        entityName: item.data.name || 'Unnamed',
+        userId,
+        companyId,
+        timestamp: now,
+      });
+    }
+
     return {
       success: true,
+      message: 'Document moved to trash',
       data: {
         id,
-        ...existingData,
-        ...updateData,
+        deletedAt: now,
+        purgeAt: purgeAt(now),
+        ...(result.referrers.length > 0 && { cascaded: toReferrers(result.referrers, options.access) }),
       },
     };
   } catch (error) {
-    console.error(`Error updating document in ${collectionName}:`, error);
+    console.error(`Error deleting document from ${collectionName}:`, error);
     throw error;
   }
 };
 
 /**
- * Delete a document
+ * Result of a batch that was not applied: every operation, with the reason for those that failed
+ * `failures` holds a failure result (or null) per operation
+ */
+const rejectedBatch = (operations, failures) => {
+  const failed = failures.filter(Boolean).length;
+
+  return {
+    success: false,
+    error: `Batch not applied: ${failed} of ${operations.length} operation(s) failed`,
+    code: 'BATCH_REJECTED',
+    data: operations.map(({ op, collection, id }, index) => {
+      const { success: _success, ...failure } = failures[index] || {};
+      return { index, op, type: collection, id: id || null, applied: false, ...failure };
+    }),
+  };
+};
+
+/**
+ * Failure result when a batch create or update would reference documents that don't
+ * exist or that the batch deletes (keys of `deleted` are 'collection/id'), or null
+ */
+const checkBatchReferences = async (operation, companyId, deleted, transaction) => {
+  const type = operation.collection.slice(0, -1); // Remove 's' from collection name
+  const errors = [
+    ...await referencesService.checkReferences(type, operation.data, companyId, transaction),
+    ...referencesService.referencesOf(type, operation.data)
+      .filter(({ id, referenceType }) => deleted.has(`${getSchema(referenceType).collection}/${id}`))
+      .map(({ field, id, referenceType }) => `Field '${field}' references ${referenceType} '${id}', which is deleted in this batch`),
+  ];
+
+  if (errors.length === 0) {
+    return null;
+  }
+
+  return {
+    success: false,
+    error: 'Validation failed',
+    code: 'BROKEN_REFERENCE',
+    details: errors,
+  };
+};
+
+/**
+ * Apply create, update and delete operations across collections, all or nothing
+ *
+ * Operations are { op, collection, id, data, ifMatch }, already validated by the caller.
+ * Every document is checked and written in one transaction; if any operation fails,
+ * nothing is written and each failing operation reports why. Updates keep revisions
+ * and honour `ifMatch` like update(). Deletes move documents to the trash and are
+ * refused while documents outside the batch reference them (there is no cascade).
+ * Creates and updates fail with BROKEN_REFERENCE if they reference documents that
+ * don't exist or that the batch deletes.
  */
-const deleteDoc = async (collectionName, id, userId, companyId) => {
+const batchWrite = async (operations, userId, companyId, options = {}) => {
   try {
-    const docRef = db.collection(collectionName).doc(id);
-    const doc = await docRef.get();
+    const now = new Date().toISOString();
+    const docRef = ({ collection, id }) => db.collection(collection).doc(id);
+
+    const deleted = new Set(operations.filter(({ op }) => op === 'delete').map(({ collection, id }) => `${collection}/${id}`));
+
+    // References are checked in the transaction, like single writes do
+    const result = await db.runTransaction(async (transaction) => {
+      const docs = await Promise.all(operations.map((operation) => (operation.op === 'create'
+        ? null
+        : transaction.get(docRef(operation)))));
+
+      const failures = await Promise.all(operations.map(async (operation, index) => {
+        const doc = docs[index];
+        if (operation.op === 'create') {
+          return checkBatchReferences(operation, companyId, deleted, transaction);
+        }
+
+        if (!doc.exists || doc.data().companyId !== companyId || doc.data().deletedAt) {
+          return {
+            success: false,
+            error: 'Document not found',
+          };
+        }
+
+        const denied = checkAccess(doc.data(), options.access, 'edit');
+        if (denied) {
+          return denied;
+        }
+
+        if (operation.ifMatch && !etagMatches(operation.ifMatch, doc.data())) {
+          return {
+            success: false,
+            error: 'Document has been modified since it was read',
+            code: 'PRECONDITION_FAILED',
+          };
+        }
+
+        if (operation.op === 'update') {
+          return checkBatchReferences(operation, companyId, deleted, transaction);
+        }
+
+        const referrers = (await referencesService.findReferrers(operation.collection, operation.id, companyId, transaction))
+          .filter((referrer) => !deleted.has(`${referrer.collection}/${referrer.id}`));
+        if (referrers.length > 0) {
+          return {
+            success: false,
+            error: `Document is referenced by ${referrers.length} document(s) not deleted in this batch`,
+            code: 'REFERENCED',
+            referrers: toReferrers(referrers, options.access),
+          };
+        }
+
+        return null;
+      }));
+
+      if (failures.some(Boolean)) {
+        return rejectedBatch(operations, failures);
+      }
+
+      // Each operation's document as written
+      const written = operations.map((operation, index) => {
+        if (operation.op === 'create') {
+          const documentData = newDocument(operation.collection, operation.data, userId, companyId, options.access, now);
+          transaction.set(docRef({ collection: operation.collection, id: documentData.id }), documentData);
+          return documentData;
+        }
+
+        const existingData = docs[index].data();
+        if (operation.op === 'update') {
+          const updateData = stageVersion(transaction, operation.collection, operation.id, existingData, writableFields(operation.collection, operation.data), userId, now);
+          return { id: operation.id, ...existingData, ...updateData };
+        }
+
+        transaction.update(docRef(operation), {
+          deletedAt: now,
+          deletedBy: userId,
+        });
+        return { id: operation.id, ...existingData };
+      });
 
-    if (!doc.exists) {
       return {
-        success: false,
-        error: 'Document not found',
+        success: true,
+        written,
       };
+    });
+
+    if (!result.success) {
+      return result;
     }
 
-    const data = doc.data();
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+      const { op, collection } = operation;
+      const documentData = result.written[index];
+
+      if (op === 'update') {
+        await revisionsService.pruneRevisions(collection, documentData.id, documentData.revision - 1);
+      }
+      await syncSearchIndex(op === 'delete' ? 'remove' : 'index', collection, documentData);
+
+      await trackActivity({
+        type: op,
+        entityType: collection,
+        entityId: documentData.id,
+        entityName: documentData.name || 'Unnamed',
+        userId,
+        companyId,
+        timestamp: now,
+      });
+
+      results.push({
+        index,
+        op,
+        type: collection,
+        id: documentData.id,
+        applied: true,
+        data: op === 'delete'
+          ? { id: documentData.id, deletedAt: now, purgeAt: purgeAt(now) }
+          : documentData,
+      });
+    }
+
+    return {
+      success: true,
+      data: results,
+      count: results.length,
+    };
+  } catch (error) {
+    console.error('Error applying batch:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore a trashed document (edit access required)
+ * Fails with BROKEN_REFERENCE if documents it references were trashed or purged since;
+ * restore those first.
+ */
+const restore = async (collectionName, id, userId, companyId, options = {}) => {
+  try {
+    const docRef = db.collection(collectionName).doc(id);
+    const now = new Date().toISOString();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists || doc.data().companyId !== companyId || !doc.data().deletedAt) {
+        return {
+          success: false,
+          error: 'Document not found in trash',
+        };
+      }
+
+      const data = doc.data();
+      const denied = checkAccess(data, options.access, 'edit');
+      if (denied) {
+        return denied;
+      }
+
+      const { deletedAt, deletedBy, ...restoredData } = data;
+      const invalid = await checkReferenceIntegrity(collectionName, restoredData, companyId, transaction);
+      if (invalid) {
+        return invalid;
+      }
+
+      // Documents trashed before reference indexes existed get theirs now
+      const indexes = referencesService.referenceIndexes(collectionName.slice(0, -1), restoredData);
+      transaction.update(docRef, {
+        ...indexes,
+        deletedAt: FieldValue.delete(),
+        deletedBy: FieldValue.delete(),
+        updatedAt: now,
+        updatedBy: userId,
+      });
 
-    // Verify company access
-    if (data.companyId !== companyId) {
       return {
-        success: false,
-        error: 'Unauthorized: Document belongs to another company',
+        success: true,
+        data: {
+          ...restoredData,
+          ...indexes,
+          id,
+          updatedAt: now,
+          updatedBy: userId,
+        },
       };
+    });
+
+    if (!result.success) {
+      return result;
     }
 
-    await docRef.delete();
+    await syncSearchIndex('index', collectionName, result.data);
 
-    // Track activity
     await trackActivity({
-      type: 'delete',
+      type: 'restore',
       entityType: collectionName,
       entityId: id,
-      entityName: data.name || 'Unnamed',
+      entityName: result.data.name || 'Unnamed',
       userId,
       companyId,
-      timestamp: new Date().toISOString(),
+      timestamp: now,
     });
 
+    return result;
+  } catch (error) {
+    console.error(`Error restoring document in ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a company's trashed documents, most recently deleted first
+ * Only documents the caller in `options.access` can read are listed
+ */
+const getTrash = async (companyId, options = {}) => {
+  try {
+    const collections = options.collections || CONTENT_COLLECTIONS;
+    const limit = options.limit || 50;
+    const items = [];
+
+    await Promise.all(collections.map(async (collectionName) => {
+      const snapshot = await db.collection(collectionName)
+        .where('companyId', '==', companyId)
+        .where('deletedAt', '!=', null)
+        .orderBy('deletedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      snapshot.forEach((doc) => {
+        const data = doc.data();
+        if (options.access && !hasAccess(data, options.access, 'read')) {
+          return;
+        }
+
+        items.push({
+          type: collectionName.slice(0, -1),
+          collection: collectionName,
+          id: doc.id,
+          name: data.name || null,
+          deletedAt: data.deletedAt,
+          deletedBy: data.deletedBy || null,
+          purgeAt: purgeAt(data.deletedAt),
+        });
+      });
+    }));
+
+    const documents = items
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .slice(0, limit);
+
     return {
       success: true,
-      message: 'Document deleted successfully',
+      data: documents,
+      count: documents.length,
     };
   } catch (error) {
-    console.error(`Error deleting document from ${collectionName}:`, error);
+    console.error('Error getting trash:', error);
     throw error;
   }
 };
 
 /**
  * Duplicate a document
+ * The copy belongs to the caller and keeps the original's visibility, but not its grants.
+ * Fails with BROKEN_REFERENCE if the original references documents that no longer exist.
  */
-const duplicate = async (collectionName, id, userId, companyId) => {
+const duplicate = async (collectionName, id, userId, companyId, options = {}) => {
   try {
-    const result = await getById(collectionName, id, companyId);
+    const result = await getById(collectionName, id, companyId, options);
 
     if (!result.success) {
       return result;
@@ -259,20 +963,40 @@ const duplicate = async (collectionName, id, userId, companyId) => {
     const now = new Date().toISOString();
 
     // Remove fields that shouldn't be duplicated
-    const { id: _id, createdAt, createdBy, updatedAt, updatedBy, playCount, ...dataToDuplicate } = originalData;
+    const { id: _id, createdAt, createdBy, updatedAt, updatedBy, playCount, ownerId, grants, ...dataToDuplicate } = originalData;
 
     const duplicateData = {
       ...dataToDuplicate,
+      ...referencesService.referenceIndexes(collectionName.slice(0, -1), dataToDuplicate),
       id: newId,
       name: `${originalData.name} (Copy)`,
       companyId,
+      ownerId: options.access?.userId || null,
       createdBy: userId,
       createdAt: now,
       updatedAt: now,
+      revision: 1,
       ...(playCount !== undefined && { playCount: 0 }),
     };
 
-    await db.collection(collectionName).doc(newId).set(duplicateData);
+    const written = await db.runTransaction(async (transaction) => {
+      const invalid = await checkReferenceIntegrity(collectionName, duplicateData, companyId, transaction);
+      if (invalid) {
+        return invalid;
+      }
+
+      transaction.set(db.collection(collectionName).doc(newId), duplicateData);
+      return {
+        success: true,
+        data: duplicateData,
+      };
+    });
+
+    if (!written.success) {
+      return written;
+    }
+
+    await syncSearchIndex('index', collectionName, duplicateData);
 
     // Track activity
     await trackActivity({
@@ -295,14 +1019,137 @@ const duplicate = async (collectionName, id, userId, companyId) => {
   }
 };
 
+/**
+ * Sharing settings of a document, plus the caller's own access level
+ */
+const toSharing = (data, level) => ({
+  ownerId: data.ownerId || null,
+  visibility: data.visibility || 'company',
+  teamId: data.teamId || null,
+  grants: data.grants || [],
+  ...(level && { access: level }),
+});
+
+/**
+ * Apply a change to a document's sharing settings (owner access required)
+ * `mutate` receives the current document and returns the fields to update
+ */
+const changeSharing = async (collectionName, id, mutate, userId, companyId, options = {}) => {
+  try {
+    const docRef = db.collection(collectionName).doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists || doc.data().companyId !== companyId || doc.data().deletedAt) {
+      return {
+        success: false,
+        error: 'Document not found',
+      };
+    }
+
+    const existingData = doc.data();
+    const denied = checkAccess(existingData, options.access, 'owner');
+    if (denied) {
+      return denied;
+    }
+
+    const now = new Date().toISOString();
+    const updateData = {
+      ...mutate(existingData),
+      updatedAt: now,
+      updatedBy: userId,
+    };
+
+    await docRef.update(updateData);
+    await syncSearchIndex('index', collectionName, { id, ...existingData, ...updateData });
+
+    await trackActivity({
+      type: 'share',
+      entityType: collectionName,
+      entityId: id,
+      entityName: existingData.name || 'Unnamed',
+      userId,
+      companyId,
+      timestamp: now,
+    });
+
+    return {
+      success: true,
+      data: toSharing({ ...existingData, ...updateData }),
+    };
+  } catch (error) {
+    console.error(`Error changing sharing in ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Change a document's visibility, team or owner
+ */
+const updateSharing = (collectionName, id, { visibility, teamId, ownerId }, userId, companyId, options = {}) => {
+  return changeSharing(collectionName, id, () => ({
+    ...(visibility !== undefined && { visibility }),
+    ...(teamId !== undefined && { teamId }),
+    ...(ownerId !== undefined && { ownerId }),
+  }), userId, companyId, options);
+};
+
+/**
+ * Give a user read or edit access to a document (replaces an existing grant)
+ */
+const grantAccess = (collectionName, id, { userId: granteeId, access }, userId, companyId, options = {}) => {
+  return changeSharing(collectionName, id, (data) => ({
+    grants: [
+      ...(data.grants || []).filter((grant) => grant.userId !== granteeId),
+      { userId: granteeId, access, grantedBy: userId, grantedAt: new Date().toISOString() },
+    ],
+  }), userId, companyId, options);
+};
+
+/**
+ * Remove a user's grant on a document
+ */
+const revokeAccess = (collectionName, id, granteeId, userId, companyId, options = {}) => {
+  return changeSharing(collectionName, id, (data) => ({
+    grants: (data.grants || []).filter((grant) => grant.userId !== granteeId),
+  }), userId, companyId, options);
+};
+
+/**
+ * Keep the search index in sync with a write ('index' or 'remove')
+ * Like activity tracking, indexing failures don't fail the write
+ */
+const syncSearchIndex = async (action, collectionName, doc) => {
+  try {
+    const backend = getSearchBackend();
+    if (action === 'remove') {
+      await backend.removeDocument(collectionName, doc);
+    } else {
+      await backend.indexDocument(collectionName, doc);
+    }
+  } catch (error) {
+    console.error('Error updating search index:', error);
+  }
+};
+
 /**
  * Track activity for recent edits
+ * Activities during an impersonation session also record the super admin behind it
  */
 const trackActivity = async (activity) => {
   try {
     const activityId = uuidv4();
+    const { impersonation } = getRequestContext();
+
     await db.collection('activities').doc(activityId).set({
       id: activityId,
+      ...(impersonation && {
+        impersonation: {
+          sessionId: impersonation.sessionId,
+          actorUid: impersonation.actorUid,
+          actorEmail: impersonation.actorEmail,
+          mode: impersonation.mode,
+        },
+      }),
       ...activity,
     });
   } catch (error) {
@@ -339,17 +1186,26 @@ const getRecentActivities = async (companyId, limit = 20) => {
 };
 
 /**
- * Get counts for dashboard
+ * Get counts for dashboard (trashed documents excluded)
+ * Counts only one team's documents when `options.teamId` is set
  */
-const getCounts = async (companyId) => {
+const getCounts = async (companyId, options = {}) => {
   try {
-    const collections = ['scenarios', 'characters', 'dialogues', 'environments'];
     const counts = {};
 
     await Promise.all(
-      collections.map(async (collection) => {
-        const snapshot = await db.collection(collection).where('companyId', '==', companyId).count().get();
-        counts[collection] = snapshot.data().count;
+      CONTENT_COLLECTIONS.map(async (collection) => {
+        let query = db.collection(collection).where('companyId', '==', companyId);
+        if (options.teamId) {
+          query = query.where('teamId', '==', options.teamId);
+        }
+
+        // Documents without deletedAt can't be queried for, so subtract the trashed ones
+        const [total, trashed] = await Promise.all([
+          query.count().get(),
+          query.where('deletedAt', '!=', null).count().get(),
+        ]);
+        counts[collection] = total.data().count - trashed.data().count;
       })
     );
 
@@ -368,8 +1224,18 @@ module.exports = {
   getById,
   create,
   update,
+  restoreRevision,
   deleteDoc,
+  restore,
+  getTrash,
+  rejectedBatch,
+  batchWrite,
   duplicate,
+  toSharing,
+  updateSharing,
+  grantAccess,
+  revokeAccess,
+  trackActivity,
   getRecentActivities,
   getCounts,
 };
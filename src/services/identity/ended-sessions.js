@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { db } = require('../../config/firebase');
+
+/**
+ * Sessions ended by logging out
+ *
+ * Stored in `endedSessions` (document ID = a session key) so adapters stop
+ * refreshing that one session while the user's other sessions keep working.
+ * `expiresAt` is when the session's refresh token would have expired anyway,
+ * after which the entry can be deleted.
+ */
+
+const COLLECTION = 'endedSessions';
+
+/**
+ * Session key for a refresh token that carries no session ID
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const endSession = async (key, uid, expiresAt = null) => {
+  await db.collection(COLLECTION).doc(key).set({
+    uid,
+    endedAt: new Date().toISOString(),
+    expiresAt,
+  });
+};
+
+const isSessionEnded = async (key) => {
+  const doc = await db.collection(COLLECTION).doc(key).get();
+  return doc.exists;
+};
+
+module.exports = {
+  hashToken,
+  endSession,
+  isSessionEnded,
+};
@@ -0,0 +1,28 @@
+/**
+ * Error codes shared by identity provider adapters
+ * Codes follow Firebase's `auth/...` naming so callers can check either source
+ */
+const IDENTITY_ERRORS = {
+  INVALID_CREDENTIALS: 'auth/invalid-credentials',
+  TOKEN_EXPIRED: 'auth/id-token-expired',
+  INVALID_TOKEN: 'auth/invalid-token',
+  INVALID_REFRESH_TOKEN: 'auth/invalid-refresh-token',
+  EMAIL_EXISTS: 'auth/email-already-exists',
+  USER_NOT_FOUND: 'auth/user-not-found',
+  NOT_CONFIGURED: 'auth/not-configured',
+  NOT_SUPPORTED: 'auth/operation-not-supported',
+};
+
+/**
+ * Create an Error with an identity error code
+ */
+const identityError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+module.exports = {
+  IDENTITY_ERRORS,
+  identityError,
+};
@@ -0,0 +1,237 @@
+const fetch = require('node-fetch');
+const { auth } = require('../../config/firebase');
+const { IDENTITY_ERRORS, identityError } = require('./errors');
+const endedSessions = require('./ended-sessions');
+
+/**
+ * Firebase Authentication adapter
+ *
+ * The Admin SDK cannot check passwords, so sign-in and refresh use the
+ * identitytoolkit / securetoken REST APIs with FIREBASE_API_KEY.
+ */
+
+const getApiKey = () => {
+  const apiKey = process.env.FIREBASE_API_KEY;
+
+  if (!apiKey) {
+    console.error('FIREBASE_API_KEY not set in environment variables');
+    throw identityError(IDENTITY_ERRORS.NOT_CONFIGURED, 'Authentication service not configured');
+  }
+
+  return apiKey;
+};
+
+/**
+ * Call the Firebase password sign-in REST endpoint
+ */
+const signInWithPassword = async (email, password, returnSecureToken) => {
+  const response = await fetch(
+    `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${getApiKey()}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email,
+        password,
+        returnSecureToken,
+      }),
+    }
+  );
+
+  const data = await response.json();
+
+  if (!response.ok || data.error) {
+    throw identityError(IDENTITY_ERRORS.INVALID_CREDENTIALS, 'Invalid email or password');
+  }
+
+  return data;
+};
+
+const signIn = async (email, password) => {
+  const data = await signInWithPassword(email, password, true);
+
+  return {
+    uid: data.localId,
+    token: data.idToken,
+    refreshToken: data.refreshToken,
+    expiresIn: parseInt(data.expiresIn),
+  };
+};
+
+/**
+ * Exchange a refresh token for a new ID token
+ */
+const exchangeRefreshToken = async (refreshToken) => {
+  const response = await fetch(
+    `https://securetoken.googleapis.com/v1/token?key=${getApiKey()}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+      }),
+    }
+  );
+
+  const data = await response.json();
+
+  if (!response.ok || data.error) {
+    throw identityError(IDENTITY_ERRORS.INVALID_REFRESH_TOKEN, 'Invalid refresh token');
+  }
+
+  return data;
+};
+
+const refresh = async (refreshToken) => {
+  // Firebase keeps the same refresh token for the whole session, so it identifies the session
+  if (await endedSessions.isSessionEnded(endedSessions.hashToken(refreshToken))) {
+    throw identityError(IDENTITY_ERRORS.INVALID_REFRESH_TOKEN, 'Invalid refresh token');
+  }
+
+  const data = await exchangeRefreshToken(refreshToken);
+
+  return {
+    token: data.id_token,
+    refreshToken: data.refresh_token,
+    expiresIn: parseInt(data.expires_in),
+  };
+};
+
+/**
+ * Start a session with extra claims via a custom token
+ * Claims from the custom token stay on every ID token refreshed from this session
+ */
+const createSession = async (uid, claims = {}) => {
+  const customToken = await auth.createCustomToken(uid, claims);
+
+  const response = await fetch(
+    `https://identitytoolkit.googleapis.com/v1/accounts:signInWithCustomToken?key=${getApiKey()}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        token: customToken,
+        returnSecureToken: true,
+      }),
+    }
+  );
+
+  const data = await response.json();
+
+  if (!response.ok || data.error) {
+    throw new Error(`Failed to create session: ${data.error?.message || response.statusText}`);
+  }
+
+  return {
+    token: data.idToken,
+    refreshToken: data.refreshToken,
+    expiresIn: parseInt(data.expiresIn),
+  };
+};
+
+const verifyToken = async (token) => {
+  try {
+    const decoded = await auth.verifyIdToken(token);
+
+    return {
+      uid: decoded.uid,
+      email: decoded.email,
+      iat: decoded.iat,
+      exp: decoded.exp,
+      claims: decoded,
+    };
+  } catch (error) {
+    if (error.code === 'auth/id-token-expired') {
+      throw identityError(IDENTITY_ERRORS.TOKEN_EXPIRED, 'Token expired');
+    }
+    throw identityError(IDENTITY_ERRORS.INVALID_TOKEN, error.message);
+  }
+};
+
+const verifyPassword = async (email, password) => {
+  try {
+    await signInWithPassword(email, password, false);
+    return true;
+  } catch (error) {
+    if (error.code === IDENTITY_ERRORS.INVALID_CREDENTIALS) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const createUser = async ({ uid, email, password }) => {
+  try {
+    const user = await auth.createUser({
+      ...(uid && { uid }),
+      email,
+      password,
+      emailVerified: false,
+    });
+
+    return { uid: user.uid, email: user.email };
+  } catch (error) {
+    if (error.code === 'auth/email-already-exists') {
+      throw identityError(IDENTITY_ERRORS.EMAIL_EXISTS, error.message);
+    }
+    throw error;
+  }
+};
+
+const updateUser = async (uid, changes) => {
+  await auth.updateUser(uid, changes);
+};
+
+const deleteUser = async (uid) => {
+  await auth.deleteUser(uid);
+};
+
+const getUserByEmail = async (email) => {
+  try {
+    const user = await auth.getUserByEmail(email);
+    return { uid: user.uid, email: user.email };
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const generatePasswordResetLink = async (email) => {
+  return auth.generatePasswordResetLink(email);
+};
+
+const revokeSessions = async (uid) => {
+  await auth.revokeRefreshTokens(uid);
+};
+
+/**
+ * End the session a refresh token of the user belongs to
+ * Firebase refresh tokens don't expire, so neither does the entry
+ */
+const endSession = async (uid, refreshToken) => {
+  const data = await exchangeRefreshToken(refreshToken);
+  if (data.user_id !== uid) {
+    throw identityError(IDENTITY_ERRORS.INVALID_REFRESH_TOKEN, 'Invalid refresh token');
+  }
+
+  await endedSessions.endSession(endedSessions.hashToken(refreshToken), uid);
+};
+
+module.exports = {
+  name: 'firebase',
+  signIn,
+  refresh,
+  createSession,
+  verifyToken,
+  verifyPassword,
+  createUser,
+  updateUser,
+  deleteUser,
+  getUserByEmail,
+  generatePasswordResetLink,
+  revokeSessions,
+  endSession,
+};
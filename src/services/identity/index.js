@@ -0,0 +1,56 @@
+/**
+ * Identity provider
+ *
+ * All password checks, token issuing/verification and auth account management
+ * go through the provider selected by IDENTITY_PROVIDER:
+ * - firebase (default): Firebase Authentication (requires network access)
+ * - local: password hashes stored in Firestore, JWTs signed with JWT_SECRET
+ *
+ * Every adapter implements:
+ * - signIn(email, password)           -> { uid, token, refreshToken, expiresIn }
+ * - refresh(refreshToken)             -> { token, refreshToken, expiresIn }
+ * - createSession(uid, claims)        -> { token, refreshToken, expiresIn } with extra claims (e.g. { mfa: true }, { device: id })
+ * - verifyToken(token)                -> { uid, email, iat, exp, claims }
+ * - verifyPassword(email, password)   -> boolean
+ * - createUser({ uid?, email, password }) -> { uid, email }
+ * - updateUser(uid, { email?, password? })
+ * - deleteUser(uid)
+ * - getUserByEmail(email)             -> { uid, email } | null
+ * - generatePasswordResetLink(email)  -> string
+ * - revokeSessions(uid)               -> stops existing refresh tokens from issuing new tokens
+ * - endSession(uid, refreshToken)     -> stops that one session's refresh tokens from issuing new tokens
+ *
+ * Errors carry a `code` property (see errors.js).
+ */
+
+const { IDENTITY_ERRORS } = require('./errors');
+
+const adapters = {
+  firebase: () => require('./firebase'),
+  local: () => require('./local'),
+};
+
+let provider = null;
+
+/**
+ * Get the configured identity provider
+ */
+const getIdentityProvider = () => {
+  if (!provider) {
+    const name = process.env.IDENTITY_PROVIDER || 'firebase';
+
+    if (!adapters[name]) {
+      throw new Error(`Unknown IDENTITY_PROVIDER '${name}'. Available: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    provider = adapters[name]();
+    console.log(`✓ Identity provider: ${name}`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getIdentityProvider,
+  IDENTITY_ERRORS,
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../../config/firebase');
+const { signToken, verifySignedToken } = require('../../utils/tokens');
+const { IDENTITY_ERRORS, identityError } = require('./errors');
+const endedSessions = require('./ended-sessions');
+
+/**
+ * Local identity adapter
+ *
+ * Stores scrypt password hashes in the `credentials` collection (document ID = uid)
+ * and issues its own JWTs, so no Firebase Authentication calls are needed.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const COLLECTION = 'credentials';
+const ACCESS_TOKEN_TTL = 60 * 60; // 1 hour, same as Firebase ID tokens
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+const ACCESS_AUDIENCE = 'local-access';
+const REFRESH_AUDIENCE = 'local-refresh';
+const KEY_LENGTH = 64;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+/**
+ * Hash a password as `scrypt$<salt>$<hash>`
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+const checkPassword = async (password, stored) => {
+  const [algorithm, salt, hashHex] = (stored || '').split('$');
+  if (algorithm !== 'scrypt' || !salt || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Check a token's iat (seconds) against a revocation timestamp (ISO string)
+ */
+const isRevoked = (iat, tokensValidAfter) => {
+  return Boolean(tokensValidAfter) && iat * 1000 < new Date(tokensValidAfter).getTime();
+};
+
+const findCredentialByEmail = async (email) => {
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('email', '==', normalizeEmail(email))
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+};
+
+// Session claims carried from the refresh token into each new access token
+// sid identifies the session so logging out can end it alone
+const SESSION_CLAIMS = ['sid', 'mfa', 'device'];
+
+const pickSessionClaims = (decoded) => {
+  return SESSION_CLAIMS.reduce((claims, name) => {
+    if (decoded[name] !== undefined) {
+      claims[name] = decoded[name];
+    }
+    return claims;
+  }, {});
+};
+
+/**
+ * Issue an access/refresh token pair for a user
+ * A new session ID is generated unless claims already carry one
+ */
+const issueTokens = (uid, email, claims = {}) => {
+  const payload = { email, sid: uuidv4(), ...claims };
+
+  return {
+    uid,
+    token: signToken(payload, { audience: ACCESS_AUDIENCE, subject: uid, expiresIn: ACCESS_TOKEN_TTL }),
+    refreshToken: signToken(payload, { audience: REFRESH_AUDIENCE, subject: uid, expiresIn: REFRESH_TOKEN_TTL }),
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+const signIn = async (email, password) => {
+  const credential = await findCredentialByEmail(email);
+
+  // Hash anyway when the user doesn't exist so timing doesn't reveal which emails are registered
+  const stored = credential ? credential.data().passwordHash : await hashPassword(password);
+  const valid = await checkPassword(password, stored);
+
+  if (!credential || !valid) {
+    throw identityError(IDENTITY_ERRORS.INVALID_CREDENTIALS, 'Invalid email or password');
+  }
+
+  return issueTokens(credential.id, credential.data().email);
+};
+
+const decodeRefreshToken = (refreshToken) => {
+  try {
+    return verifySignedToken(refreshToken, { audience: REFRESH_AUDIENCE });
+  } catch (error) {
+    throw identityError(IDENTITY_ERRORS.INVALID_REFRESH_TOKEN, 'Invalid refresh token');
+  }
+};
+
+// Tokens issued before session IDs were added are keyed by their hash
+const sessionKey = (decoded, refreshToken) => decoded.sid || endedSessions.hashToken(refreshToken);
+
+const refresh = async (refreshToken) => {
+  const decoded = decodeRefreshToken(refreshToken);
+
+  // Make sure the account still exists, the token wasn't issued before a revocation
+  // and its session wasn't ended by logging out
+  const credential = await db.collection(COLLECTION).doc(decoded.sub).get();
+  if (!credential.exists
+    || isRevoked(decoded.iat, credential.data().tokensValidAfter)
+    || await endedSessions.isSessionEnded(sessionKey(decoded, refreshToken))) {
+    throw identityError(IDENTITY_ERRORS.INVALID_REFRESH_TOKEN, 'Invalid refresh token');
+  }
+
+  const { token, refreshToken: newRefreshToken, expiresIn } = issueTokens(
+    decoded.sub,
+    credential.data().email,
+    pickSessionClaims(decoded)
+  );
+  return { token, refreshToken: newRefreshToken, expiresIn };
+};
+
+const createSession = async (uid, claims = {}) => {
+  const credential = await db.collection(COLLECTION).doc(uid).get();
+  if (!credential.exists) {
+    throw identityError(IDENTITY_ERRORS.USER_NOT_FOUND, 'User not found');
+  }
+
+  const { token, refreshToken, expiresIn } = issueTokens(uid, credential.data().email, claims);
+  return { token, refreshToken, expiresIn };
+};
+
+const verifyToken = async (token) => {
+  try {
+    const decoded = verifySignedToken(token, { audience: ACCESS_AUDIENCE });
+
+    return {
+      uid: decoded.sub,
+      email: decoded.email,
+      iat: decoded.iat,
+      exp: decoded.exp,
+      claims: decoded,
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw identityError(IDENTITY_ERRORS.TOKEN_EXPIRED, 'Token expired');
+    }
+    throw identityError(IDENTITY_ERRORS.INVALID_TOKEN, error.message);
+  }
+};
+
+const verifyPassword = async (email, password) => {
+  const credential = await findCredentialByEmail(email);
+  if (!credential) {
+    return false;
+  }
+  return checkPassword(password, credential.data().passwordHash);
+};
+
+const createUser = async ({ uid, email, password }) => {
+  if (await findCredentialByEmail(email)) {
+    throw identityError(IDENTITY_ERRORS.EMAIL_EXISTS, 'The email address is already in use by another account.');
+  }
+
+  const userId = uid || uuidv4();
+  const now = new Date().toISOString();
+
+  await db.collection(COLLECTION).doc(userId).set({
+    uid: userId,
+    email: normalizeEmail(email),
+    passwordHash: await hashPassword(password),
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  return { uid: userId, email: normalizeEmail(email) };
+};
+
+const updateUser = async (uid, { email, password }) => {
+  const docRef = db.collection(COLLECTION).doc(uid);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    throw identityError(IDENTITY_ERRORS.USER_NOT_FOUND, 'User not found');
+  }
+
+  const updateData = { updatedAt: new Date().toISOString() };
+
+  if (email && normalizeEmail(email) !== doc.data().email) {
+    const existing = await findCredentialByEmail(email);
+    if (existing && existing.id !== uid) {
+      throw identityError(IDENTITY_ERRORS.EMAIL_EXISTS, 'The email address is already in use by another account.');
+    }
+    updateData.email = normalizeEmail(email);
+  }
+
+  if (password) {
+    updateData.passwordHash = await hashPassword(password);
+  }
+
+  await docRef.update(updateData);
+};
+
+const deleteUser = async (uid) => {
+  await db.collection(COLLECTION).doc(uid).delete();
+};
+
+const getUserByEmail = async (email) => {
+  const credential = await findCredentialByEmail(email);
+  return credential ? { uid: credential.id, email: credential.data().email } : null;
+};
+
+const generatePasswordResetLink = async () => {
+  throw identityError(IDENTITY_ERRORS.NOT_SUPPORTED, 'Password reset links are not available with the local identity provider');
+};
+
+const revokeSessions = async (uid) => {
+  const docRef = db.collection(COLLECTION).doc(uid);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return;
+  }
+
+  // Whole seconds, since token iat has one-second resolution
+  const validAfter = Math.floor(Date.now() / 1000) * 1000;
+  await docRef.update({ tokensValidAfter: new Date(validAfter).toISOString() });
+};
+
+/**
+ * End the session a refresh token of the user belongs to
+ * Kept until the session's refresh tokens would have expired, since each refresh extends it
+ */
+const endSession = async (uid, refreshToken) => {
+  const decoded = decodeRefreshToken(refreshToken);
+  if (decoded.sub !== uid) {
+    throw identityError(IDENTITY_ERRORS.INVALID_REFRESH_TOKEN, 'Invalid refresh token');
+  }
+
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString();
+  await endedSessions.endSession(sessionKey(decoded, refreshToken), uid, expiresAt);
+};
+
+module.exports = {
+  name: 'local',
+  signIn,
+  refresh,
+  createSession,
+  verifyToken,
+  verifyPassword,
+  createUser,
+  updateUser,
+  deleteUser,
+  getUserByEmail,
+  generatePasswordResetLink,
+  revokeSessions,
+  endSession,
+};
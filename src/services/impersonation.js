@@ -0,0 +1,198 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { signToken, verifySignedToken } = require('../utils/tokens');
+const { trackActivity } = require('./firestore');
+
+/**
+ * Super-admin impersonation
+ *
+ * A super admin starts a session for a target company and receives a short-lived
+ * token. Sending it in the X-Impersonation-Token header (alongside their own Bearer
+ * token) makes the request act inside that company with the admin role. Sessions
+ * are read-only unless started in 'write' mode, and are stored in
+ * `impersonationSessions` so they can be listed and ended early.
+ */
+
+const COLLECTION = 'impersonationSessions';
+const AUDIENCE = 'impersonation';
+const HEADER = 'x-impersonation-token';
+const MODES = ['read', 'write'];
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_DURATION_MINUTES = 120;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Validate session options
+ * Returns an error message, or null if valid
+ */
+const validateSessionOptions = ({ companyId, mode, reason, durationMinutes }) => {
+  if (!companyId) {
+    return 'companyId is required';
+  }
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required (e.g. the support ticket being investigated)';
+  }
+
+  if (mode !== undefined && !MODES.includes(mode)) {
+    return `mode must be one of: ${MODES.join(', ')}`;
+  }
+
+  if (durationMinutes !== undefined) {
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+      return `durationMinutes must be an integer between 1 and ${MAX_DURATION_MINUTES}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Start an impersonation session and issue its token
+ */
+const startSession = async ({ actor, companyId, mode = 'read', reason, durationMinutes = DEFAULT_DURATION_MINUTES }) => {
+  const id = uuidv4();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + durationMinutes * 60 * 1000);
+
+  const session = {
+    id,
+    actorUid: actor.uid,
+    actorEmail: actor.email,
+    companyId,
+    mode,
+    reason: reason.trim(),
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    endedAt: null,
+    endedBy: null,
+  };
+
+  await db.collection(COLLECTION).doc(id).set(session);
+
+  // Let the customer's own activity feed show that support accessed their data
+  await trackActivity({
+    type: 'impersonation-start',
+    entityType: COLLECTION,
+    entityId: id,
+    entityName: `Support access (${mode})`,
+    userId: actor.uid,
+    companyId,
+    timestamp: session.createdAt,
+    impersonation: { sessionId: id, actorUid: actor.uid, actorEmail: actor.email, mode },
+  });
+
+  const token = signToken(
+    { sid: id, companyId, mode },
+    { audience: AUDIENCE, subject: actor.uid, expiresIn: durationMinutes * 60 }
+  );
+
+  return { session, token };
+};
+
+/**
+ * End a session early
+ */
+const endSession = async (doc, endedBy) => {
+  const session = doc.data();
+  const updateData = {
+    endedAt: new Date().toISOString(),
+    endedBy,
+  };
+
+  await doc.ref.update(updateData);
+
+  await trackActivity({
+    type: 'impersonation-end',
+    entityType: COLLECTION,
+    entityId: session.id,
+    entityName: `Support access (${session.mode})`,
+    userId: endedBy,
+    companyId: session.companyId,
+    timestamp: updateData.endedAt,
+    impersonation: {
+      sessionId: session.id,
+      actorUid: session.actorUid,
+      actorEmail: session.actorEmail,
+      mode: session.mode,
+    },
+  });
+
+  return { ...session, ...updateData };
+};
+
+const getSession = async (id) => {
+  const doc = await db.collection(COLLECTION).doc(id).get();
+  return doc.exists ? doc : null;
+};
+
+/**
+ * List sessions, newest first (optionally for one company)
+ */
+const listSessions = async ({ companyId, limit = 50 } = {}) => {
+  let query = db.collection(COLLECTION);
+  if (companyId) {
+    query = query.where('companyId', '==', companyId);
+  }
+
+  const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+  return snapshot.docs.map((doc) => doc.data());
+};
+
+/**
+ * Resolve an impersonation token for the authenticated user
+ * Returns { impersonation } on success or { violation: { status, error, code } }
+ */
+const resolveSession = async (token, user, method) => {
+  const reject = (status, error, code) => ({ violation: { status, error, code } });
+
+  if (user.role !== 'super-admin') {
+    return reject(403, 'Forbidden: Only super admins can impersonate', 'IMPERSONATION_FORBIDDEN');
+  }
+
+  let decoded;
+  try {
+    decoded = verifySignedToken(token, { audience: AUDIENCE });
+  } catch (error) {
+    return reject(401, 'Invalid or expired impersonation token', 'IMPERSONATION_INVALID');
+  }
+
+  // The token only works together with the session of the super admin it was issued to
+  if (decoded.sub !== user.uid) {
+    return reject(401, 'Invalid or expired impersonation token', 'IMPERSONATION_INVALID');
+  }
+
+  const doc = await getSession(decoded.sid);
+  if (!doc || doc.data().endedAt) {
+    return reject(401, 'Impersonation session has ended', 'IMPERSONATION_ENDED');
+  }
+
+  const session = doc.data();
+
+  if (session.mode === 'read' && !READ_METHODS.includes(method)) {
+    return reject(403, 'Forbidden: Impersonation session is read-only', 'IMPERSONATION_READ_ONLY');
+  }
+
+  return {
+    impersonation: {
+      sessionId: session.id,
+      actorUid: user.uid,
+      actorEmail: user.email,
+      actorRole: user.role,
+      companyId: session.companyId,
+      mode: session.mode,
+    },
+  };
+};
+
+module.exports = {
+  HEADER,
+  MODES,
+  MAX_DURATION_MINUTES,
+  validateSessionOptions,
+  startSession,
+  endSession,
+  getSession,
+  listSessions,
+  resolveSession,
+};
@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { getIdentityProvider, IDENTITY_ERRORS } = require('./identity');
+const { sendMail, appLink } = require('./mailer');
+const { checkRoleExists } = require('./roles');
+const { validatePermissions } = require('../utils/scopes');
+
+/**
+ * User invitations
+ *
+ * Inviting someone creates a pending user document (status 'pending', no
+ * identity provider account yet) and an invitation holding a hash of a
+ * single-use token. Accepting the invite with that token creates the auth
+ * account with the invitee's own password and activates the user.
+ */
+
+const COLLECTION = 'invitations';
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+/**
+ * Generate a fresh token and expiry
+ */
+const issueToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return { token, tokenHash: hashToken(token), expiresAt };
+};
+
+const isExpired = (invitation) => new Date(invitation.expiresAt) <= new Date();
+
+/**
+ * Strip the token hash and report expired invitations as 'expired'
+ */
+const toPublicInvitation = (invitation) => {
+  const { tokenHash, ...rest } = invitation;
+  const status = rest.status === 'pending' && isExpired(rest) ? 'expired' : rest.status;
+  return { ...rest, status };
+};
+
+const sendInvitationEmail = async (invitation, token) => {
+  const link = appLink('/accept-invite', { token });
+
+  await sendMail({
+    to: invitation.email,
+    subject: `You've been invited to ${invitation.companyName || 'AI Dashboard'}`,
+    text: [
+      `You've been invited to join ${invitation.companyName || 'AI Dashboard'} as ${invitation.role}.`,
+      '',
+      `Accept the invitation and choose your password here: ${link}`,
+      '',
+      `This link expires on ${new Date(invitation.expiresAt).toUTCString()} and can only be used once.`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Validate invite input (the role must exist in the company)
+ * Returns an error message, or null if valid
+ */
+const validateInvitation = async ({ email, role, permissions, companyId }) => {
+  if (!email || !role) {
+    return 'Email and role are required';
+  }
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    return 'Invalid email format';
+  }
+
+  if (permissions?.length > 0) {
+    const permissionsError = validatePermissions(permissions);
+    if (permissionsError) {
+      return permissionsError;
+    }
+  }
+
+  return checkRoleExists(companyId, role);
+};
+
+/**
+ * Check whether a user (active or pending) already has this email
+ */
+const emailInUse = async (email) => {
+  const snapshot = await db
+    .collection('users')
+    .where('email', '==', normalizeEmail(email))
+    .limit(1)
+    .get();
+
+  return !snapshot.empty;
+};
+
+/**
+ * Create a pending user and invitation, and email the invite
+ */
+const createInvitation = async ({ email, role, permissions, companyId, invitedBy }) => {
+  const companyDoc = await db.collection('companies').doc(companyId).get();
+  const companyName = companyDoc.exists ? companyDoc.data().name : null;
+
+  const now = new Date().toISOString();
+  const uid = uuidv4();
+  const invitationId = uuidv4();
+  const { token, tokenHash, expiresAt } = issueToken();
+
+  const userData = {
+    uid,
+    email: normalizeEmail(email),
+    companyId,
+    role,
+    permissions: permissions && permissions.length > 0 ? permissions : [],
+    status: 'pending',
+    invitationId,
+    createdAt: now,
+    createdBy: invitedBy,
+    updatedAt: now,
+  };
+
+  const invitation = {
+    id: invitationId,
+    uid,
+    email: userData.email,
+    companyId,
+    companyName,
+    role,
+    tokenHash,
+    status: 'pending',
+    expiresAt,
+    sentCount: 1,
+    lastSentAt: now,
+    createdAt: now,
+    createdBy: invitedBy,
+    acceptedAt: null,
+    revokedAt: null,
+    revokedBy: null,
+  };
+
+  await db.collection('users').doc(uid).set(userData);
+  await db.collection(COLLECTION).doc(invitationId).set(invitation);
+
+  await sendInvitationEmail(invitation, token);
+
+  return toPublicInvitation(invitation);
+};
+
+/**
+ * List a company's invitations, newest first
+ */
+const listInvitations = async (companyId) => {
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('companyId', '==', companyId)
+    .orderBy('createdAt', 'desc')
+    .get();
+
+  return snapshot.docs.map((doc) => toPublicInvitation(doc.data()));
+};
+
+/**
+ * Get an invitation document (null if missing)
+ */
+const getInvitation = async (id) => {
+  const doc = await db.collection(COLLECTION).doc(id).get();
+  return doc.exists ? doc : null;
+};
+
+/**
+ * Issue a new token (invalidating the old one), extend the expiry and re-send
+ */
+const resendInvitation = async (doc) => {
+  const { token, tokenHash, expiresAt } = issueToken();
+  const now = new Date().toISOString();
+
+  const updateData = {
+    tokenHash,
+    expiresAt,
+    sentCount: (doc.data().sentCount || 0) + 1,
+    lastSentAt: now,
+  };
+
+  await doc.ref.update(updateData);
+
+  const invitation = { ...doc.data(), ...updateData };
+  await sendInvitationEmail(invitation, token);
+
+  return toPublicInvitation(invitation);
+};
+
+/**
+ * Revoke an invitation and remove its pending user
+ */
+const revokeInvitation = async (doc, revokedBy) => {
+  const updateData = {
+    status: 'revoked',
+    revokedAt: new Date().toISOString(),
+    revokedBy,
+  };
+
+  await doc.ref.update(updateData);
+
+  const userRef = db.collection('users').doc(doc.data().uid);
+  const userDoc = await userRef.get();
+  if (userDoc.exists && userDoc.data().status === 'pending') {
+    await userRef.delete();
+  }
+
+  return toPublicInvitation({ ...doc.data(), ...updateData });
+};
+
+/**
+ * Find a pending, unexpired invitation by its raw token (null if none)
+ */
+const findPendingByToken = async (token) => {
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('tokenHash', '==', hashToken(token))
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return null;
+  }
+
+  const doc = snapshot.docs[0];
+  const invitation = doc.data();
+
+  if (invitation.status !== 'pending' || isExpired(invitation)) {
+    return null;
+  }
+
+  return doc;
+};
+
+/**
+ * Accept an invitation: create the auth account and activate the pending user
+ * Returns the activated user data, or null if the invitation was already used or
+ * expired, or the pending user no longer exists. Throws the identity provider's
+ * EMAIL_EXISTS error if an auth account already exists for the invitee; the
+ * invitation stays accepted then, since retrying can't succeed.
+ */
+const acceptInvitation = async (doc, password) => {
+  const userRef = db.collection('users').doc(doc.data().uid);
+  const now = new Date().toISOString();
+
+  // Claim the invitation in a transaction so concurrent accepts can't both use it
+  const claimed = await db.runTransaction(async (transaction) => {
+    const [invitationDoc, userDoc] = await Promise.all([transaction.get(doc.ref), transaction.get(userRef)]);
+    const invitation = invitationDoc.data();
+
+    if (invitation.status !== 'pending' || isExpired(invitation)) {
+      return null;
+    }
+    if (!userDoc.exists || userDoc.data().status !== 'pending') {
+      return null;
+    }
+
+    transaction.update(doc.ref, { status: 'accepted', acceptedAt: now });
+    return { invitation, user: userDoc.data() };
+  });
+
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    await getIdentityProvider().createUser({
+      uid: claimed.invitation.uid,
+      email: claimed.invitation.email,
+      password,
+    });
+  } catch (error) {
+    // Anything but an existing account may work on a retry, so release the claim
+    if (error.code !== IDENTITY_ERRORS.EMAIL_EXISTS) {
+      await doc.ref.update({ status: 'pending', acceptedAt: null });
+    }
+    throw error;
+  }
+
+  const updateData = {
+    status: 'active',
+    acceptedAt: now,
+    updatedAt: now,
+  };
+  await userRef.update(updateData);
+
+  return { ...claimed.user, ...updateData };
+};
+
+module.exports = {
+  validateInvitation,
+  emailInUse,
+  createInvitation,
+  listInvitations,
+  getInvitation,
+  resendInvitation,
+  revokeInvitation,
+  findPendingByToken,
+  acceptInvitation,
+  toPublicInvitation,
+};
@@ -0,0 +1,152 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const cache = require('./cache');
+
+/**
+ * Per-account brute-force protection for /auth/login
+ *
+ * Failed attempts are counted per email (Redis when available, in-memory otherwise).
+ * After DELAY_AFTER failures each further attempt must wait an exponentially
+ * growing delay, and after MAX_ATTEMPTS the account is locked for LOCKOUT_MINUTES.
+ * Every lockout is recorded in the `loginLockouts` collection for auditing.
+ */
+
+const COLLECTION = 'loginLockouts';
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_SECONDS = LOCKOUT_MINUTES * 60;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+const failuresKey = (email) => `login-failures:${normalizeEmail(email)}`;
+const delayKey = (email) => `login-delay:${normalizeEmail(email)}`;
+const lockKey = (email) => `login-lock:${normalizeEmail(email)}`;
+
+/**
+ * Check whether a login attempt for this email may proceed
+ * Returns null when allowed, otherwise { status, error, code, retryAfter }
+ */
+const checkLoginAllowed = async (email) => {
+  const lockedFor = await cache.ttl(lockKey(email));
+  if (lockedFor > 0) {
+    return {
+      status: 429,
+      error: 'Account temporarily locked due to too many failed login attempts',
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: lockedFor,
+    };
+  }
+
+  const delayedFor = await cache.ttl(delayKey(email));
+  if (delayedFor > 0) {
+    return {
+      status: 429,
+      error: 'Too many failed login attempts, please wait before trying again',
+      code: 'LOGIN_DELAYED',
+      retryAfter: delayedFor,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Record a failed login attempt and apply the delay or lockout it triggers
+ * user is the matching user document's data, if any (used for the audit record)
+ */
+const recordFailure = async (email, { ip, user } = {}) => {
+  const failures = await cache.increment(failuresKey(email), FAILURE_WINDOW_SECONDS);
+
+  if (failures >= MAX_ATTEMPTS) {
+    await lockAccount(email, { ip, user, failedAttempts: failures });
+    return;
+  }
+
+  if (failures >= DELAY_AFTER) {
+    const delaySeconds = Math.min(2 ** (failures - DELAY_AFTER), MAX_DELAY_SECONDS);
+    await cache.set(delayKey(email), true, delaySeconds);
+  }
+};
+
+/**
+ * Lock an account and write the audit record
+ */
+const lockAccount = async (email, { ip, user, failedAttempts }) => {
+  const lockedAt = new Date();
+  const lockedUntil = new Date(lockedAt.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+  await cache.set(lockKey(email), true, LOCKOUT_MINUTES * 60);
+  await cache.del(failuresKey(email), delayKey(email));
+
+  const lockoutId = uuidv4();
+  await db.collection(COLLECTION).doc(lockoutId).set({
+    id: lockoutId,
+    email: normalizeEmail(email),
+    uid: user?.uid || null,
+    companyId: user?.companyId || null,
+    failedAttempts,
+    ip: ip || null,
+    active: true,
+    lockedAt: lockedAt.toISOString(),
+    lockedUntil: lockedUntil.toISOString(),
+    unlockedAt: null,
+    unlockedBy: null,
+  });
+
+  console.warn(`⚠️  Login locked for ${normalizeEmail(email)} after ${failedAttempts} failed attempts`);
+};
+
+/**
+ * Clear failure counters after a successful login
+ */
+const clearFailures = async (email) => {
+  await cache.del(failuresKey(email), delayKey(email));
+};
+
+/**
+ * List lockouts for a company that haven't expired or been unlocked
+ */
+const getActiveLockouts = async (companyId) => {
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('companyId', '==', companyId)
+    .where('active', '==', true)
+    .get();
+
+  const now = new Date().toISOString();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .filter((lockout) => lockout.lockedUntil > now)
+    .sort((a, b) => b.lockedAt.localeCompare(a.lockedAt));
+};
+
+/**
+ * Unlock an account early
+ * Returns the number of lockout records closed
+ */
+const unlockAccount = async (email, unlockedBy) => {
+  await cache.del(lockKey(email), failuresKey(email), delayKey(email));
+
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('email', '==', normalizeEmail(email))
+    .where('active', '==', true)
+    .get();
+
+  const unlockedAt = new Date().toISOString();
+  await Promise.all(
+    snapshot.docs.map((doc) => doc.ref.update({ active: false, unlockedAt, unlockedBy }))
+  );
+
+  return snapshot.size;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailure,
+  clearFailures,
+  getActiveLockouts,
+  unlockAccount,
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Outgoing email
+ *
+ * Messages go through the transport selected by MAIL_TRANSPORT:
+ * - console (default): print the message to the server log
+ * - file: write each message as JSON to MAIL_OUTBOX_DIR (default ./mail-outbox)
+ *
+ * A transport is an async function (message) => void, where message is
+ * { to, subject, text, html? }. Add new transports (SMTP, SES, ...) to the map below.
+ */
+
+const transports = {
+  console: async (message) => {
+    console.log('\n📧 Outgoing email');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`\n${message.text}\n`);
+  },
+
+  file: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.json`;
+    await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+  },
+};
+
+/**
+ * Send an email with the configured transport
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT '${name}'. Available: ${Object.keys(transports).join(', ')}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@ai-dashboard.local',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    sentAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Build a link into the dashboard frontend
+ */
+const appLink = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  appLink,
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const cache = require('./cache');
+const { invalidateUser } = require('./user-cache');
+const { signToken, verifySignedToken } = require('../utils/tokens');
+const totp = require('../utils/totp');
+
+/**
+ * TOTP multi-factor authentication
+ *
+ * Secrets and recovery code hashes live in `mfaEnrollments` (document ID = uid),
+ * never on the user document, which admins can list. The user document only
+ * carries an `mfaEnabled` flag.
+ *
+ * Login with MFA is two steps: /auth/login returns a short-lived challenge token
+ * instead of a session, and /auth/login/mfa exchanges it plus a code for a
+ * session whose tokens carry an `mfa: true` claim.
+ */
+
+const COLLECTION = 'mfaEnrollments';
+const ISSUER = process.env.MFA_ISSUER || 'AI Dashboard';
+const CHALLENGE_AUDIENCE = 'mfa-challenge';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must complete MFA when their company requires it
+const MFA_ROLES = ['admin', 'super-admin'];
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+/**
+ * Generate recovery codes (xxxxx-xxxxx) and their hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const getEnrollment = async (uid) => {
+  const doc = await db.collection(COLLECTION).doc(uid).get();
+  return doc.exists ? doc : null;
+};
+
+const setUserMfaFlag = async (uid, mfaEnabled) => {
+  await db.collection('users').doc(uid).update({
+    mfaEnabled,
+    updatedAt: new Date().toISOString(),
+  });
+  await invalidateUser(uid);
+};
+
+/**
+ * MFA status for a user
+ */
+const getStatus = async (uid) => {
+  const doc = await getEnrollment(uid);
+  const enrollment = doc?.data();
+
+  return {
+    enabled: Boolean(enrollment?.enabled),
+    enrolledAt: enrollment?.enrolledAt || null,
+    recoveryCodesRemaining: enrollment?.enabled ? enrollment.recoveryCodeHashes.length : 0,
+  };
+};
+
+/**
+ * Start enrollment: generate a secret to be confirmed with a first code
+ * Returns null if MFA is already enabled
+ */
+const startEnrollment = async ({ uid, email }) => {
+  const doc = await getEnrollment(uid);
+  if (doc?.data().enabled) {
+    return null;
+  }
+
+  const secret = totp.generateSecret();
+  await db.collection(COLLECTION).doc(uid).set({
+    uid,
+    enabled: false,
+    pendingSecret: secret,
+    pendingCreatedAt: new Date().toISOString(),
+  });
+
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri({ secret, accountName: email, issuer: ISSUER }),
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * Returns the recovery codes (shown once), or null if the code is wrong
+ */
+const confirmEnrollment = async (uid, code) => {
+  const doc = await getEnrollment(uid);
+  const enrollment = doc?.data();
+
+  if (!enrollment || enrollment.enabled || !enrollment.pendingSecret) {
+    return null;
+  }
+
+  const step = totp.verifyCode(enrollment.pendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await doc.ref.set({
+    uid,
+    enabled: true,
+    secret: enrollment.pendingSecret,
+    recoveryCodeHashes: hashes,
+    lastUsedStep: step,
+    enrolledAt: new Date().toISOString(),
+  });
+
+  await setUserMfaFlag(uid, true);
+
+  return codes;
+};
+
+/**
+ * Verify a TOTP code or a recovery code for an enrolled user
+ * Recovery codes are single-use; TOTP codes can't be replayed within their window.
+ * The check and the consume happen in one transaction, so concurrent requests with
+ * the same code can't both pass.
+ * Returns 'totp', 'recovery-code', or null if neither matched
+ */
+const verifySecondFactor = async (uid, { code, recoveryCode }) => {
+  const ref = db.collection(COLLECTION).doc(uid);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const enrollment = doc.exists ? doc.data() : null;
+
+    if (!enrollment?.enabled) {
+      return null;
+    }
+
+    if (code) {
+      const step = totp.verifyCode(enrollment.secret, code);
+      if (step === null || step <= (enrollment.lastUsedStep || 0)) {
+        return null;
+      }
+
+      transaction.update(ref, { lastUsedStep: step });
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (!enrollment.recoveryCodeHashes.includes(hash)) {
+        return null;
+      }
+
+      transaction.update(ref, {
+        recoveryCodeHashes: enrollment.recoveryCodeHashes.filter((h) => h !== hash),
+      });
+      return 'recovery-code';
+    }
+
+    return null;
+  });
+};
+
+/**
+ * Replace a user's recovery codes
+ */
+const regenerateRecoveryCodes = async (uid) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await db.collection(COLLECTION).doc(uid).update({ recoveryCodeHashes: hashes });
+  return codes;
+};
+
+/**
+ * Turn MFA off for a user
+ */
+const disable = async (uid) => {
+  await db.collection(COLLECTION).doc(uid).delete();
+
+  const userDoc = await db.collection('users').doc(uid).get();
+  if (userDoc.exists) {
+    await setUserMfaFlag(uid, false);
+  }
+};
+
+/**
+ * Issue the challenge token returned by the first login step
+ */
+const createChallenge = (uid) => {
+  return signToken(
+    { nonce: crypto.randomBytes(16).toString('hex') },
+    { audience: CHALLENGE_AUDIENCE, subject: uid, expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+};
+
+/**
+ * Decode a challenge token
+ * Returns { uid, nonce }, or null if invalid, expired or already used
+ */
+const verifyChallenge = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = verifySignedToken(challengeToken, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  if (await cache.get(`mfa-challenge-used:${decoded.nonce}`)) {
+    return null;
+  }
+
+  return { uid: decoded.sub, nonce: decoded.nonce };
+};
+
+/**
+ * Mark a challenge as used so it can't start a second session
+ */
+const consumeChallenge = async (nonce) => {
+  await cache.set(`mfa-challenge-used:${nonce}`, true, CHALLENGE_TTL_SECONDS);
+};
+
+/**
+ * Check whether a resolved user's session must be MFA-verified
+ * Enrolled users always need it; admins (including custom roles with the admin
+ * permission) also need it when their company requires MFA
+ */
+const isMfaRequired = (user) => {
+  const isAdmin = MFA_ROLES.includes(user.role) || (user.permissions || []).includes('admin');
+  return Boolean(user.mfaEnabled) || (isAdmin && Boolean(user.companyRequiresMfa));
+};
+
+module.exports = {
+  MFA_ROLES,
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  createChallenge,
+  verifyChallenge,
+  consumeChallenge,
+  isMfaRequired,
+};
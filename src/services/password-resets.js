@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { getIdentityProvider } = require('./identity');
+const { revokeSessions } = require('./sessions');
+const loginLockout = require('./login-lockout');
+const { sendMail, appLink } = require('./mailer');
+
+/**
+ * Self-service password resets
+ *
+ * Requesting a reset stores a hash of a single-use token in `passwordResets`
+ * and emails the raw token. Any earlier unused token for the same user is
+ * superseded. Completing the reset sets the new password and revokes every
+ * existing session.
+ */
+
+const COLLECTION = 'passwordResets';
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Mark a user's outstanding reset tokens as superseded
+ */
+const supersedePending = async (uid) => {
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('uid', '==', uid)
+    .where('status', '==', 'pending')
+    .get();
+
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.update({ status: 'superseded' })));
+};
+
+/**
+ * Issue and email a reset token if the email belongs to an active user
+ * Does nothing for unknown or pending users, so callers can always answer the same way
+ * `requestedBy` records the admin who sent the reset on the user's behalf
+ */
+const requestReset = async (email, { ip, requestedBy } = {}) => {
+  const usersSnapshot = await db
+    .collection('users')
+    .where('email', '==', email.trim().toLowerCase())
+    .limit(1)
+    .get();
+
+  if (usersSnapshot.empty || usersSnapshot.docs[0].data().status === 'pending') {
+    return;
+  }
+
+  const user = usersSnapshot.docs[0].data();
+  await supersedePending(user.uid);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + RESET_TTL_MINUTES * 60 * 1000).toISOString();
+  const resetId = uuidv4();
+
+  await db.collection(COLLECTION).doc(resetId).set({
+    id: resetId,
+    uid: user.uid,
+    email: user.email,
+    companyId: user.companyId || null,
+    tokenHash: hashToken(token),
+    status: 'pending',
+    requestedIp: ip || null,
+    requestedBy: requestedBy || null,
+    expiresAt,
+    createdAt: now.toISOString(),
+    usedAt: null,
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset your password.',
+      '',
+      `Choose a new password here: ${appLink('/reset-password', { token })}`,
+      '',
+      `This link expires in ${RESET_TTL_MINUTES} minutes and can only be used once.`,
+      "If you didn't request this, you can ignore this email.",
+    ].join('\n'),
+  });
+};
+
+/**
+ * Consume a reset token and set the new password
+ * Returns true on success, false if the token is invalid, expired or already used
+ */
+const resetPassword = async (token, newPassword) => {
+  const snapshot = await db
+    .collection(COLLECTION)
+    .where('tokenHash', '==', hashToken(token))
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return false;
+  }
+
+  // Claim the token in a transaction so concurrent requests can't both use it
+  const now = new Date().toISOString();
+  const reset = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(snapshot.docs[0].ref);
+    const data = doc.data();
+
+    if (data.status !== 'pending' || new Date(data.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    transaction.update(doc.ref, { status: 'used', usedAt: now });
+    return data;
+  });
+
+  if (!reset) {
+    return false;
+  }
+
+  const userRef = db.collection('users').doc(reset.uid);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    return false;
+  }
+
+  await getIdentityProvider().updateUser(reset.uid, { password: newPassword });
+  await userRef.update({
+    updatedAt: now,
+    passwordChangedAt: now,
+  });
+
+  await revokeSessions(reset.uid);
+  await loginLockout.clearFailures(reset.email);
+
+  return true;
+};
+
+module.exports = {
+  requestReset,
+  resetPassword,
+};
@@ -0,0 +1,157 @@
+const { db } = require('../config/firebase');
+const { getSchema, getReferenceFields, getReferringFields } = require('../schemas');
+
+/**
+ * Referential integrity between content documents
+ *
+ * References are declared in the schemas (fields of type 'reference' with a
+ * referenceType, e.g. a scenario's dialogueId and characterRoles[].characterId).
+ * Writes may only reference live (not trashed) documents of the same company, and
+ * firestoreService.deleteDoc refuses to delete a document that live documents still
+ * reference unless the delete cascades to them.
+ *
+ * References inside arrays are also stored as an index field on the document (e.g. a
+ * scenario's characterIds), so referrers can be found with an array-contains query.
+ *
+ * Lookups take an optional transaction to read in. firestoreService checks references
+ * in the transaction of the write, so a write and the trashing of a document it
+ * references can't both go through.
+ */
+
+/**
+ * Read a document or query, in `transaction` if given
+ */
+const read = (target, transaction) => (transaction ? transaction.get(target) : target.get());
+
+/**
+ * References set in a document, as [{ field, id, referenceType }]
+ * Only fields present in `data` are included, so partial updates check what they change
+ */
+const referencesOf = (type, data) => {
+  return getReferenceFields(type).flatMap(({ field, key, referenceType }) => {
+    if (!data[field]) {
+      return [];
+    }
+
+    if (!key) {
+      return [{ field, id: data[field], referenceType }];
+    }
+
+    return (Array.isArray(data[field]) ? data[field] : [])
+      .map((item, index) => ({ field: `${field}[${index}].${key}`, id: item?.[key], referenceType }))
+      .filter((reference) => reference.id);
+  });
+};
+
+/**
+ * Index fields of a type (e.g. ['characterIds'] for scenarios)
+ */
+const indexFields = (type) => {
+  return getReferenceFields(type).filter(({ indexField }) => indexField).map(({ indexField }) => indexField);
+};
+
+/**
+ * Index fields for the arrays of references present in `data`, as { [indexField]: ids }
+ * Arrays missing from `data` are skipped, so partial updates leave their index as it is
+ */
+const referenceIndexes = (type, data) => {
+  return getReferenceFields(type).reduce((indexes, { field, key, indexField }) => {
+    if (indexField && field in data) {
+      const ids = (Array.isArray(data[field]) ? data[field] : [])
+        .map((item) => item?.[key])
+        .filter((id) => typeof id === 'string' && id);
+      indexes[indexField] = [...new Set(ids)];
+    }
+    return indexes;
+  }, {});
+};
+
+/**
+ * References of a document that don't point at a live document of the company
+ */
+const findBrokenReferences = async (type, data, companyId, transaction = null) => {
+  const references = referencesOf(type, data);
+
+  const broken = await Promise.all(references.map(async (reference) => {
+    // Not a valid document ID, so it can't resolve
+    if (typeof reference.id !== 'string' || reference.id.includes('/')) {
+      return reference;
+    }
+
+    const doc = await read(db.collection(getSchema(reference.referenceType).collection).doc(reference.id), transaction);
+    const isLive = doc.exists && doc.data().companyId === companyId && !doc.data().deletedAt;
+    return isLive ? null : reference;
+  }));
+
+  return broken.filter(Boolean);
+};
+
+/**
+ * Validation errors for the references of a document that don't resolve
+ */
+const checkReferences = async (type, data, companyId, transaction = null) => {
+  const broken = await findBrokenReferences(type, data, companyId, transaction);
+  return broken.map(({ field, id, referenceType }) => `Field '${field}' references ${referenceType} '${id}', which does not exist`);
+};
+
+/**
+ * Check whether a document references `id` through one of the given fields
+ * Returns the matching field names
+ */
+const matchingFields = (data, fields, id) => {
+  return fields
+    .filter(({ field, key }) => (key
+      ? Array.isArray(data[field]) && data[field].some((item) => item?.[key] === id)
+      : data[field] === id))
+    .map(({ field, key }) => (key ? `${field}[].${key}` : field));
+};
+
+/**
+ * Live documents of the company that reference a document
+ * Returns [{ type, collection, id, name, fields, data }]
+ */
+const findReferrers = async (collectionName, id, companyId, transaction = null) => {
+  const referringFields = getReferringFields(collectionName.slice(0, -1)); // Remove 's' from collection name
+  const collections = [...new Set(referringFields.map((reference) => reference.collection))];
+  const referrers = [];
+
+  await Promise.all(collections.map(async (collection) => {
+    const fields = referringFields.filter((reference) => reference.collection === collection);
+    const query = db.collection(collection).where('companyId', '==', companyId);
+
+    // References inside arrays are queried through their index field
+    const snapshots = await Promise.all(fields.map(({ field, key, indexField }) => read(key
+      ? query.where(indexField, 'array-contains', id)
+      : query.where(field, '==', id), transaction)));
+
+    const seen = new Set();
+    snapshots.forEach((snapshot) => snapshot.forEach((doc) => {
+      const data = doc.data();
+      const matched = matchingFields(data, fields, id);
+      if (data.deletedAt || matched.length === 0 || seen.has(doc.id)) {
+        return;
+      }
+
+      seen.add(doc.id);
+      referrers.push({
+        type: fields[0].type,
+        collection,
+        id: doc.id,
+        name: data.name || null,
+        fields: matched,
+        data: { id: doc.id, ...data },
+      });
+    }));
+  }));
+
+  return referrers;
+};
+
+module.exports = {
+  referencesOf,
+  indexFields,
+  referenceIndexes,
+  findBrokenReferences,
+  checkReferences,
+  findReferrers,
+};
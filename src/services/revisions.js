@@ -0,0 +1,138 @@
+const { db } = require('../config/firebase');
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Revision history of content documents
+ *
+ * Documents carry a `revision` number (1 when created; documents older than revisions
+ * count as 1). Each update saves the version it replaces in the document's
+ * `revisions` subcollection (document ID = revision number) with its author,
+ * timestamp and schemaVersion. Only the newest REVISION_LIMIT revisions are kept.
+ */
+
+const SUBCOLLECTION = 'revisions';
+const REVISION_LIMIT = parseInt(process.env.REVISION_LIMIT) || 50;
+
+// Bookkeeping, access and trash fields; everything else is content
+const META_FIELDS = [
+  'id', 'companyId', 'ownerId', 'visibility', 'teamId', 'grants',
+  'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy',
+  'revision', 'schemaVersion',
+  'characterIds', // Reference index, derived from characterRoles (see services/references.js)
+];
+
+const revisionsRef = (collectionName, id) => db.collection(collectionName).doc(id).collection(SUBCOLLECTION);
+
+const revisionRef = (collectionName, id, rev) => revisionsRef(collectionName, id).doc(String(rev));
+
+/**
+ * Current revision number of a document
+ */
+const currentRevision = (data) => data.revision || 1;
+
+/**
+ * Content fields of a document version, without bookkeeping fields
+ */
+const contentFields = (data) => {
+  const content = { ...data };
+  META_FIELDS.forEach((field) => delete content[field]);
+  return content;
+};
+
+/**
+ * Revision record for the version of a document that is about to be replaced
+ */
+const toRevision = (data, replacedBy, replacedAt) => ({
+  rev: currentRevision(data),
+  author: data.updatedBy || data.createdBy || null,
+  timestamp: data.updatedAt || data.createdAt || null,
+  schemaVersion: data.schemaVersion || null,
+  replacedBy,
+  replacedAt,
+  data,
+});
+
+/**
+ * The live document presented as its current revision
+ */
+const currentAsRevision = (data) => ({
+  rev: currentRevision(data),
+  author: data.updatedBy || data.createdBy || null,
+  timestamp: data.updatedAt || data.createdAt || null,
+  schemaVersion: data.schemaVersion || null,
+  current: true,
+  data,
+});
+
+/**
+ * Stored revisions of a document, newest first, without their data
+ */
+const listRevisions = async (collectionName, id) => {
+  const snapshot = await revisionsRef(collectionName, id).orderBy('rev', 'desc').get();
+  return snapshot.docs.map((doc) => {
+    const { data, ...summary } = doc.data();
+    return summary;
+  });
+};
+
+/**
+ * A stored revision with its data, or null
+ */
+const getRevision = async (collectionName, id, rev) => {
+  const doc = await revisionRef(collectionName, id, rev).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * Field-level differences between the content of two versions
+ */
+const diffContent = (fromData, toData) => {
+  const from = contentFields(fromData);
+  const to = contentFields(toData);
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  return fields.reduce((changes, field) => {
+    if (!(field in to)) {
+      changes.push({ field, change: 'removed', from: from[field] });
+    } else if (!(field in from)) {
+      changes.push({ field, change: 'added', to: to[field] });
+    } else if (!isDeepStrictEqual(from[field], to[field])) {
+      changes.push({ field, change: 'changed', from: from[field], to: to[field] });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Delete revisions that fall outside the retention limit once `latestRev` is stored
+ */
+const pruneRevisions = async (collectionName, id, latestRev) => {
+  if (latestRev <= REVISION_LIMIT) {
+    return;
+  }
+
+  const snapshot = await revisionsRef(collectionName, id).where('rev', '<=', latestRev - REVISION_LIMIT).get();
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+};
+
+/**
+ * Delete all revisions of a document (when it is purged)
+ */
+const deleteRevisions = async (collectionName, id) => {
+  const snapshot = await revisionsRef(collectionName, id).get();
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+};
+
+module.exports = {
+  REVISION_LIMIT,
+  revisionRef,
+  currentRevision,
+  contentFields,
+  toRevision,
+  currentAsRevision,
+  listRevisions,
+  getRevision,
+  diffContent,
+  pruneRevisions,
+  deleteRevisions,
+};
@@ -0,0 +1,247 @@
+const { db } = require('../config/firebase');
+const { hasScope, validatePermissions } = require('../utils/scopes');
+
+/**
+ * Company roles
+ *
+ * Each company has a set of roles in `roles` (document ID = `<companyId>_<name>`),
+ * each granting a list of permissions (see utils/scopes.js). The built-in roles
+ * admin, editor and viewer are seeded for new companies and used as defaults for
+ * companies that predate custom roles. Company admins can add their own roles and
+ * change the permissions of editor and viewer.
+ *
+ * Users get their role's permissions unless their own `permissions` list is set.
+ */
+
+const COLLECTION = 'roles';
+const NAME_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+
+// Platform roles that live outside any company's role set
+const RESERVED_NAMES = ['super-admin', 'owner'];
+
+const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full access, including users, roles and API keys',
+    permissions: ['read', 'write', 'admin'],
+  },
+  editor: {
+    description: 'Create, edit and delete content',
+    permissions: ['read', 'write'],
+  },
+  viewer: {
+    description: 'Read-only access',
+    permissions: ['read'],
+  },
+};
+
+const roleId = (companyId, name) => `${companyId}_${name}`;
+
+const builtInRole = (companyId, name) => ({
+  id: roleId(companyId, name),
+  companyId,
+  name,
+  ...BUILT_IN_ROLES[name],
+  builtIn: true,
+});
+
+/**
+ * Validate role fields
+ * Returns an error message, or null if valid
+ */
+const validateRole = ({ name, description, permissions }, { partial = false } = {}) => {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      return 'Role name must be 2-32 lowercase letters, digits or dashes, starting with a letter';
+    }
+    if (RESERVED_NAMES.includes(name)) {
+      return `Role name '${name}' is reserved`;
+    }
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    return 'Description must be a string of at most 200 characters';
+  }
+
+  if (!partial || permissions !== undefined) {
+    return validatePermissions(permissions);
+  }
+
+  return null;
+};
+
+/**
+ * Write the built-in roles for a new company
+ */
+const seedDefaultRoles = async (companyId, userId) => {
+  const now = new Date().toISOString();
+
+  await Promise.all(Object.keys(BUILT_IN_ROLES).map((name) => (
+    db.collection(COLLECTION).doc(roleId(companyId, name)).set({
+      ...builtInRole(companyId, name),
+      createdAt: now,
+      createdBy: userId,
+      updatedAt: now,
+    })
+  )));
+};
+
+/**
+ * Get a company role (built-in roles fall back to their defaults)
+ * Returns null for unknown roles
+ */
+const getRole = async (companyId, name) => {
+  if (!companyId || typeof name !== 'string') {
+    return null;
+  }
+
+  const doc = await db.collection(COLLECTION).doc(roleId(companyId, name)).get();
+  if (doc.exists) {
+    return doc.data();
+  }
+
+  return BUILT_IN_ROLES[name] ? builtInRole(companyId, name) : null;
+};
+
+/**
+ * List a company's roles, built-in roles first
+ */
+const listRoles = async (companyId) => {
+  const snapshot = await db.collection(COLLECTION).where('companyId', '==', companyId).get();
+  const stored = new Map(snapshot.docs.map((doc) => [doc.data().name, doc.data()]));
+
+  const builtIn = Object.keys(BUILT_IN_ROLES).map((name) => stored.get(name) || builtInRole(companyId, name));
+  const custom = [...stored.values()]
+    .filter((role) => !BUILT_IN_ROLES[role.name])
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return [...builtIn, ...custom];
+};
+
+/**
+ * Check a role name against a company's roles
+ * Returns an error message, or null if the role exists
+ */
+const checkRoleExists = async (companyId, name) => {
+  if (await getRole(companyId, name)) {
+    return null;
+  }
+
+  const names = (await listRoles(companyId)).map((role) => role.name);
+  return `Role must be one of: ${names.join(', ')}`;
+};
+
+/**
+ * Create a custom role
+ * Returns null if a role with this name already exists
+ */
+const createRole = async (companyId, { name, description, permissions }, userId) => {
+  if (await getRole(companyId, name)) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const role = {
+    id: roleId(companyId, name),
+    companyId,
+    name,
+    description: description || null,
+    permissions,
+    builtIn: false,
+    createdAt: now,
+    createdBy: userId,
+    updatedAt: now,
+  };
+
+  await db.collection(COLLECTION).doc(role.id).set(role);
+  return role;
+};
+
+/**
+ * Update a role's description or permissions
+ * Returns { role } or { error } (the admin role's permissions are fixed)
+ */
+const updateRole = async (companyId, name, { description, permissions }, userId) => {
+  const existing = await getRole(companyId, name);
+  if (!existing) {
+    return { role: null };
+  }
+
+  if (name === 'admin' && permissions !== undefined) {
+    return { error: 'The permissions of the admin role cannot be changed' };
+  }
+
+  const role = {
+    ...existing,
+    ...(description !== undefined && { description }),
+    ...(permissions !== undefined && { permissions }),
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId,
+  };
+
+  await db.collection(COLLECTION).doc(role.id).set(role);
+  return { role };
+};
+
+/**
+ * Count users (active or pending) assigned to a role
+ */
+const countUsersWithRole = async (companyId, name) => {
+  const snapshot = await db.collection('users')
+    .where('companyId', '==', companyId)
+    .where('role', '==', name)
+    .get();
+
+  return snapshot.size;
+};
+
+/**
+ * Delete a custom role
+ */
+const deleteRole = async (companyId, name) => {
+  await db.collection(COLLECTION).doc(roleId(companyId, name)).delete();
+};
+
+/**
+ * Delete every role of a company
+ */
+const deleteCompanyRoles = async (companyId) => {
+  const snapshot = await db.collection(COLLECTION).where('companyId', '==', companyId).get();
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+};
+
+/**
+ * Permissions a user actually has: their own list if set, otherwise their role's
+ */
+const resolvePermissions = async (companyId, roleName, userPermissions) => {
+  if (Array.isArray(userPermissions) && userPermissions.length > 0) {
+    return userPermissions;
+  }
+
+  const role = await getRole(companyId, roleName);
+  return role ? role.permissions : [];
+};
+
+/**
+ * Check whether a set of permissions covers everything a built-in role grants
+ * Lets custom roles pass requireRole checks written against built-in role names
+ */
+const coversBuiltInRole = (permissions, name) => {
+  const builtIn = BUILT_IN_ROLES[name];
+  return Boolean(builtIn) && builtIn.permissions.every((permission) => hasScope(permissions, permission));
+};
+
+module.exports = {
+  BUILT_IN_ROLES,
+  validateRole,
+  seedDefaultRoles,
+  getRole,
+  listRoles,
+  checkRoleExists,
+  createRole,
+  updateRole,
+  countUsersWithRole,
+  deleteRole,
+  deleteCompanyRoles,
+  resolvePermissions,
+  coversBuiltInRole,
+};
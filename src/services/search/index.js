@@ -0,0 +1,44 @@
+/**
+ * Search backend
+ *
+ * Full-text search over content goes through the backend selected by SEARCH_BACKEND:
+ * - local (default): in-process inverted index, built per company from Firestore on
+ *   first use and rebuilt after SEARCH_INDEX_TTL_SECONDS so other instances' writes
+ *   show up
+ *
+ * Every backend implements:
+ * - indexDocument(collection, doc)      -> add or replace a document (doc includes id and companyId)
+ * - removeDocument(collection, doc)     -> remove a document
+ * - search(companyId, query, options)   -> [{ type, collection, id, name, updatedAt, score, highlights }]
+ *     options: { collections, limit, filter(doc) } - filter drops documents the caller can't see
+ *
+ * Searchable fields are marked with `searchable: true` in the schemas.
+ */
+
+const adapters = {
+  local: () => require('./local'),
+};
+
+let backend = null;
+
+/**
+ * Get the configured search backend
+ */
+const getSearchBackend = () => {
+  if (!backend) {
+    const name = process.env.SEARCH_BACKEND || 'local';
+
+    if (!adapters[name]) {
+      throw new Error(`Unknown SEARCH_BACKEND '${name}'. Available: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    backend = adapters[name]();
+    console.log(`✓ Search backend: ${name}`);
+  }
+
+  return backend;
+};
+
+module.exports = {
+  getSearchBackend,
+};
@@ -0,0 +1,284 @@
+const { db } = require('../../config/firebase');
+const { schemas, getFields } = require('../../schemas');
+
+/**
+ * Local search backend
+ *
+ * Keeps an inverted index per company in memory: token -> { document -> weight }.
+ * A company's index is built from Firestore on its first search, kept in sync by
+ * firestoreService writes in this process, and rebuilt once it is older than
+ * SEARCH_INDEX_TTL_SECONDS (writes made by other instances show up after that).
+ *
+ * Query terms match whole words, or word prefixes for terms of 3+ characters
+ * ("nurs" finds "nurse" and "nursing"). Results are ranked by how many terms they
+ * match, then how many match whole words, then TF-IDF score (name matches weigh more).
+ */
+
+const INDEX_TTL_SECONDS = parseInt(process.env.SEARCH_INDEX_TTL_SECONDS) || 300;
+const MAX_COMPANIES = parseInt(process.env.SEARCH_MAX_COMPANIES) || 50;
+const NAME_WEIGHT = 3;
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+const SNIPPET_LENGTH = 160;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'who', 'with',
+]);
+
+// Collection -> { type, fields } for every schema with searchable fields
+const SEARCHABLE = Object.values(schemas).reduce((collections, schema) => {
+  const fields = getFields(schema.type).filter((field) => field.searchable).map((field) => field.name);
+  if (fields.length > 0) {
+    collections[schema.collection] = { type: schema.type, fields };
+  }
+  return collections;
+}, {});
+
+// companyId -> { builtAt, entries: Map(key -> entry), postings: Map(token -> Map(key -> weight)) }
+// Map order doubles as LRU order
+const indexes = new Map();
+const builds = new Map();
+
+const normalize = (word) => word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Split text into normalized word tokens
+ */
+const tokenize = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return normalize(text).match(/[a-z0-9]+/g) || [];
+};
+
+const entryKey = (collection, id) => `${collection}/${id}`;
+
+const removeEntry = (index, key) => {
+  const entry = index.entries.get(key);
+  if (!entry) {
+    return;
+  }
+
+  entry.tokens.forEach((token) => {
+    const posting = index.postings.get(token);
+    posting.delete(key);
+    if (posting.size === 0) {
+      index.postings.delete(token);
+    }
+  });
+  index.entries.delete(key);
+};
+
+const addEntry = (index, collection, doc) => {
+  const { type, fields } = SEARCHABLE[collection];
+  const key = entryKey(collection, doc.id);
+  removeEntry(index, key);
+
+  const texts = {};
+  const tokens = new Set();
+
+  fields.forEach((field) => {
+    if (typeof doc[field] !== 'string' || !doc[field]) {
+      return;
+    }
+
+    texts[field] = doc[field];
+    const weight = field === 'name' ? NAME_WEIGHT : 1;
+
+    tokenize(doc[field]).forEach((token) => {
+      if (!index.postings.has(token)) {
+        index.postings.set(token, new Map());
+      }
+      const posting = index.postings.get(token);
+      posting.set(key, (posting.get(key) || 0) + weight);
+      tokens.add(token);
+    });
+  });
+
+  index.entries.set(key, {
+    collection,
+    type,
+    texts,
+    tokens,
+    // Fields needed to check the caller's access without loading the document
+    doc: {
+      id: doc.id,
+      name: doc.name || null,
+      companyId: doc.companyId,
+      ownerId: doc.ownerId || null,
+      visibility: doc.visibility || 'company',
+      teamId: doc.teamId || null,
+      grants: doc.grants || [],
+      updatedAt: doc.updatedAt || null,
+    },
+  });
+};
+
+/**
+ * Build a company's index from Firestore
+ */
+const buildIndex = async (companyId) => {
+  const index = { builtAt: Date.now(), entries: new Map(), postings: new Map() };
+
+  await Promise.all(Object.keys(SEARCHABLE).map(async (collection) => {
+    const snapshot = await db.collection(collection).where('companyId', '==', companyId).get();
+    snapshot.forEach((doc) => {
+      // Trashed documents stay out of search until restored
+      if (!doc.data().deletedAt) {
+        addEntry(index, collection, { id: doc.id, ...doc.data() });
+      }
+    });
+  }));
+
+  indexes.delete(companyId);
+  indexes.set(companyId, index);
+  if (indexes.size > MAX_COMPANIES) {
+    indexes.delete(indexes.keys().next().value);
+  }
+
+  return index;
+};
+
+/**
+ * Get a company's index, building it if missing or stale
+ */
+const getIndex = async (companyId) => {
+  const index = indexes.get(companyId);
+  if (index && Date.now() - index.builtAt < INDEX_TTL_SECONDS * 1000) {
+    indexes.delete(companyId);
+    indexes.set(companyId, index);
+    return index;
+  }
+
+  // Concurrent searches share one build
+  if (!builds.has(companyId)) {
+    builds.set(companyId, buildIndex(companyId).finally(() => builds.delete(companyId)));
+  }
+  return builds.get(companyId);
+};
+
+/**
+ * Check whether an indexed token matches a query term
+ */
+const matchesTerm = (token, term) => {
+  return token === term || (term.length >= MIN_PREFIX_LENGTH && token.startsWith(term));
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Snippet of a field with matching words wrapped in <mark> (the rest is HTML-escaped)
+ */
+const highlight = (text, terms) => {
+  const ranges = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (tokenize(match[0]).some((token) => terms.some((term) => matchesTerm(token, term)))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  // Window around the first match
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, Math.min(ranges[0][0] - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+    end = start + SNIPPET_LENGTH;
+  }
+
+  let snippet = '';
+  let position = start;
+  ranges.filter(([from, to]) => from >= start && to <= end).forEach(([from, to]) => {
+    snippet += `${escapeHtml(text.slice(position, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+    position = to;
+  });
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+};
+
+const indexDocument = async (collection, doc) => {
+  const index = indexes.get(doc.companyId);
+  if (index && SEARCHABLE[collection]) {
+    addEntry(index, collection, doc);
+  }
+};
+
+const removeDocument = async (collection, doc) => {
+  const index = indexes.get(doc.companyId);
+  if (index) {
+    removeEntry(index, entryKey(collection, doc.id));
+  }
+};
+
+const search = async (companyId, query, { collections = Object.keys(SEARCHABLE), limit = 20, filter } = {}) => {
+  const allTerms = [...new Set(tokenize(query))];
+  const terms = allTerms.filter((term) => !STOP_WORDS.has(term));
+  if (terms.length === 0) {
+    terms.push(...allTerms);
+  }
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const index = await getIndex(companyId);
+  const total = index.entries.size;
+  const scores = new Map(); // key -> { score, matched: Set(term), exact: Set(term) }
+
+  terms.forEach((term) => {
+    index.postings.forEach((posting, token) => {
+      if (!matchesTerm(token, term)) {
+        return;
+      }
+
+      const idf = Math.log(1 + total / posting.size);
+      const boost = token === term ? 1 : PREFIX_WEIGHT;
+
+      posting.forEach((weight, key) => {
+        const result = scores.get(key) || { score: 0, matched: new Set(), exact: new Set() };
+        result.score += weight * idf * boost;
+        result.matched.add(term);
+        if (token === term) {
+          result.exact.add(term);
+        }
+        scores.set(key, result);
+      });
+    });
+  });
+
+  return [...scores.entries()]
+    .map(([key, result]) => ({ entry: index.entries.get(key), ...result }))
+    .filter(({ entry }) => collections.includes(entry.collection) && (!filter || filter(entry.doc)))
+    .sort((a, b) => b.matched.size - a.matched.size || b.exact.size - a.exact.size || b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score }) => {
+      const highlights = {};
+      Object.entries(entry.texts).forEach(([field, text]) => {
+        const snippet = highlight(text, terms);
+        if (snippet) {
+          highlights[field] = snippet;
+        }
+      });
+
+      return {
+        type: entry.type,
+        collection: entry.collection,
+        id: entry.doc.id,
+        name: entry.doc.name,
+        updatedAt: entry.doc.updatedAt,
+        score: Math.round(score * 1000) / 1000,
+        highlights,
+      };
+    });
+};
+
+module.exports = {
+  SEARCHABLE,
+  indexDocument,
+  removeDocument,
+  search,
+};
@@ -0,0 +1,53 @@
+const { db } = require('../config/firebase');
+const { getIdentityProvider } = require('./identity');
+const { invalidateUser } = require('./user-cache');
+
+/**
+ * Session revocation
+ *
+ * Access tokens are stateless, so revoking a user's sessions stores a
+ * `tokensValidAfter` timestamp on their user document. verifyToken rejects any
+ * token issued before it, and the identity provider stops accepting the user's
+ * existing refresh tokens.
+ */
+
+/**
+ * Revoke every session for a user
+ * Returns the new tokensValidAfter timestamp
+ */
+const revokeSessions = async (uid) => {
+  // Whole seconds, since token iat has one-second resolution
+  const tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000).toISOString();
+
+  const userRef = db.collection('users').doc(uid);
+  const userDoc = await userRef.get();
+  if (userDoc.exists) {
+    await userRef.update({ tokensValidAfter });
+  }
+
+  try {
+    await getIdentityProvider().revokeSessions(uid);
+  } catch (error) {
+    // The account may already be gone from the provider
+    console.error(`Error revoking provider sessions for ${uid}:`, error);
+  }
+
+  await invalidateUser(uid);
+
+  return tokensValidAfter;
+};
+
+/**
+ * Check whether a token (iat in seconds) was issued before the user's sessions were revoked
+ */
+const isTokenRevoked = (iat, tokensValidAfter) => {
+  if (!tokensValidAfter) {
+    return false;
+  }
+  return iat * 1000 < new Date(tokensValidAfter).getTime();
+};
+
+module.exports = {
+  revokeSessions,
+  isTokenRevoked,
+};
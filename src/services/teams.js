@@ -0,0 +1,303 @@
+const { db } = require('../config/firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Teams within a company
+ *
+ * Teams live in `teams`; memberships in `teamMembers` (document ID = `<teamId>_<userId>`)
+ * with a role of 'member' or 'admin'. Team admins manage their own team's members.
+ * Each user's team IDs are also kept on their user document (`teamIds`) so
+ * authentication can resolve them without extra queries.
+ *
+ * Content documents reference a team with an optional `teamId`.
+ */
+
+const COLLECTION = 'teams';
+const MEMBERS_COLLECTION = 'teamMembers';
+const CONTENT_COLLECTIONS = ['scenarios', 'characters', 'dialogues', 'environments'];
+const TEAM_ROLES = ['member', 'admin'];
+
+const membershipId = (teamId, userId) => `${teamId}_${userId}`;
+
+/**
+ * Validate team fields
+ * Returns an error message, or null if valid
+ */
+const validateTeam = ({ name, description }, { partial = false } = {}) => {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return 'Team name must be a non-empty string of at most 100 characters';
+    }
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+    return 'Description must be a string of at most 500 characters';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether another team in the company already uses a name
+ */
+const isNameTaken = async (companyId, name, exceptId = null) => {
+  const snapshot = await db.collection(COLLECTION)
+    .where('companyId', '==', companyId)
+    .where('name', '==', name)
+    .get();
+
+  return snapshot.docs.some((doc) => doc.id !== exceptId);
+};
+
+/**
+ * Get a team of a company, or null
+ */
+const getTeam = async (companyId, teamId) => {
+  if (!companyId || typeof teamId !== 'string' || !teamId) {
+    return null;
+  }
+
+  const doc = await db.collection(COLLECTION).doc(teamId).get();
+  if (!doc.exists || doc.data().companyId !== companyId) {
+    return null;
+  }
+
+  return doc.data();
+};
+
+/**
+ * Check a team ID against a company's teams
+ * Returns an error message, or null if the team exists
+ */
+const checkTeamExists = async (companyId, teamId) => {
+  return (await getTeam(companyId, teamId)) ? null : `Team '${teamId}' not found`;
+};
+
+/**
+ * List a company's teams with their member counts, sorted by name
+ */
+const listTeams = async (companyId) => {
+  const [teams, members] = await Promise.all([
+    db.collection(COLLECTION).where('companyId', '==', companyId).get(),
+    db.collection(MEMBERS_COLLECTION).where('companyId', '==', companyId).get(),
+  ]);
+
+  const counts = {};
+  members.forEach((doc) => {
+    const { teamId } = doc.data();
+    counts[teamId] = (counts[teamId] || 0) + 1;
+  });
+
+  return teams.docs
+    .map((doc) => ({ ...doc.data(), memberCount: counts[doc.id] || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Create a team
+ * Returns null if a team with this name already exists
+ */
+const createTeam = async (companyId, { name, description }, userId) => {
+  if (await isNameTaken(companyId, name)) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const team = {
+    id: uuidv4(),
+    companyId,
+    name,
+    description: description || null,
+    createdAt: now,
+    createdBy: userId,
+    updatedAt: now,
+  };
+
+  await db.collection(COLLECTION).doc(team.id).set(team);
+  return team;
+};
+
+/**
+ * Update a team's name or description
+ * Returns { team } or { error } (name already taken)
+ */
+const updateTeam = async (companyId, teamId, { name, description }, userId) => {
+  const existing = await getTeam(companyId, teamId);
+  if (!existing) {
+    return { team: null };
+  }
+
+  if (name !== undefined && name !== existing.name && (await isNameTaken(companyId, name, teamId))) {
+    return { error: `Team '${name}' already exists` };
+  }
+
+  const updateData = {
+    ...(name !== undefined && { name }),
+    ...(description !== undefined && { description }),
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId,
+  };
+
+  await db.collection(COLLECTION).doc(teamId).update(updateData);
+  return { team: { ...existing, ...updateData } };
+};
+
+/**
+ * Count live content documents assigned to a team, per collection
+ * Trashed documents don't count; deleteTeam takes them off the team
+ */
+const countTeamContent = async (companyId, teamId) => {
+  const counts = {};
+
+  await Promise.all(CONTENT_COLLECTIONS.map(async (collection) => {
+    const snapshot = await db.collection(collection)
+      .where('companyId', '==', companyId)
+      .where('teamId', '==', teamId)
+      .get();
+    counts[collection] = snapshot.docs.filter((doc) => !doc.data().deletedAt).length;
+  }));
+
+  return counts;
+};
+
+/**
+ * List a team's members, admins first
+ */
+const listMembers = async (teamId) => {
+  const snapshot = await db.collection(MEMBERS_COLLECTION).where('teamId', '==', teamId).get();
+
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => (a.role === b.role ? a.addedAt.localeCompare(b.addedAt) : a.role === 'admin' ? -1 : 1));
+};
+
+/**
+ * Get a user's membership of a team, or null
+ */
+const getMembership = async (teamId, userId) => {
+  const doc = await db.collection(MEMBERS_COLLECTION).doc(membershipId(teamId, userId)).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * Check whether a user is an admin of a team
+ */
+const isTeamAdmin = async (teamId, userId) => {
+  const membership = userId ? await getMembership(teamId, userId) : null;
+  return membership?.role === 'admin';
+};
+
+/**
+ * Add a user to a team, or change their role in it
+ */
+const setMember = async (team, userId, role, actorId) => {
+  const existing = await getMembership(team.id, userId);
+  const now = new Date().toISOString();
+
+  const membership = {
+    id: membershipId(team.id, userId),
+    teamId: team.id,
+    userId,
+    companyId: team.companyId,
+    role,
+    addedAt: existing?.addedAt || now,
+    addedBy: existing?.addedBy || actorId,
+    updatedAt: now,
+  };
+
+  await db.collection(MEMBERS_COLLECTION).doc(membership.id).set(membership);
+  if (!existing) {
+    await db.collection('users').doc(userId).update({ teamIds: FieldValue.arrayUnion(team.id) });
+  }
+
+  return membership;
+};
+
+/**
+ * Remove a user from a team
+ * Returns false if they weren't a member
+ */
+const removeMember = async (teamId, userId) => {
+  const ref = db.collection(MEMBERS_COLLECTION).doc(membershipId(teamId, userId));
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+
+  await ref.delete();
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (userDoc.exists) {
+    await userDoc.ref.update({ teamIds: FieldValue.arrayRemove(teamId) });
+  }
+
+  return true;
+};
+
+/**
+ * Delete a team and its memberships
+ * Trashed content still assigned to it loses its teamId; team-visible documents become
+ * private, so restoring them doesn't widen who can see them
+ * Returns the IDs of its former members
+ */
+const deleteTeam = async (companyId, teamId) => {
+  const snapshot = await db.collection(MEMBERS_COLLECTION).where('teamId', '==', teamId).get();
+  const userIds = snapshot.docs.map((doc) => doc.data().userId);
+
+  await Promise.all(CONTENT_COLLECTIONS.map(async (collection) => {
+    const content = await db.collection(collection)
+      .where('companyId', '==', companyId)
+      .where('teamId', '==', teamId)
+      .get();
+
+    await Promise.all(content.docs.map((doc) => doc.ref.update({
+      teamId: FieldValue.delete(),
+      ...(doc.data().visibility === 'team' && { visibility: 'private' }),
+    })));
+  }));
+
+  await Promise.all(userIds.map((userId) => removeMember(teamId, userId)));
+  await db.collection(COLLECTION).doc(teamId).delete();
+
+  return userIds;
+};
+
+/**
+ * Remove a deleted user's memberships
+ */
+const removeUserFromTeams = async (userId) => {
+  const snapshot = await db.collection(MEMBERS_COLLECTION).where('userId', '==', userId).get();
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+};
+
+/**
+ * Delete every team and membership of a company
+ */
+const deleteCompanyTeams = async (companyId) => {
+  const [teams, members] = await Promise.all([
+    db.collection(COLLECTION).where('companyId', '==', companyId).get(),
+    db.collection(MEMBERS_COLLECTION).where('companyId', '==', companyId).get(),
+  ]);
+
+  await Promise.all([...teams.docs, ...members.docs].map((doc) => doc.ref.delete()));
+};
+
+module.exports = {
+  TEAM_ROLES,
+  validateTeam,
+  getTeam,
+  checkTeamExists,
+  listTeams,
+  createTeam,
+  updateTeam,
+  countTeamContent,
+  listMembers,
+  getMembership,
+  isTeamAdmin,
+  setMember,
+  removeMember,
+  deleteTeam,
+  removeUserFromTeams,
+  deleteCompanyTeams,
+};
@@ -0,0 +1,133 @@
+const { db } = require('../config/firebase');
+const storageService = require('./storage');
+const revisionsService = require('./revisions');
+
+/**
+ * Trash for deleted content
+ *
+ * Deleting content only sets `deletedAt`/`deletedBy` (see firestoreService.deleteDoc).
+ * Trashed documents can be restored for TRASH_RETENTION_DAYS; after that the purge
+ * job deletes them for good, along with their revisions and their image and knowledge
+ * files in Storage.
+ */
+
+const CONTENT_COLLECTIONS = ['scenarios', 'characters', 'dialogues', 'environments'];
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+const PURGE_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a document trashed at `deletedAt` will be purged
+ */
+const purgeAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * DAY_MS).toISOString();
+
+/**
+ * Storage files referenced by a content document, with the query that finds other users of each
+ */
+const storageFiles = (data) => [
+  ...(data.imageFileName ? [{ fileName: data.imageFileName, field: 'imageFileName', operator: '==', value: data.imageFileName }] : []),
+  ...(data.knowledgeFiles || []).map((file) => ({ fileName: file.fileName, field: 'knowledgeFiles', operator: 'array-contains', value: file })),
+];
+
+/**
+ * Check whether another document still uses a file (duplicates share their original's files)
+ */
+const isFileShared = async (collection, docId, { field, operator, value }) => {
+  const snapshot = await db.collection(collection).where(field, operator, value).limit(2).get();
+  return snapshot.docs.some((other) => other.id !== docId);
+};
+
+/**
+ * Permanently delete a trashed document, its revisions and its files
+ * If a file can't be deleted the document is kept, so the next run retries it
+ */
+const purgeDocument = async (collection, doc) => {
+  for (const file of storageFiles(doc.data())) {
+    const { fileName } = file;
+    try {
+      if (await isFileShared(collection, doc.id, file)) {
+        continue;
+      }
+
+      await storageService.deleteFile(fileName);
+    } catch (error) {
+      // Already gone
+      if (error.code !== 404) {
+        console.error(`Error purging file ${fileName} of ${doc.ref.path}:`, error);
+        return false;
+      }
+    }
+  }
+
+  await revisionsService.deleteRevisions(collection, doc.id);
+  await doc.ref.delete();
+  return true;
+};
+
+/**
+ * Purge documents trashed longer than the retention period
+ * Returns the number of purged documents per collection
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+  const purged = {};
+
+  for (const collection of CONTENT_COLLECTIONS) {
+    purged[collection] = 0;
+
+    // Batches until nothing expired is left (or only documents whose files failed)
+    let hasMore = true;
+    while (hasMore) {
+      const snapshot = await db.collection(collection)
+        .where('deletedAt', '<=', cutoff)
+        .orderBy('deletedAt')
+        .limit(PURGE_BATCH_SIZE)
+        .get();
+
+      let batchPurged = 0;
+      for (const doc of snapshot.docs) {
+        if (await purgeDocument(collection, doc)) {
+          batchPurged++;
+        }
+      }
+
+      purged[collection] += batchPurged;
+      hasMore = snapshot.size === PURGE_BATCH_SIZE && batchPurged > 0;
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Run the purge now and then every TRASH_PURGE_INTERVAL_MINUTES
+ * Safe to run on several instances at once
+ */
+const startPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        console.log(`🗑️  Purged ${total} document(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = {
+  CONTENT_COLLECTIONS,
+  RETENTION_DAYS,
+  purgeAt,
+  purgeExpiredTrash,
+  startPurgeJob,
+};
@@ -0,0 +1,45 @@
+const { db } = require('../config/firebase');
+const cache = require('./cache');
+
+/**
+ * Cache of resolved users (uid -> companyId, role, permissions) used by verifyToken
+ * Entries expire with the token that populated them and are invalidated whenever
+ * a user or their company changes, so role changes apply on the next request
+ */
+
+const cacheKey = (uid) => `user:${uid}`;
+
+/**
+ * Get a cached user (null on miss)
+ */
+const getCachedUser = (uid) => cache.get(cacheKey(uid));
+
+/**
+ * Cache a resolved user until the token expires (exp in seconds since epoch)
+ */
+const cacheUser = async (uid, user, exp) => {
+  const ttlSeconds = exp - Math.floor(Date.now() / 1000);
+  await cache.set(cacheKey(uid), user, ttlSeconds);
+};
+
+/**
+ * Drop cached entries for one or more users
+ */
+const invalidateUser = async (...uids) => {
+  await cache.del(...uids.map(cacheKey));
+};
+
+/**
+ * Drop cached entries for every user in a company
+ */
+const invalidateCompanyUsers = async (companyId) => {
+  const snapshot = await db.collection('users').where('companyId', '==', companyId).get();
+  await invalidateUser(...snapshot.docs.map((doc) => doc.id));
+};
+
+module.exports = {
+  getCachedUser,
+  cacheUser,
+  invalidateUser,
+  invalidateCompanyUsers,
+};
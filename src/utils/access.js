@@ -0,0 +1,124 @@
+const { hasScope } = require('./scopes');
+
+/**
+ * Document-level access control for content
+ *
+ * Each content document may carry:
+ * - ownerId: user who owns it (the creator, unless transferred)
+ * - visibility: 'company' (default), 'team' (members of its teamId) or 'private'
+ * - grants: [{ userId, access: 'read' | 'edit', grantedBy, grantedAt }]
+ *
+ * Access levels, from lowest to highest: read < edit < owner. Company admins have
+ * owner access to everything. Documents without these fields behave as before:
+ * visible to and editable by the whole company.
+ */
+
+const VISIBILITIES = ['company', 'team', 'private'];
+const GRANT_ACCESS = ['read', 'edit'];
+const LEVELS = ['read', 'edit', 'owner'];
+
+// Only changed through the sharing routes, never through a regular update
+// (teamId decides who can see team documents, so it's set on create and then only by owners)
+const PROTECTED_FIELDS = ['ownerId', 'visibility', 'grants', 'teamId'];
+
+/**
+ * Who is asking, as far as document access is concerned
+ * - Users: their uid and teams; with ownerOnlyEditing set on the company they can only
+ *   edit documents they own or were granted edit access to
+ * - API keys: company-wide integrations, so company-visible documents stay editable,
+ *   but team and private documents need a key with the 'admin' permission
+ */
+const accessContext = (req) => {
+  if (req.apiClient) {
+    return {
+      userId: null,
+      teamIds: [],
+      isAdmin: hasScope(req.apiClient.permissions || [], 'admin'),
+      ownerOnlyEditing: false,
+    };
+  }
+
+  return {
+    userId: req.user?.uid || null,
+    teamIds: req.user?.teamIds || [],
+    isAdmin: req.user?.role === 'super-admin' || hasScope(req.user?.permissions || [], 'admin'),
+    ownerOnlyEditing: Boolean(req.user?.ownerOnlyEditing),
+  };
+};
+
+/**
+ * Access level a context has on a document: 'owner', 'edit', 'read' or null
+ * No context means an internal call, which is not restricted
+ */
+const accessLevel = (doc, context) => {
+  if (!context || context.isAdmin) {
+    return 'owner';
+  }
+
+  if (doc.ownerId && doc.ownerId === context.userId) {
+    return 'owner';
+  }
+
+  const grant = (doc.grants || []).find((item) => item.userId === context.userId);
+  const memberLevel = context.ownerOnlyEditing ? 'read' : 'edit';
+
+  let level = null;
+  switch (doc.visibility || 'company') {
+    case 'company':
+      level = memberLevel;
+      break;
+    case 'team':
+      level = doc.teamId && context.teamIds.includes(doc.teamId) ? memberLevel : null;
+      break;
+    default:
+      level = null;
+  }
+
+  if (grant && LEVELS.indexOf(grant.access) > LEVELS.indexOf(level)) {
+    return grant.access;
+  }
+
+  return level;
+};
+
+/**
+ * Check whether a context has at least the given access level on a document
+ */
+const hasAccess = (doc, context, required) => {
+  const level = accessLevel(doc, context);
+  return level !== null && LEVELS.indexOf(level) >= LEVELS.indexOf(required);
+};
+
+/**
+ * Remove the protected fields from data sent to a regular create or update
+ * (new documents take their teamId from the data anyway, see newDocument in services/firestore.js)
+ */
+const stripProtectedFields = (data) => {
+  const stripped = { ...data };
+  PROTECTED_FIELDS.forEach((field) => delete stripped[field]);
+  return stripped;
+};
+
+const FAILURE_STATUSES = {
+  BROKEN_REFERENCE: 400,
+  ACCESS_DENIED: 403,
+  REFERENCED: 409,
+  PRECONDITION_FAILED: 412,
+};
+
+/**
+ * HTTP status for a failed firestoreService result: 400 when it would reference missing
+ * documents, 403 when access was denied, 409 when other documents reference it, 412 when
+ * If-Match didn't match, 404 otherwise
+ */
+const failureStatus = (result) => FAILURE_STATUSES[result.code] || 404;
+
+module.exports = {
+  VISIBILITIES,
+  GRANT_ACCESS,
+  accessContext,
+  accessLevel,
+  hasAccess,
+  stripProtectedFields,
+  failureStatus,
+};
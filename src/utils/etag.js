@@ -0,0 +1,29 @@
+const { currentRevision } = require('../services/revisions');
+
+/**
+ * ETags for content documents
+ *
+ * A document's ETag is its revision number, which every content update increments
+ * (sharing changes don't, as they aren't part of what PUT overwrites). Clients send
+ * it back in If-Match so an update fails with 412 instead of overwriting someone
+ * else's changes.
+ */
+
+/**
+ * Strong ETag of a document's current version
+ */
+const etag = (data) => `"${currentRevision(data)}"`;
+
+/**
+ * Check an If-Match header against a document
+ * Accepts '*' and comma-separated lists; weak ETags never match (strong comparison)
+ */
+const etagMatches = (ifMatch, data) => {
+  const tags = ifMatch.split(',').map((tag) => tag.trim());
+  return tags.includes('*') || tags.includes(etag(data));
+};
+
+module.exports = {
+  etag,
+  etagMatches,
+};
@@ -0,0 +1,77 @@
+const net = require('net');
+
+/**
+ * IP address helpers for CIDR allowlists
+ */
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients (::ffff:1.2.3.4)
+ */
+const normalizeIp = (ip) => {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+};
+
+/**
+ * Parse a CIDR ("10.0.0.0/8") or single address ("203.0.113.5")
+ * Returns null if invalid
+ */
+const parseCidr = (cidr) => {
+  if (typeof cidr !== 'string') {
+    return null;
+  }
+
+  const [address, prefixText] = cidr.trim().split('/');
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return null;
+  }
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
+  }
+
+  return {
+    address,
+    prefix,
+    type: family === 4 ? 'ipv4' : 'ipv6',
+  };
+};
+
+/**
+ * Check if a CIDR string is valid
+ */
+const isValidCidr = (cidr) => parseCidr(cidr) !== null;
+
+/**
+ * Check if an IP address falls within any of the given CIDRs
+ */
+const ipInCidrs = (ip, cidrs) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address || '');
+
+  if (family === 0) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  cidrs.map(parseCidr).filter(Boolean).forEach(({ address: subnet, prefix, type }) => {
+    blockList.addSubnet(subnet, prefix, type);
+  });
+
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+module.exports = {
+  normalizeIp,
+  isValidCidr,
+  ipInCidrs,
+};
@@ -0,0 +1,172 @@
+const { getFields } = require('../schemas');
+
+/**
+ * Query parameters for content list endpoints
+ *
+ *   ?limit=50                      Page size (max 200); without limit or cursor the full list is returned
+ *   ?cursor=<nextCursor>           Continue after the previous page
+ *   ?sort=name | ?sort=-createdAt  Sort field, '-' for descending (default -createdAt)
+ *   ?<field>=<value>               Equality filter on one field, e.g. ?active=true
+ *
+ * Cursors are opaque to clients: base64url JSON of the last document ID and the
+ * sort they were issued for, so a cursor can't be replayed with another sort.
+ *
+ * Firestore needs a composite index for every filter and sort combined with the
+ * company scope, so only the fields below are accepted, one filter at a time.
+ * firestore.indexes.json has an index for each combination in both directions.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_SORT = '-createdAt';
+const RESERVED_PARAMS = ['limit', 'cursor', 'sort'];
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'name'];
+
+const FILTER_FIELDS = {
+  scenario: ['teamId', 'active', 'dialogueId', 'environmentId'],
+  character: ['teamId', 'status', 'voiceId'],
+  dialogue: ['teamId', 'purposePreset'],
+  environment: ['teamId', 'environmentType'],
+};
+
+/**
+ * Encode a cursor for the page after a document
+ */
+const encodeCursor = (id, sort) => {
+  return Buffer.from(JSON.stringify({ id, sort })).toString('base64url');
+};
+
+/**
+ * Decode a cursor; returns { id, sort } or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof decoded?.id === 'string' && typeof decoded?.sort === 'string' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Convert a query string value to the type of a schema field
+ * Returns { value } or { error }
+ */
+const parseFilterValue = (field, raw) => {
+  switch (field.type) {
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        return { error: `Filter '${field.name}' must be true or false` };
+      }
+      return { value: raw === 'true' };
+
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || !Number.isFinite(value)) {
+        return { error: `Filter '${field.name}' must be a number` };
+      }
+      return { value };
+    }
+
+    case 'select': {
+      const validValues = (field.options || []).map((option) => option.value);
+      if (validValues.length > 0 && !validValues.includes(raw)) {
+        return { error: `Filter '${field.name}' must be one of: ${validValues.join(', ')}` };
+      }
+      return { value: raw };
+    }
+
+    default:
+      return { value: raw };
+  }
+};
+
+/**
+ * Parse and validate list query parameters against a schema
+ * Returns { options } for firestoreService.getAll, or { error }
+ */
+const parseListQuery = (type, query = {}) => {
+  const fields = new Map(getFields(type).map((field) => [field.name, field]));
+  const filterable = FILTER_FIELDS[type] || [];
+
+  // limit (a cursor without one continues with the default page size)
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+  } else if (query.cursor !== undefined) {
+    limit = DEFAULT_LIMIT;
+  }
+
+  // sort
+  const sort = query.sort === undefined ? DEFAULT_SORT : query.sort;
+  if (typeof sort !== 'string') {
+    return { error: 'sort must be a single field' };
+  }
+
+  const orderBy = sort.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(orderBy) || !fields.has(orderBy)) {
+    return { error: `Cannot sort by '${orderBy}'. Sortable fields: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  // cursor
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    const decoded = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+    if (!decoded || decoded.sort !== sort) {
+      return { error: 'Invalid cursor. Cursors only work with the sort they were returned for' };
+    }
+    cursor = decoded.id;
+  }
+
+  // filters
+  const filters = [];
+  for (const [name, raw] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(name)) {
+      continue;
+    }
+
+    const field = fields.get(name);
+    if (!field || !filterable.includes(name)) {
+      return { error: `Cannot filter by '${name}'. Filterable fields: ${filterable.join(', ')}` };
+    }
+
+    if (typeof raw !== 'string') {
+      return { error: `Filter '${name}' must be a single value` };
+    }
+
+    const { value, error } = parseFilterValue(field, raw);
+    if (error) {
+      return { error };
+    }
+
+    filters.push({ field: name, operator: '==', value });
+  }
+
+  if (filters.length > 1) {
+    return { error: 'Only one filter can be used at a time' };
+  }
+
+  return {
+    options: {
+      filters,
+      orderBy,
+      order: sort.startsWith('-') ? 'desc' : 'asc',
+      limit,
+      cursor,
+      sort,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+  FILTER_FIELDS,
+  encodeCursor,
+  parseListQuery,
+};
@@ -0,0 +1,27 @@
+/**
+ * Password policy shared by every route that sets a password
+ */
+
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Validate a new password
+ * Returns an error message, or null if the password is acceptable
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+};
@@ -0,0 +1,46 @@
+const { hasScope } = require('./scopes');
+
+/**
+ * Content access policy
+ *
+ * Decides which permission each action on a content collection needs. The same
+ * rules apply to user tokens (their role's permissions) and API keys (the key's
+ * permissions), so a viewer and a read-only key are refused the same way.
+ */
+
+const ACTION_PERMISSIONS = {
+  read: 'read',
+  create: 'edit',
+  update: 'edit',
+  duplicate: 'edit',
+  upload: 'edit',
+  share: 'edit',
+  delete: 'write',
+  restore: 'write',
+};
+
+const ACTIONS = Object.keys(ACTION_PERMISSIONS);
+
+/**
+ * Scope required to perform an action on a collection (e.g. 'characters:edit')
+ */
+const requiredScope = (collection, action) => {
+  if (!ACTION_PERMISSIONS[action]) {
+    throw new Error(`Unknown policy action '${action}'. Expected one of: ${ACTIONS.join(', ')}`);
+  }
+
+  return `${collection}:${ACTION_PERMISSIONS[action]}`;
+};
+
+/**
+ * Check whether a permission set allows an action on a collection
+ */
+const can = (permissions, collection, action) => {
+  return hasScope(permissions, requiredScope(collection, action));
+};
+
+module.exports = {
+  ACTIONS,
+  requiredScope,
+  can,
+};
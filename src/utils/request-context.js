@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context available anywhere in the request's async call chain
+ * Used to tag records written deep inside services (e.g. activities) with
+ * request-level facts such as an active impersonation session
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that starts a fresh context for each request
+ */
+const requestContext = (req, res, next) => {
+  storage.run({}, () => next());
+};
+
+/**
+ * Get the current request's context (empty object outside a request)
+ */
+const getRequestContext = () => storage.getStore() || {};
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+};
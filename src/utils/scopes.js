@@ -0,0 +1,97 @@
+/**
+ * Permission scopes
+ *
+ * A scope has the form `<collection>:<action>`, e.g. `characters:write`.
+ * - `*` as collection matches every collection (`*:read`)
+ * - Actions are ordered: `read` < `edit` (create and update) < `write` (edit and delete),
+ *   and each implies the ones before it on the same collection
+ * - The flat permissions `read`, `edit` and `write` are aliases for `*:read`, `*:edit` and `*:write`
+ * - `admin` grants every scope
+ */
+
+const SCOPE_COLLECTIONS = ['scenarios', 'characters', 'dialogues', 'environments', 'analytics'];
+const SCOPE_ACTIONS = ['read', 'edit', 'write'];
+const FLAT_PERMISSIONS = ['read', 'edit', 'write', 'admin'];
+
+const ALIASES = {
+  read: '*:read',
+  edit: '*:edit',
+  write: '*:write',
+};
+
+/**
+ * Split a scope into collection and action (resolving flat aliases)
+ */
+const parseScope = (scope) => {
+  const [collection, action] = (ALIASES[scope] || scope).split(':');
+  return { collection, action };
+};
+
+/**
+ * Check if a permission string is a valid flat permission or scope
+ */
+const isValidPermission = (permission) => {
+  if (typeof permission !== 'string') {
+    return false;
+  }
+
+  if (FLAT_PERMISSIONS.includes(permission)) {
+    return true;
+  }
+
+  const { collection, action } = parseScope(permission);
+  return (collection === '*' || SCOPE_COLLECTIONS.includes(collection)) && SCOPE_ACTIONS.includes(action);
+};
+
+/**
+ * Check if a single granted permission satisfies a required scope
+ */
+const grants = (granted, required) => {
+  if (granted === 'admin') {
+    return true;
+  }
+
+  const have = parseScope(granted);
+  const need = parseScope(required);
+
+  const collectionMatches = have.collection === '*' || have.collection === need.collection;
+  const haveRank = SCOPE_ACTIONS.indexOf(have.action);
+  const needRank = SCOPE_ACTIONS.indexOf(need.action);
+  const actionMatches = haveRank !== -1 && needRank !== -1 && haveRank >= needRank;
+
+  return collectionMatches && actionMatches;
+};
+
+/**
+ * Check if a list of permissions satisfies a required scope
+ */
+const hasScope = (permissions = [], required) => {
+  return permissions.some((granted) => grants(granted, required));
+};
+
+/**
+ * Validate a non-empty permission list (API keys, roles)
+ * Returns an error message, or null if valid
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return 'Permissions must be a non-empty array';
+  }
+
+  const invalid = permissions.filter((permission) => !isValidPermission(permission));
+  if (invalid.length > 0) {
+    return `Invalid permissions: ${invalid.join(', ')}. Allowed: ${FLAT_PERMISSIONS.join(', ')}, `
+      + `or <collection>:<action> with collection in [${SCOPE_COLLECTIONS.join(', ')}] and action in [${SCOPE_ACTIONS.join(', ')}]`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  SCOPE_COLLECTIONS,
+  SCOPE_ACTIONS,
+  FLAT_PERMISSIONS,
+  isValidPermission,
+  validatePermissions,
+  hasScope,
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helpers for JWTs signed by this API (HS256 with JWT_SECRET)
+ * Each kind of token uses its own audience so one can never be used as another
+ */
+
+const ISSUER = 'ai-dashboard-api';
+
+let ephemeralSecret = null;
+
+/**
+ * Get the signing secret
+ * Falls back to a per-process random secret outside production (tokens won't survive a restart)
+ */
+const getSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  if (!ephemeralSecret) {
+    console.warn('⚠️  JWT_SECRET not set - using a temporary secret (tokens will not survive a restart)');
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return ephemeralSecret;
+};
+
+/**
+ * Sign a token
+ * expiresIn accepts seconds or a zeit/ms string ('15m', '30d')
+ */
+const signToken = (payload, { audience, expiresIn, subject }) => {
+  return jwt.sign(payload, getSecret(), {
+    algorithm: 'HS256',
+    issuer: ISSUER,
+    audience,
+    expiresIn,
+    ...(subject && { subject }),
+  });
+};
+
+/**
+ * Verify a token's signature, issuer, audience and expiry
+ * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure
+ */
+const verifySignedToken = (token, { audience }) => {
+  return jwt.verify(token, getSecret(), {
+    algorithms: ['HS256'],
+    issuer: ISSUER,
+    audience,
+  });
+};
+
+/**
+ * Read a token's claims without verifying it (for routing decisions only)
+ */
+const peekToken = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded && typeof decoded === 'object' ? decoded : null;
+};
+
+module.exports = {
+  ISSUER,
+  signToken,
+  verifySignedToken,
+  peekToken,
+};
@@ -0,0 +1,42 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./helpers/setup');
+const apiKeyService = require('../src/services/api-keys');
+
+const getKeyDoc = () => db.collection('apiKeys').doc('key1').get();
+
+describe('API key daily quota', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('admits exactly the remaining quota from concurrent requests', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    db.seed('apiKeys', { key1: { id: 'key1', dailyQuota: 3, usageDate: today, usageCount: 1, totalRequests: 10 } });
+    const doc = await getKeyDoc();
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => apiKeyService.recordUsage(doc)));
+
+    assert.strictEqual(results.filter((result) => result === null).length, 2);
+    assert.strictEqual(results.filter((result) => result === apiKeyService.CONSTRAINT_ERRORS.quotaExceeded).length, 3);
+    assert.strictEqual(db.read('apiKeys', 'key1').usageCount, 3);
+    assert.strictEqual(db.read('apiKeys', 'key1').totalRequests, 12);
+  });
+
+  it('starts counting again on a new day', async () => {
+    db.seed('apiKeys', { key1: { id: 'key1', dailyQuota: 1, usageDate: '2000-01-01', usageCount: 1 } });
+
+    assert.strictEqual(await apiKeyService.recordUsage(await getKeyDoc()), null);
+    assert.strictEqual(await apiKeyService.recordUsage(await getKeyDoc()), apiKeyService.CONSTRAINT_ERRORS.quotaExceeded);
+    assert.strictEqual(db.read('apiKeys', 'key1').usageCount, 1);
+  });
+
+  it('counts every request for keys without a quota', async () => {
+    db.seed('apiKeys', { key1: { id: 'key1', totalRequests: 0 } });
+    const doc = await getKeyDoc();
+
+    await Promise.all(Array.from({ length: 3 }, () => apiKeyService.recordUsage(doc)));
+
+    assert.strictEqual(db.read('apiKeys', 'key1').totalRequests, 3);
+  });
+});
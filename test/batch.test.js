@@ -0,0 +1,116 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./helpers/setup');
+const firestoreService = require('../src/services/firestore');
+
+const COMPANY = 'company1';
+const USER = 'user1';
+
+const character = (id, extra = {}) => ({ id, name: `Character ${id}`, companyId: COMPANY, revision: 1, ...extra });
+
+const scenario = (id, characterId) => ({
+  id,
+  name: `Scenario ${id}`,
+  companyId: COMPANY,
+  revision: 1,
+  characterRoles: [{ roleId: 'lead', characterId }],
+  characterIds: [characterId],
+});
+
+const createScenario = (characterId) => ({
+  op: 'create',
+  collection: 'scenarios',
+  data: { name: 'New scenario', characterRoles: [{ roleId: 'lead', characterId }] },
+});
+
+const ticks = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+const batchWrite = (operations) => firestoreService.batchWrite(operations, USER, COMPANY);
+
+describe('batch writes', () => {
+  beforeEach(() => {
+    db.reset();
+    db.seed('characters', { c1: character('c1'), c2: character('c2') });
+    db.seed('scenarios', { s1: scenario('s1', 'c1') });
+  });
+
+  it('applies every operation together', async () => {
+    const result = await batchWrite([
+      createScenario('c2'),
+      { op: 'update', collection: 'characters', id: 'c2', data: { name: 'Renamed' } },
+    ]);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.data[0].data.characterIds, ['c2']);
+    assert.strictEqual(db.read('characters', 'c2').name, 'Renamed');
+  });
+
+  it('writes nothing when one operation references a missing document', async () => {
+    const result = await batchWrite([
+      { op: 'update', collection: 'characters', id: 'c2', data: { name: 'Renamed' } },
+      createScenario('missing'),
+    ]);
+
+    assert.strictEqual(result.code, 'BATCH_REJECTED');
+    assert.strictEqual(result.data[0].code, undefined);
+    assert.strictEqual(result.data[1].code, 'BROKEN_REFERENCE');
+    assert.strictEqual(db.read('characters', 'c2').name, 'Character c2');
+    assert.strictEqual(Object.keys(db.list('scenarios')).length, 1);
+  });
+
+  it('refuses to reference a document the same batch deletes', async () => {
+    const result = await batchWrite([
+      { op: 'delete', collection: 'characters', id: 'c2' },
+      createScenario('c2'),
+    ]);
+
+    assert.strictEqual(result.code, 'BATCH_REJECTED');
+    assert.strictEqual(result.data[1].code, 'BROKEN_REFERENCE');
+    assert.strictEqual(db.read('characters', 'c2').deletedAt, undefined);
+  });
+
+  it('refuses to delete a referenced document unless its referrers are deleted too', async () => {
+    const refused = await batchWrite([{ op: 'delete', collection: 'characters', id: 'c1' }]);
+
+    assert.strictEqual(refused.code, 'BATCH_REJECTED');
+    assert.strictEqual(refused.data[0].code, 'REFERENCED');
+    assert.deepStrictEqual(refused.data[0].referrers.map(({ id }) => id), ['s1']);
+
+    const applied = await batchWrite([
+      { op: 'delete', collection: 'characters', id: 'c1' },
+      { op: 'delete', collection: 'scenarios', id: 's1' },
+    ]);
+
+    assert.strictEqual(applied.success, true);
+    assert.ok(db.read('characters', 'c1').deletedAt);
+    assert.ok(db.read('scenarios', 's1').deletedAt);
+  });
+
+  it('never leaves a live reference to a document deleted concurrently', async () => {
+    // Start one a few steps after the other, so the two interleave differently:
+    // negative offsets delay the batch, positive ones the delete
+    for (let offset = -15; offset <= 15; offset++) {
+      db.reset();
+      db.seed('characters', { c2: character('c2') });
+
+      const [batch, deleted] = await Promise.all([
+        ticks(-offset).then(() => batchWrite([createScenario('c2')])),
+        ticks(offset).then(() => firestoreService.deleteDoc('characters', 'c2', USER, COMPANY)),
+      ]);
+
+      // Whichever committed first, the other must have seen it
+      assert.notStrictEqual(batch.success, deleted.success, `offset ${offset}`);
+      if (batch.success) {
+        assert.strictEqual(deleted.code, 'REFERENCED');
+        assert.strictEqual(db.read('characters', 'c2').deletedAt, undefined);
+      } else {
+        assert.strictEqual(batch.data[0].code, 'BROKEN_REFERENCE');
+        assert.ok(db.read('characters', 'c2').deletedAt);
+      }
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./helpers/setup');
+const devices = require('../src/services/devices');
+const { getIdentityProvider } = require('../src/services/identity');
+
+const USER = { uid: 'user1', email: 'user@example.com', companyId: 'company1' };
+
+/**
+ * Start a device authorization and approve it as USER
+ */
+const approvedDevice = async () => {
+  const { deviceCode, userCode } = await devices.createDeviceCode({ clientName: 'Headset' });
+  const doc = await devices.findPending(userCode);
+  await devices.approve(doc, USER);
+  return { deviceCode, id: doc.id };
+};
+
+const poll = (deviceCode) => devices.pollToken({ grantType: devices.GRANT_TYPE, deviceCode });
+
+describe('device authorization', () => {
+  beforeEach(async () => {
+    db.reset();
+    await getIdentityProvider().createUser({ uid: USER.uid, email: USER.email, password: 'password' });
+  });
+
+  it('reports a pending code until it is approved, then starts a session', async () => {
+    const { deviceCode, userCode } = await devices.createDeviceCode();
+
+    assert.strictEqual((await poll(deviceCode)).error, devices.DEVICE_ERRORS.authorizationPending);
+
+    await devices.approve(await devices.findPending(userCode), USER);
+    const result = await poll(deviceCode);
+
+    assert.ok(result.session.token);
+    assert.strictEqual(result.device.status, 'active');
+  });
+
+  it('exchanges an approved code for only one of several concurrent polls', async () => {
+    const { deviceCode, id } = await approvedDevice();
+
+    const results = await Promise.all([poll(deviceCode), poll(deviceCode), poll(deviceCode)]);
+
+    assert.strictEqual(results.filter((result) => result.session).length, 1);
+    results
+      .filter((result) => !result.session)
+      .forEach((result) => assert.strictEqual(result.error, devices.DEVICE_ERRORS.invalidGrant));
+    assert.strictEqual(db.read('deviceAuthorizations', id).status, 'active');
+  });
+
+  it('does not exchange a code revoked after approval', async () => {
+    const { deviceCode, id } = await approvedDevice();
+
+    await devices.revokeDevice(await devices.getDeviceDoc(USER.companyId, id), 'admin1');
+    const result = await poll(deviceCode);
+
+    assert.strictEqual(result.error, devices.DEVICE_ERRORS.invalidGrant);
+    assert.strictEqual(db.read('deviceAuthorizations', id).status, 'revoked');
+    assert.strictEqual(await devices.isDeviceActive(id), false);
+  });
+
+  it('never leaves a device active when a revoke races the exchange', async () => {
+    const { deviceCode, id } = await approvedDevice();
+    const doc = await devices.getDeviceDoc(USER.companyId, id);
+
+    const [result] = await Promise.all([poll(deviceCode), devices.revokeDevice(doc, 'admin1')]);
+
+    assert.strictEqual(db.read('deviceAuthorizations', id).status, 'revoked');
+    if (result.session) {
+      assert.strictEqual(await devices.isDeviceActive(id), false);
+    }
+  });
+});
@@ -0,0 +1,452 @@
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * In-memory stand-in for the Firestore Admin SDK, covering what the services use
+ *
+ * Behaves like Firestore where the tests depend on it:
+ * - reads return copies, and writes apply FieldValue transforms
+ * - orderBy skips documents that don't have the field
+ * - transactions must do all their reads before any write, and their writes are
+ *   applied together on commit. They run one at a time, and one whose documents
+ *   were changed by a plain write after it read them is retried (up to 5 attempts).
+ *
+ * Every operation yields to the event loop first, so concurrent requests
+ * interleave the way they would against a real database.
+ */
+
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const ABORTED = 10;
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const firestoreError = (code, message) => Object.assign(new Error(`${code} ${message}`), { code });
+
+const getField = (data, field) => field.split('.').reduce((value, key) => value?.[key], data);
+
+const setField = (data, field, value) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+    return target[key];
+  }, data);
+  parent[last] = value;
+};
+
+const deleteField = (data, field) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => target?.[key], data);
+  if (parent) delete parent[last];
+};
+
+const includesValue = (list, value) => list.some((item) => isDeepStrictEqual(item, value));
+
+/**
+ * Apply one written value, resolving FieldValue sentinels against the stored data
+ */
+const applyValue = (data, field, value) => {
+  switch (value?.constructor?.name) {
+    case 'DeleteTransform':
+      deleteField(data, field);
+      break;
+    case 'NumericIncrementTransform':
+      setField(data, field, (getField(data, field) || 0) + value.operand);
+      break;
+    case 'ArrayUnionTransform': {
+      const current = getField(data, field) || [];
+      setField(data, field, [...current, ...value.elements.filter((item) => !includesValue(current, item))]);
+      break;
+    }
+    case 'ArrayRemoveTransform':
+      setField(data, field, (getField(data, field) || []).filter((item) => !includesValue(value.elements, item)));
+      break;
+    case 'ServerTimestampTransform':
+      setField(data, field, new Date().toISOString());
+      break;
+    default:
+      setField(data, field, clone(value));
+  }
+};
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'object'];
+
+const typeRank = (value) => TYPE_ORDER.indexOf(value === null ? 'null' : typeof value);
+
+const compareValues = (a, b) => {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (a === b || typeof a === 'object') return 0;
+  return a < b ? -1 : 1;
+};
+
+const FILTERS = {
+  '==': (value, expected) => isDeepStrictEqual(value, expected),
+  '!=': (value, expected) => value !== undefined && !isDeepStrictEqual(value, expected),
+  '<': (value, expected) => typeRank(value) === typeRank(expected) && compareValues(value, expected) < 0,
+  '<=': (value, expected) => typeRank(value) === typeRank(expected) && compareValues(value, expected) <= 0,
+  '>': (value, expected) => typeRank(value) === typeRank(expected) && compareValues(value, expected) > 0,
+  '>=': (value, expected) => typeRank(value) === typeRank(expected) && compareValues(value, expected) >= 0,
+  in: (value, expected) => includesValue(expected, value),
+  'array-contains': (value, expected) => Array.isArray(value) && includesValue(value, expected),
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = clone(data);
+  }
+
+  data() {
+    return clone(this._data);
+  }
+
+  get(field) {
+    return clone(getField(this._data, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(firestore, collectionPath, id) {
+    this.firestore = firestore;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this._collectionPath);
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  _read() {
+    return this.firestore._collection(this._collectionPath).get(this.id);
+  }
+
+  _snapshot() {
+    return new DocumentSnapshot(this, this._read());
+  }
+
+  /**
+   * Check a write can go ahead without applying it, so batches fail as a whole
+   */
+  _check(kind) {
+    if (kind === 'update' && this._read() === undefined) {
+      throw firestoreError(NOT_FOUND, `No document to update: ${this.path}`);
+    }
+    if (kind === 'create' && this._read() !== undefined) {
+      throw firestoreError(ALREADY_EXISTS, `Document already exists: ${this.path}`);
+    }
+  }
+
+  _write(kind, data, options = {}) {
+    const documents = this.firestore._collection(this._collectionPath);
+    this.firestore._versions.set(this.path, this.firestore._version(this.path) + 1);
+    if (kind === 'delete') {
+      documents.delete(this.id);
+      return;
+    }
+
+    const merge = kind === 'update' || options.merge;
+    const next = merge ? clone(this._read()) || {} : {};
+    Object.entries(data).forEach(([field, value]) => {
+      // update() reads dotted keys as field paths; set() stores them as-is
+      if (kind !== 'update' && field.includes('.')) {
+        next[field] = clone(value);
+      } else {
+        applyValue(next, field, value);
+      }
+    });
+    documents.set(this.id, next);
+  }
+
+  async get() {
+    await tick();
+    return this._snapshot();
+  }
+
+  async set(data, options) {
+    await tick();
+    this._write('set', data, options);
+  }
+
+  async update(data) {
+    await tick();
+    this._check('update');
+    this._write('update', data);
+  }
+
+  async create(data) {
+    await tick();
+    this._check('create');
+    this._write('create', data);
+  }
+
+  async delete() {
+    await tick();
+    this._write('delete');
+  }
+}
+
+class Query {
+  constructor(firestore, collectionPath, options = {}) {
+    this.firestore = firestore;
+    this._collectionPath = collectionPath;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit ?? null;
+    this._startAfter = options.startAfter ?? null;
+  }
+
+  _with(options) {
+    return new Query(this.firestore, this._collectionPath, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      ...options,
+    });
+  }
+
+  where(field, op, value) {
+    if (!FILTERS[op]) throw new Error(`Unsupported filter operator: ${op}`);
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(snapshot) {
+    return this._with({ startAfter: snapshot });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const { size } = await this._with({ limit: null, startAfter: null }).get();
+        return { data: () => ({ count: size }) };
+      },
+    };
+  }
+
+  _compare(a, b) {
+    for (const { field, direction } of this._orders) {
+      const result = compareValues(getField(a.data, field), getField(b.data, field));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return compareValues(a.id, b.id);
+  }
+
+  _run() {
+    let entries = [...this.firestore._collection(this._collectionPath).entries()]
+      .map(([id, data]) => ({ id, data }))
+      .filter(({ data }) => this._orders.every(({ field }) => getField(data, field) !== undefined))
+      .filter(({ data }) => this._filters.every(({ field, op, value }) => FILTERS[op](getField(data, field), value)))
+      .sort((a, b) => this._compare(a, b));
+
+    if (this._startAfter) {
+      const cursor = { id: this._startAfter.id, data: this._startAfter.data() };
+      entries = entries.filter((entry) => this._compare(entry, cursor) > 0);
+    }
+    if (this._limit !== null) entries = entries.slice(0, this._limit);
+
+    return new QuerySnapshot(
+      entries.map(({ id }) => new DocumentReference(this.firestore, this._collectionPath, id)._snapshot())
+    );
+  }
+
+  async get() {
+    await tick();
+    return this._run();
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = crypto.randomBytes(10).toString('hex')) {
+    return new DocumentReference(this.firestore, this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+/**
+ * Writes queued by a batch or transaction, applied together on commit
+ */
+class WriteBatch {
+  constructor() {
+    this._writes = [];
+  }
+
+  _queue(kind, ref, data, options) {
+    this._writes.push({ kind, ref, data, options });
+    return this;
+  }
+
+  set(ref, data, options) {
+    return this._queue('set', ref, data, options);
+  }
+
+  update(ref, data) {
+    return this._queue('update', ref, data);
+  }
+
+  create(ref, data) {
+    return this._queue('create', ref, data);
+  }
+
+  delete(ref) {
+    return this._queue('delete', ref);
+  }
+
+  _apply() {
+    this._writes.forEach(({ kind, ref }) => ref._check(kind));
+    this._writes.forEach(({ kind, ref, data, options }) => ref._write(kind, data, options));
+  }
+
+  async commit() {
+    await tick();
+    this._apply();
+  }
+}
+
+class Transaction extends WriteBatch {
+  constructor(firestore) {
+    super();
+    this.firestore = firestore;
+    this._reads = new Map();
+  }
+
+  _checkReadOrder() {
+    if (this._writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+  }
+
+  _track(snapshot) {
+    this._reads.set(snapshot.ref.path, this.firestore._version(snapshot.ref.path));
+    return snapshot;
+  }
+
+  async get(refOrQuery) {
+    this._checkReadOrder();
+    const result = await refOrQuery.get();
+    (result.docs || [result]).forEach((snapshot) => this._track(snapshot));
+    return result;
+  }
+
+  async getAll(...refs) {
+    this._checkReadOrder();
+    return Promise.all(refs.map((ref) => ref.get().then((snapshot) => this._track(snapshot))));
+  }
+
+  _isStale() {
+    return [...this._reads].some(([path, version]) => this.firestore._version(path) !== version);
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this._collections = new Map();
+    this._versions = new Map();
+    this._transactionQueue = Promise.resolve();
+  }
+
+  _version(path) {
+    return this._versions.get(path) || 0;
+  }
+
+  _collection(path) {
+    if (!this._collections.has(path)) this._collections.set(path, new Map());
+    return this._collections.get(path);
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch();
+  }
+
+  async getAll(...refs) {
+    await tick();
+    return refs.map((ref) => ref._snapshot());
+  }
+
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+        const transaction = new Transaction(this);
+        const result = await updateFunction(transaction);
+        await tick();
+        if (!transaction._isStale()) {
+          transaction._apply();
+          return result;
+        }
+      }
+      throw firestoreError(ABORTED, 'Transaction lock timeout');
+    });
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Test helpers: clear everything, add documents directly and read them back
+   */
+  reset() {
+    this._collections.clear();
+    this._versions.clear();
+  }
+
+  seed(collectionPath, documents) {
+    Object.entries(documents).forEach(([id, data]) => this._collection(collectionPath).set(id, clone(data)));
+  }
+
+  read(collectionPath, id) {
+    return clone(this._collection(collectionPath).get(id));
+  }
+
+  list(collectionPath) {
+    return Object.fromEntries([...this._collection(collectionPath)].map(([id, data]) => [id, clone(data)]));
+  }
+}
+
+module.exports = {
+  FakeFirestore,
+};
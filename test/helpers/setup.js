@@ -0,0 +1,28 @@
+const path = require('path');
+const { FakeFirestore } = require('./fake-firestore');
+
+/**
+ * Shared test setup
+ *
+ * Require this before any module under src/: it swaps the Firebase config for an
+ * in-memory Firestore and selects the local identity provider, so tests need no
+ * credentials or network. Call `db.reset()` between tests.
+ */
+
+process.env.IDENTITY_PROVIDER = 'local';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+
+const db = new FakeFirestore();
+const configPath = path.resolve(__dirname, '../../src/config/firebase.js');
+
+require.cache[configPath] = {
+  id: configPath,
+  filename: configPath,
+  loaded: true,
+  exports: { admin: {}, db, auth: {}, storage: {} },
+};
+
+module.exports = {
+  db,
+};
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { db } = require('./helpers/setup');
+const invitations = require('../src/services/invitations');
+const { getIdentityProvider, IDENTITY_ERRORS } = require('../src/services/identity');
+
+const TOKEN = 'invite-token';
+const EMAIL = 'invitee@example.com';
+
+describe('invitations', () => {
+  beforeEach(() => {
+    db.reset();
+    db.seed('users', {
+      user1: { uid: 'user1', email: EMAIL, companyId: 'company1', role: 'editor', status: 'pending', invitationId: 'invite1' },
+    });
+    db.seed('invitations', {
+      invite1: {
+        id: 'invite1',
+        uid: 'user1',
+        email: EMAIL,
+        companyId: 'company1',
+        role: 'editor',
+        tokenHash: crypto.createHash('sha256').update(TOKEN).digest('hex'),
+        status: 'pending',
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        acceptedAt: null,
+      },
+    });
+  });
+
+  it('activates the pending user and creates their account', async () => {
+    const user = await invitations.acceptInvitation(await invitations.findPendingByToken(TOKEN), 'password');
+
+    assert.strictEqual(user.status, 'active');
+    assert.strictEqual(db.read('users', 'user1').status, 'active');
+    assert.strictEqual(db.read('invitations', 'invite1').status, 'accepted');
+    assert.strictEqual(await getIdentityProvider().verifyPassword(EMAIL, 'password'), true);
+  });
+
+  it('lets only one of several concurrent accepts use an invitation', async () => {
+    const doc = await invitations.findPendingByToken(TOKEN);
+
+    const results = await Promise.allSettled([
+      invitations.acceptInvitation(doc, 'first-password'),
+      invitations.acceptInvitation(doc, 'second-password'),
+      invitations.acceptInvitation(doc, 'third-password'),
+    ]);
+
+    assert.deepStrictEqual(results.map((result) => result.status), ['fulfilled', 'fulfilled', 'fulfilled']);
+    assert.strictEqual(results.filter((result) => result.value).length, 1);
+    assert.strictEqual(Object.keys(db.list('credentials')).length, 1);
+    assert.strictEqual(await invitations.findPendingByToken(TOKEN), null);
+  });
+
+  it('reports an existing account and keeps the invitation used', async () => {
+    await getIdentityProvider().createUser({ email: EMAIL, password: 'existing-password' });
+
+    await assert.rejects(
+      invitations.acceptInvitation(await invitations.findPendingByToken(TOKEN), 'password'),
+      { code: IDENTITY_ERRORS.EMAIL_EXISTS }
+    );
+    assert.strictEqual(db.read('invitations', 'invite1').status, 'accepted');
+    assert.strictEqual(db.read('users', 'user1').status, 'pending');
+  });
+
+  it('does not accept an invitation revoked after it was looked up', async () => {
+    const doc = await invitations.findPendingByToken(TOKEN);
+    await invitations.revokeInvitation(await invitations.getInvitation('invite1'), 'admin1');
+
+    assert.strictEqual(await invitations.acceptInvitation(doc, 'password'), null);
+    assert.deepStrictEqual(db.list('credentials'), {});
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseListQuery, SORT_FIELDS, FILTER_FIELDS } = require('../src/utils/list-query');
+const { getSchema } = require('../src/schemas');
+const { indexes } = require('../firestore.indexes.json');
+
+const indexKey = (collection, fields) => [
+  collection,
+  ...fields.map(({ fieldPath, order }) => `${fieldPath}:${order}`),
+].join(' ');
+
+describe('list queries', () => {
+  it('has a composite index for every accepted filter and sort', () => {
+    const defined = new Set(indexes.map(({ collectionGroup, fields }) => indexKey(collectionGroup, fields)));
+
+    Object.entries(FILTER_FIELDS).forEach(([type, filters]) => {
+      const { collection } = getSchema(type);
+
+      [null, ...filters].forEach((filter) => {
+        SORT_FIELDS.forEach((sort) => {
+          ['ASCENDING', 'DESCENDING'].forEach((order) => {
+            const key = indexKey(collection, [
+              { fieldPath: 'companyId', order: 'ASCENDING' },
+              ...(filter ? [{ fieldPath: filter, order: 'ASCENDING' }] : []),
+              { fieldPath: sort, order },
+            ]);
+            assert.ok(defined.has(key), `Missing index: ${key}`);
+          });
+        });
+      });
+    });
+  });
+
+  it('only accepts the indexed filter fields', () => {
+    assert.deepStrictEqual(
+      parseListQuery('scenario', { active: 'true' }).options.filters,
+      [{ field: 'active', operator: '==', value: true }]
+    );
+    assert.match(parseListQuery('scenario', { name: 'Intro' }).error, /Cannot filter by 'name'/);
+    assert.match(parseListQuery('scenario', { active: 'true', teamId: 'team1' }).error, /Only one filter/);
+    assert.match(parseListQuery('scenario', { sort: 'playCount' }).error, /Cannot sort by 'playCount'/);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./helpers/setup');
+const mfa = require('../src/services/mfa');
+const totp = require('../src/utils/totp');
+
+const UID = 'user1';
+
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+describe('MFA second factor', () => {
+  let secret;
+  let enrolledStep;
+  let recoveryCodes;
+
+  beforeEach(async () => {
+    db.reset();
+    db.seed('users', { [UID]: { uid: UID, email: 'user@example.com', status: 'active' } });
+
+    ({ secret } = await mfa.startEnrollment({ uid: UID, email: 'user@example.com' }));
+    enrolledStep = currentStep();
+    recoveryCodes = await mfa.confirmEnrollment(UID, totp.generateCode(secret, enrolledStep));
+  });
+
+  it('rejects the code that confirmed enrollment', async () => {
+    assert.strictEqual(db.read('users', UID).mfaEnabled, true);
+    assert.strictEqual(await mfa.verifySecondFactor(UID, { code: totp.generateCode(secret, enrolledStep) }), null);
+  });
+
+  it('accepts a TOTP code once, even from concurrent requests', async () => {
+    const code = totp.generateCode(secret, enrolledStep + 1);
+
+    const results = await Promise.all([
+      mfa.verifySecondFactor(UID, { code }),
+      mfa.verifySecondFactor(UID, { code }),
+      mfa.verifySecondFactor(UID, { code }),
+    ]);
+
+    assert.deepStrictEqual(results.filter(Boolean), ['totp']);
+    assert.strictEqual(await mfa.verifySecondFactor(UID, { code }), null);
+  });
+
+  it('rejects an earlier code once a later one was used', async () => {
+    assert.strictEqual(await mfa.verifySecondFactor(UID, { code: totp.generateCode(secret, enrolledStep + 1) }), 'totp');
+    assert.strictEqual(await mfa.verifySecondFactor(UID, { code: totp.generateCode(secret, enrolledStep) }), null);
+  });
+
+  it('accepts a recovery code once, even from concurrent requests', async () => {
+    const [recoveryCode] = recoveryCodes;
+
+    const results = await Promise.all([
+      mfa.verifySecondFactor(UID, { recoveryCode }),
+      mfa.verifySecondFactor(UID, { recoveryCode }),
+    ]);
+
+    assert.deepStrictEqual(results.filter(Boolean), ['recovery-code']);
+    assert.strictEqual((await mfa.getStatus(UID)).recoveryCodesRemaining, recoveryCodes.length - 1);
+    assert.strictEqual(await mfa.verifySecondFactor(UID, { recoveryCode: recoveryCodes[1] }), 'recovery-code');
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { db } = require('./helpers/setup');
+const passwordResets = require('../src/services/password-resets');
+const { getIdentityProvider } = require('../src/services/identity');
+
+const TOKEN = 'reset-token';
+
+const seedReset = (overrides = {}) => {
+  db.seed('passwordResets', {
+    reset1: {
+      id: 'reset1',
+      uid: 'user1',
+      email: 'user@example.com',
+      tokenHash: crypto.createHash('sha256').update(TOKEN).digest('hex'),
+      status: 'pending',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      usedAt: null,
+      ...overrides,
+    },
+  });
+};
+
+describe('password resets', () => {
+  beforeEach(async () => {
+    db.reset();
+    db.seed('users', { user1: { uid: 'user1', email: 'user@example.com', status: 'active' } });
+    await getIdentityProvider().createUser({ uid: 'user1', email: 'user@example.com', password: 'old-password' });
+  });
+
+  it('sets the new password and marks the token used', async () => {
+    seedReset();
+
+    assert.strictEqual(await passwordResets.resetPassword(TOKEN, 'new-password'), true);
+    assert.strictEqual(db.read('passwordResets', 'reset1').status, 'used');
+    assert.strictEqual(await getIdentityProvider().verifyPassword('user@example.com', 'new-password'), true);
+  });
+
+  it('lets only one of several concurrent requests use a token', async () => {
+    seedReset();
+
+    const results = await Promise.all(
+      ['first', 'second', 'third'].map((password) => passwordResets.resetPassword(TOKEN, `${password}-password`))
+    );
+
+    assert.deepStrictEqual(results.filter(Boolean), [true]);
+    const winner = ['first', 'second', 'third'][results.indexOf(true)];
+    assert.strictEqual(await getIdentityProvider().verifyPassword('user@example.com', `${winner}-password`), true);
+  });
+
+  it('rejects used, superseded and expired tokens', async () => {
+    for (const overrides of [
+      { status: 'used' },
+      { status: 'superseded' },
+      { expiresAt: new Date(Date.now() - 1000).toISOString() },
+    ]) {
+      seedReset(overrides);
+      assert.strictEqual(await passwordResets.resetPassword(TOKEN, 'new-password'), false);
+    }
+    assert.strictEqual(await getIdentityProvider().verifyPassword('user@example.com', 'old-password'), true);
+  });
+});